@@ -0,0 +1,125 @@
+import React from 'react';
+import { Repeat, Flag, X } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import TimeInput from './TimeInput';
+
+const COUNT_IN_OPTIONS = [0, 1, 2, 3, 4, 5];
+const LOOP_COUNT_OPTIONS = [0, 2, 3, 4, 5, 10, 20];
+
+/**
+ * A–B loop for practising a passage: points set from the current position,
+ * typed in, or dragged on the seek bar; an optional count-in before each
+ * repeat and a number of plays after which playback carries on.
+ */
+const AbLoopPanel = () => {
+  const {
+    currentTrack,
+    duration,
+    abLoop,
+    setLoopPoint,
+    setLoopPointHere,
+    toggleLoop,
+    clearLoop,
+    setLoopOptions
+  } = usePlayer();
+  const disabled = !currentTrack || !(duration > 0);
+  const hasPoints = abLoop.start !== null || abLoop.end !== null;
+
+  let status = 'Set A and B to loop a passage.';
+  if (abLoop.countInLeft !== null) {
+    status = `Count-in… ${Math.ceil(abLoop.countInLeft)}`;
+  } else if (abLoop.isActive) {
+    status = abLoop.loopCount > 0 ? `Play ${abLoop.currentPass} of ${abLoop.loopCount}` : 'Looping until stopped';
+  } else if (abLoop.start !== null && abLoop.end !== null) {
+    status = 'Loop off';
+  }
+
+  const renderPoint = (point, label) => (
+    <div className="flex items-center gap-1.5">
+      <span className="w-4 text-sm font-semibold text-foreground/80">{label}</span>
+      <TimeInput
+        value={abLoop[point]}
+        onChange={(time) => setLoopPoint(point, time)}
+        disabled={disabled}
+        aria-label={`Loop point ${label}`}
+        className="w-20"
+      />
+      <button
+        onClick={() => setLoopPointHere(point)}
+        disabled={disabled}
+        title={`Set ${label} to the current position`}
+        className="p-1 rounded text-muted-foreground hover:text-primary hover:bg-muted disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        <Flag size={14} />
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="bg-card rounded-lg shadow-lg p-6 w-full max-w-md mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Repeat size={18} className="text-muted-foreground" />
+          <h3 className="font-semibold text-foreground">A–B loop</h3>
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={toggleLoop}
+            disabled={disabled || abLoop.start === null || abLoop.end === null}
+            aria-pressed={abLoop.isEnabled}
+            className={`px-2 py-0.5 rounded-md text-xs transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+              abLoop.isActive ? 'bg-primary text-primary-foreground hover:bg-primary/90' : 'bg-muted text-muted-foreground hover:bg-accent'
+            }`}
+          >
+            {abLoop.isActive ? 'On' : 'Off'}
+          </button>
+          {hasPoints && (
+            <button
+              onClick={clearLoop}
+              title="Clear loop points"
+              className="p-1 text-muted-foreground/70 hover:text-destructive transition-colors"
+            >
+              <X size={16} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2">
+        {renderPoint('start', 'A')}
+        {renderPoint('end', 'B')}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-2 mt-3 text-xs text-muted-foreground">
+        <label className="flex items-center gap-1.5">
+          Count-in
+          <select
+            value={abLoop.countIn}
+            onChange={(e) => setLoopOptions({ countIn: Number(e.target.value) })}
+            className="rounded-md border border-input bg-card px-1.5 py-0.5 text-xs text-foreground"
+          >
+            {COUNT_IN_OPTIONS.map(seconds => (
+              <option key={seconds} value={seconds}>{seconds === 0 ? 'Off' : `${seconds} s`}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center gap-1.5">
+          Plays
+          <select
+            value={abLoop.loopCount}
+            onChange={(e) => setLoopOptions({ loopCount: Number(e.target.value) })}
+            className="rounded-md border border-input bg-card px-1.5 py-0.5 text-xs text-foreground"
+          >
+            {LOOP_COUNT_OPTIONS.map(count => (
+              <option key={count} value={count}>{count === 0 ? 'Until stopped' : `${count}×`}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p className="mt-3 text-xs text-muted-foreground" aria-live="polite">{status}</p>
+    </div>
+  );
+};
+
+export default AbLoopPanel;
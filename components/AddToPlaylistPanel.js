@@ -0,0 +1,75 @@
+import React from 'react';
+import { Check, Plus, ListStart, ListEnd } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+
+/**
+ * Actions shown under a track row: queue it to play next or later, and
+ * toggle which playlists hold it ("New playlist" creates one containing it)
+ */
+const AddToPlaylistPanel = ({ track }) => {
+  const {
+    playlists,
+    addTracksToPlaylist,
+    removeFromPlaylist,
+    createPlaylist,
+    playNext,
+    addToQueue
+  } = usePlayer();
+
+  const chipClassName = 'flex items-center gap-1 px-2 py-1 rounded-full border text-xs transition-colors';
+
+  return (
+    <div className="px-3 pb-3 space-y-2">
+      <div className="flex flex-wrap gap-1.5">
+        <button
+          onClick={() => playNext([track.id])}
+          className={`${chipClassName} border-input text-foreground/80 hover:border-primary/70`}
+        >
+          <ListStart size={12} />
+          Play next
+        </button>
+        <button
+          onClick={() => addToQueue([track.id])}
+          className={`${chipClassName} border-input text-foreground/80 hover:border-primary/70`}
+        >
+          <ListEnd size={12} />
+          Add to queue
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-1.5">
+        {playlists.map(playlist => {
+          const isIncluded = playlist.trackIds.includes(track.id);
+
+          return (
+            <button
+              key={playlist.id}
+              onClick={() => (
+                isIncluded
+                  ? removeFromPlaylist(track.id, playlist.id)
+                  : addTracksToPlaylist(playlist.id, [track.id])
+              )}
+              aria-pressed={isIncluded}
+              className={`${chipClassName} ${
+                isIncluded
+                  ? 'border-primary bg-primary text-primary-foreground'
+                  : 'border-input text-foreground/80 hover:border-primary/70'
+              }`}
+            >
+              {isIncluded && <Check size={12} />}
+              <span className="max-w-[10rem] truncate">{playlist.name}</span>
+            </button>
+          );
+        })}
+        <button
+          onClick={() => createPlaylist('New playlist', [track.id])}
+          className={`${chipClassName} border-dashed border-input text-muted-foreground hover:border-primary/70 hover:text-primary`}
+        >
+          <Plus size={12} />
+          New playlist
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AddToPlaylistPanel;
@@ -1,128 +1,160 @@
 import React from 'react';
 import { motion } from 'framer-motion';
-import { Play, Pause, SkipBack, SkipForward, Volume2 } from 'lucide-react';
-
-const AudioControls = ({
-  isPlaying,
-  onPlayPause,
-  onPrevious,
-  onNext,
-  currentTime,
-  duration,
-  onSeek,
-  volume,
-  onVolumeChange,
-  disabled = false
-}) => {
-  const formatTime = (time) => {
-    if (!time || isNaN(time)) return '0:00';
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  };
+import {
+  Play,
+  Pause,
+  SkipBack,
+  SkipForward,
+  Volume2,
+  VolumeX,
+  Shuffle,
+  Repeat,
+  Repeat1
+} from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import SeekBar from './SeekBar';
+import SleepTimerControl from './SleepTimerControl';
+import PlaybackSpeedControl from './PlaybackSpeedControl';
 
-  const handleSeekChange = (e) => {
-    const newTime = (e.target.value / 100) * duration;
-    onSeek(newTime);
-  };
+const AudioControls = ({ disabled: disabledProp = false }) => {
+  const {
+    currentTrack,
+    isPlaying,
+    togglePlayPause,
+    previousTrack,
+    nextTrack,
+    volume,
+    isMuted,
+    changeVolume,
+    toggleMute,
+    repeatMode,
+    isShuffled,
+    cycleRepeatMode,
+    toggleShuffle
+  } = usePlayer();
+
+  const disabled = disabledProp || !currentTrack;
 
   const handleVolumeChange = (e) => {
     const newVolume = e.target.value / 100;
-    onVolumeChange(newVolume);
+    changeVolume(newVolume);
+  };
+
+  const effectiveVolume = isMuted ? 0 : volume;
+
+  const repeatLabels = {
+    none: 'Repeat off',
+    all: 'Repeat all',
+    one: 'Repeat one'
   };
 
-  const progressPercentage = duration ? (currentTime / duration) * 100 : 0;
+  const modeButtonClass = (active) => `p-2 rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+    active ? 'text-primary bg-primary/10 hover:bg-primary/20' : 'text-muted-foreground/70 hover:text-muted-foreground hover:bg-muted'
+  }`;
 
   return (
-    <div className="bg-white rounded-lg shadow-lg p-6 w-full max-w-md mx-auto">
+    <div className="bg-card rounded-lg shadow-lg p-6 w-full max-w-md mx-auto">
       {/* Progress Bar */}
-      <div className="mb-6">
-        <div className="relative">
-          <input
-            type="range"
-            min="0"
-            max="100"
-            value={progressPercentage}
-            onChange={handleSeekChange}
-            disabled={disabled || !duration}
-            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
-            style={{
-              background: `linear-gradient(to right, #3b82f6 0%, #3b82f6 ${progressPercentage}%, #e5e7eb ${progressPercentage}%, #e5e7eb 100%)`
-            }}
-          />
-        </div>
-        <div className="flex justify-between text-sm text-gray-500 mt-2">
-          <span>{formatTime(currentTime)}</span>
-          <span>{formatTime(duration)}</span>
-        </div>
-      </div>
+      <SeekBar className="mb-6" disabled={disabled} />
 
       {/* Main Controls */}
-      <div className="flex items-center justify-center space-x-6 mb-6">
+      <div className="flex items-center justify-center space-x-4 mb-6">
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.95 }}
-          onClick={onPrevious}
+          onClick={toggleShuffle}
           disabled={disabled}
-          className="p-3 rounded-full bg-gray-100 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          aria-pressed={isShuffled}
+          title={isShuffled ? 'Shuffle on' : 'Shuffle off'}
+          className={modeButtonClass(isShuffled)}
         >
-          <SkipBack size={20} className="text-gray-700" />
+          <Shuffle size={18} />
         </motion.button>
 
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.95 }}
-          onClick={onPlayPause}
+          onClick={previousTrack}
           disabled={disabled}
-          className="p-4 rounded-full bg-blue-500 hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors shadow-lg"
+          className="p-3 rounded-full bg-muted hover:bg-accent disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <SkipBack size={20} className="text-foreground/80" />
+        </motion.button>
+
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={togglePlayPause}
+          disabled={disabled}
+          className="p-4 rounded-full bg-primary hover:bg-primary/90 disabled:opacity-50 disabled:cursor-not-allowed transition-colors shadow-lg"
         >
           {isPlaying ? (
-            <Pause size={24} className="text-white" />
+            <Pause size={24} className="text-primary-foreground" />
           ) : (
-            <Play size={24} className="text-white ml-1" />
+            <Play size={24} className="text-primary-foreground ml-1" />
           )}
         </motion.button>
 
         <motion.button
           whileHover={{ scale: 1.1 }}
           whileTap={{ scale: 0.95 }}
-          onClick={onNext}
+          onClick={nextTrack}
+          disabled={disabled}
+          className="p-3 rounded-full bg-muted hover:bg-accent disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <SkipForward size={20} className="text-foreground/80" />
+        </motion.button>
+
+        <motion.button
+          whileHover={{ scale: 1.1 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={cycleRepeatMode}
           disabled={disabled}
-          className="p-3 rounded-full bg-gray-100 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          title={repeatLabels[repeatMode]}
+          aria-label={repeatLabels[repeatMode]}
+          className={modeButtonClass(repeatMode !== 'none')}
         >
-          <SkipForward size={20} className="text-gray-700" />
+          {repeatMode === 'one' ? <Repeat1 size={18} /> : <Repeat size={18} />}
         </motion.button>
       </div>
 
       {/* Volume Control */}
       <div className="flex items-center space-x-3">
-        <Volume2 size={20} className="text-gray-600 flex-shrink-0" />
+        <button
+          onClick={toggleMute}
+          className="flex-shrink-0 text-muted-foreground hover:text-foreground transition-colors"
+        >
+          {isMuted || volume === 0 ? <VolumeX size={20} /> : <Volume2 size={20} />}
+        </button>
         <div className="flex-1">
           <input
             type="range"
             min="0"
             max="100"
-            value={volume * 100}
+            value={effectiveVolume * 100}
             onChange={handleVolumeChange}
             disabled={disabled}
-            className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer slider"
+            className="w-full h-2 bg-accent rounded-lg appearance-none cursor-pointer slider"
             style={{
-              background: `linear-gradient(to right, #3b82f6 0%, #3b82f6 ${volume * 100}%, #e5e7eb ${volume * 100}%, #e5e7eb 100%)`
+              background: `linear-gradient(to right, hsl(var(--primary)) 0%, hsl(var(--primary)) ${effectiveVolume * 100}%, hsl(var(--accent)) ${effectiveVolume * 100}%, hsl(var(--accent)) 100%)`
             }}
           />
         </div>
-        <span className="text-sm text-gray-500 w-8 text-right">
-          {Math.round(volume * 100)}
+        <span className="text-sm text-muted-foreground w-8 text-right">
+          {Math.round(effectiveVolume * 100)}
         </span>
       </div>
 
+      <PlaybackSpeedControl disabled={disabled} />
+      <SleepTimerControl disabled={disabled} />
+
       <style jsx>{`
         .slider::-webkit-slider-thumb {
           appearance: none;
           height: 16px;
           width: 16px;
           border-radius: 50%;
-          background: #3b82f6;
+          background: hsl(var(--primary));
           cursor: pointer;
           box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
         }
@@ -131,19 +163,19 @@ const AudioControls = ({
           height: 16px;
           width: 16px;
           border-radius: 50%;
-          background: #3b82f6;
+          background: hsl(var(--primary));
           cursor: pointer;
           border: none;
           box-shadow: 0 2px 4px rgba(0, 0, 0, 0.2);
         }
 
         .slider:disabled::-webkit-slider-thumb {
-          background: #9ca3af;
+          background: hsl(var(--muted-foreground));
           cursor: not-allowed;
         }
 
         .slider:disabled::-moz-range-thumb {
-          background: #9ca3af;
+          background: hsl(var(--muted-foreground));
           cursor: not-allowed;
         }
       `}</style>
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { Bookmark, BookmarkPlus, Pencil, Trash2, Download, Repeat, Check, X } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import TimeInput from './TimeInput';
+import { formatTime } from '../utils/audioUtils';
+import { BOOKMARK_EXPORT_FORMATS, serializeBookmarks } from '../utils/bookmarks';
+import { downloadText } from '../utils/download';
+
+/**
+ * Named bookmarks of the current track, saved with the track: added at the
+ * current position, jumped to, renamed or moved, looped up to the next one,
+ * and exported as a chapter list or JSON.
+ */
+const BookmarksPanel = () => {
+  const {
+    currentTrack,
+    duration,
+    bookmarks,
+    addBookmark,
+    updateBookmark,
+    removeBookmark,
+    seek,
+    setLoopRange
+  } = usePlayer();
+  const [newName, setNewName] = useState('');
+  // { id, name, time } of the bookmark being edited
+  const [editing, setEditing] = useState(null);
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+
+  if (!currentTrack) return null;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    addBookmark(newName);
+    setNewName('');
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const name = editing.name.trim();
+    updateBookmark(editing.id, {
+      ...(name ? { name } : {}),
+      time: duration > 0 ? Math.min(editing.time, duration) : editing.time
+    });
+    setEditing(null);
+  };
+
+  const handleExport = (format) => {
+    const { extension, mimeType } = BOOKMARK_EXPORT_FORMATS[format];
+    downloadText(
+      serializeBookmarks(format, currentTrack, bookmarks),
+      `${currentTrack.title} bookmarks.${extension}`,
+      mimeType
+    );
+    setIsExportMenuOpen(false);
+  };
+
+  // Loops from a bookmark up to the next one, or to the end of the track
+  const handleLoopFrom = (index) => {
+    const next = bookmarks[index + 1];
+    if (setLoopRange(bookmarks[index].time, next ? next.time : duration)) {
+      seek(bookmarks[index].time);
+    }
+  };
+
+  const iconButtonClassName = 'p-1 rounded text-muted-foreground/70 hover:text-foreground/80 hover:bg-muted transition-colors';
+
+  return (
+    <div className="bg-card rounded-lg shadow-lg p-6 w-full max-w-md mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Bookmark size={18} className="text-muted-foreground" />
+          <h3 className="font-semibold text-foreground">Bookmarks</h3>
+          {bookmarks.length > 0 && <span className="text-sm text-muted-foreground">{bookmarks.length}</span>}
+        </div>
+        {bookmarks.length > 0 && (
+          <div className="relative">
+            <button
+              onClick={() => setIsExportMenuOpen(!isExportMenuOpen)}
+              aria-expanded={isExportMenuOpen}
+              title="Export bookmarks"
+              className={iconButtonClassName}
+            >
+              <Download size={16} />
+            </button>
+            {isExportMenuOpen && (
+              <div className="absolute right-0 top-full mt-1 z-10 w-36 rounded-md border bg-card py-1 shadow-lg">
+                {Object.entries(BOOKMARK_EXPORT_FORMATS).map(([format, { label }]) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(format)}
+                    className="block w-full px-3 py-1.5 text-left text-sm text-foreground/80 hover:bg-muted"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={handleAdd} className="flex items-center gap-2 mb-3">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Bookmark name (optional)"
+          aria-label="New bookmark name"
+          className="flex-1 min-w-0 rounded-md border border-input bg-card px-2 py-1 text-sm text-foreground"
+        />
+        <button
+          type="submit"
+          className="flex items-center gap-1 px-2 py-1 rounded-md bg-primary text-sm text-primary-foreground hover:bg-primary/90 transition-colors"
+        >
+          <BookmarkPlus size={14} />
+          Add here
+        </button>
+      </form>
+
+      {bookmarks.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No bookmarks in this track yet.</p>
+      ) : (
+        <ul className="max-h-56 overflow-y-auto -mx-2">
+          {bookmarks.map((bookmark, index) => (
+            <li key={bookmark.id} className="px-2 py-1 rounded hover:bg-muted/50">
+              {editing && editing.id === bookmark.id ? (
+                <form onSubmit={handleSave} className="flex items-center gap-1.5">
+                  <TimeInput
+                    value={editing.time}
+                    onChange={(time) => setEditing({ ...editing, time })}
+                    aria-label="Bookmark position"
+                    className="w-20"
+                  />
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    aria-label="Bookmark name"
+                    autoFocus
+                    className="flex-1 min-w-0 rounded-md border border-input bg-card px-2 py-1 text-xs text-foreground"
+                  />
+                  <button type="submit" title="Save" className={iconButtonClassName}>
+                    <Check size={14} />
+                  </button>
+                  <button type="button" onClick={() => setEditing(null)} title="Cancel" className={iconButtonClassName}>
+                    <X size={14} />
+                  </button>
+                </form>
+              ) : (
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => seek(bookmark.time)}
+                    title="Jump to bookmark"
+                    className="flex flex-1 min-w-0 items-center gap-2 text-left text-sm"
+                  >
+                    <span className="w-12 flex-shrink-0 tabular-nums text-primary">{formatTime(bookmark.time)}</span>
+                    <span className="truncate text-foreground">{bookmark.name}</span>
+                  </button>
+                  <button
+                    onClick={() => handleLoopFrom(index)}
+                    title="Loop to the next bookmark"
+                    className={iconButtonClassName}
+                  >
+                    <Repeat size={14} />
+                  </button>
+                  <button
+                    onClick={() => setEditing({ id: bookmark.id, name: bookmark.name, time: bookmark.time })}
+                    title="Edit bookmark"
+                    className={iconButtonClassName}
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => removeBookmark(bookmark.id)}
+                    title="Delete bookmark"
+                    className="p-1 rounded text-muted-foreground/70 hover:text-destructive hover:bg-muted transition-colors"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default BookmarksPanel;
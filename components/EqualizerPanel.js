@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Save, Trash2, RotateCcw } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import {
+  EQ_FREQUENCIES,
+  EQ_GAIN_LIMIT,
+  PREAMP_LIMIT,
+  FLAT_GAINS,
+  BUILT_IN_EQ_PRESETS,
+  formatFrequency
+} from '../utils/equalizer';
+
+const formatDb = (value) => `${value > 0 ? '+' : ''}${value.toFixed(1)} dB`;
+
+const EqualizerPanel = () => {
+  const { settings, updateSettings } = usePlayer();
+  const { equalizer, customEqPresets } = settings;
+  const [presetName, setPresetName] = useState('');
+
+  const presets = [...BUILT_IN_EQ_PRESETS, ...customEqPresets];
+  const selectedCustomPreset = customEqPresets.find(preset => preset.id === equalizer.presetId);
+
+  const updateEqualizer = (changes) => {
+    updateSettings({ equalizer: { ...equalizer, ...changes } });
+  };
+
+  const handleBandChange = (index, value) => {
+    const gains = [...equalizer.gains];
+    gains[index] = parseFloat(value);
+    updateEqualizer({ gains, presetId: null });
+  };
+
+  const handlePresetChange = (e) => {
+    const preset = presets.find(item => item.id === e.target.value);
+    if (!preset) return;
+    updateEqualizer({ presetId: preset.id, preamp: preset.preamp, gains: [...preset.gains], enabled: true });
+  };
+
+  const handleSavePreset = (e) => {
+    e.preventDefault();
+    const name = presetName.trim();
+    if (!name) return;
+
+    const preset = {
+      id: `custom-${Date.now().toString(36)}`,
+      name,
+      preamp: equalizer.preamp,
+      gains: [...equalizer.gains]
+    };
+    updateSettings({
+      customEqPresets: [...customEqPresets, preset],
+      equalizer: { ...equalizer, presetId: preset.id }
+    });
+    setPresetName('');
+  };
+
+  const handleDeletePreset = () => {
+    if (!selectedCustomPreset) return;
+    updateSettings({
+      customEqPresets: customEqPresets.filter(preset => preset.id !== selectedCustomPreset.id),
+      equalizer: { ...equalizer, presetId: null }
+    });
+  };
+
+  const handleReset = () => {
+    updateEqualizer({ presetId: 'flat', preamp: 0, gains: FLAT_GAINS });
+  };
+
+  return (
+    <div className="bg-card rounded-lg shadow-lg p-6 w-full max-w-md mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <SlidersHorizontal size={18} className="text-muted-foreground" />
+          <h3 className="font-semibold text-foreground">Equalizer</h3>
+        </div>
+        <label className="flex items-center gap-2 text-sm text-muted-foreground cursor-pointer">
+          <input
+            type="checkbox"
+            checked={equalizer.enabled}
+            onChange={(e) => updateEqualizer({ enabled: e.target.checked })}
+            className="accent-primary"
+          />
+          {equalizer.enabled ? 'On' : 'Off'}
+        </label>
+      </div>
+
+      <div className="flex items-center gap-2 mb-4">
+        <select
+          value={equalizer.presetId || ''}
+          onChange={handlePresetChange}
+          aria-label="Equalizer preset"
+          className="flex-1 rounded-md border border-input bg-card px-3 py-2 text-sm text-foreground"
+        >
+          {!equalizer.presetId && <option value="">Custom</option>}
+          <optgroup label="Built-in">
+            {BUILT_IN_EQ_PRESETS.map(preset => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
+          </optgroup>
+          {customEqPresets.length > 0 && (
+            <optgroup label="My presets">
+              {customEqPresets.map(preset => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+            </optgroup>
+          )}
+        </select>
+        {selectedCustomPreset && (
+          <button
+            onClick={handleDeletePreset}
+            title="Delete preset"
+            className="p-2 text-muted-foreground/70 hover:text-destructive transition-colors"
+          >
+            <Trash2 size={16} />
+          </button>
+        )}
+        <button
+          onClick={handleReset}
+          title="Reset to flat"
+          className="p-2 text-muted-foreground/70 hover:text-foreground/80 transition-colors"
+        >
+          <RotateCcw size={16} />
+        </button>
+      </div>
+
+      <div className={equalizer.enabled ? '' : 'opacity-50'}>
+        {/* Preamp */}
+        <label htmlFor="eq-preamp" className="flex justify-between text-sm text-muted-foreground mb-2">
+          <span>Preamp</span>
+          <span className="text-muted-foreground">{formatDb(equalizer.preamp)}</span>
+        </label>
+        <input
+          id="eq-preamp"
+          type="range"
+          min={-PREAMP_LIMIT}
+          max={PREAMP_LIMIT}
+          step="0.5"
+          value={equalizer.preamp}
+          onChange={(e) => updateEqualizer({ preamp: parseFloat(e.target.value), presetId: null })}
+          className="w-full h-2 bg-accent rounded-lg appearance-none cursor-pointer accent-primary mb-4"
+        />
+
+        {/* Bands */}
+        <div className="flex justify-between">
+          {EQ_FREQUENCIES.map((frequency, index) => (
+            <div key={frequency} className="flex flex-col items-center gap-1">
+              <input
+                type="range"
+                min={-EQ_GAIN_LIMIT}
+                max={EQ_GAIN_LIMIT}
+                step="0.5"
+                value={equalizer.gains[index]}
+                onChange={(e) => handleBandChange(index, e.target.value)}
+                aria-label={`${formatFrequency(frequency)} Hz: ${formatDb(equalizer.gains[index])}`}
+                title={formatDb(equalizer.gains[index])}
+                className="h-28 w-4 cursor-pointer accent-primary"
+                style={{ writingMode: 'vertical-lr', direction: 'rtl' }}
+              />
+              <span className="text-[10px] text-muted-foreground">{formatFrequency(frequency)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <form onSubmit={handleSavePreset} className="flex items-center gap-2 mt-4">
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Save current curve as…"
+          className="flex-1 rounded-md border border-input px-3 py-2 text-sm text-foreground"
+        />
+        <button
+          type="submit"
+          disabled={!presetName.trim()}
+          className="flex items-center gap-1 px-3 py-2 rounded-md bg-primary hover:bg-primary/90 text-primary-foreground text-sm disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          <Save size={14} />
+          Save
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default EqualizerPanel;
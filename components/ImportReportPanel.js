@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import { X, CheckCircle2, XCircle, MinusCircle, ChevronDown, ChevronUp } from 'lucide-react';
+
+const STATUSES = {
+  accepted: { label: 'added', Icon: CheckCircle2, className: 'text-success' },
+  rejected: { label: 'rejected', Icon: XCircle, className: 'text-destructive' },
+  skipped: { label: 'skipped', Icon: MinusCircle, className: 'text-muted-foreground' }
+};
+
+/**
+ * Outcome of a file import: counts per status, and on request every file
+ * with the reasons it was rejected or skipped. Opens expanded when
+ * something went wrong. report is the list returned by the import.
+ */
+const ImportReportPanel = ({ report, onDismiss }) => {
+  const counts = Object.fromEntries(
+    Object.keys(STATUSES).map(status => [status, report.filter(entry => entry.status === status).length])
+  );
+  const [isExpanded, setIsExpanded] = useState(counts.rejected > 0);
+  const summary = Object.entries(STATUSES)
+    .filter(([status]) => counts[status] > 0)
+    .map(([status, { label }]) => `${counts[status]} ${label}`)
+    .join(', ');
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+      className={`border-b text-xs ${
+        counts.rejected > 0 ? 'border-destructive/30 bg-destructive/10' : 'border-border bg-muted/50'
+      }`}
+    >
+      <div className="flex items-center justify-between gap-2 px-4 py-2">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          aria-expanded={isExpanded}
+          className="flex items-center gap-1 text-foreground/80 hover:text-foreground"
+        >
+          {isExpanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+          <span>Import: {summary || 'no files'}</span>
+        </button>
+        <button
+          onClick={onDismiss}
+          aria-label="Dismiss import report"
+          className="p-0.5 text-muted-foreground/70 hover:text-muted-foreground transition-colors"
+        >
+          <X size={14} />
+        </button>
+      </div>
+
+      {isExpanded && report.length > 0 && (
+        <ul className="max-h-40 overflow-y-auto px-4 pb-2 space-y-1.5">
+          {report.map((entry, index) => {
+            const { label, Icon, className } = STATUSES[entry.status];
+
+            return (
+              <li key={index} className="flex items-start gap-2">
+                <Icon size={12} className={`mt-0.5 flex-shrink-0 ${className}`} aria-label={label} />
+                <div className="min-w-0">
+                  <p className="truncate text-foreground" title={entry.path}>{entry.fileName}</p>
+                  {entry.reasons.map(reason => (
+                    <p key={reason} className={className}>{reason}</p>
+                  ))}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </motion.div>
+  );
+};
+
+export default ImportReportPanel;
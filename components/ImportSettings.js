@@ -0,0 +1,118 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import { AUDIO_FORMATS, canPlayAudioFormat } from '../utils/audioFormats';
+import { DUPLICATE_POLICIES } from '../utils/importRules';
+
+const parseLimit = (value, scale = 1) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number * scale : 0;
+};
+
+/**
+ * Rules applied to every file import: size and duration limits (empty or 0
+ * means no limit), which formats are let in, and what to do with recordings
+ * already in the library
+ */
+const ImportSettings = () => {
+  const { settings, updateSettings } = usePlayer();
+  const rules = settings.importRules;
+
+  const updateRules = (changes) => {
+    updateSettings({ importRules: { ...rules, ...changes } });
+  };
+
+  const toggleFormat = (format) => {
+    const allowedFormats = rules.allowedFormats.includes(format)
+      ? rules.allowedFormats.filter(item => item !== format)
+      : [...rules.allowedFormats, format];
+    updateRules({ allowedFormats });
+  };
+
+  const inputClassName = 'w-full rounded-md border border-input bg-card px-2 py-1 text-sm text-foreground';
+
+  return (
+    <div className="px-4 py-3 border-b bg-muted/50 space-y-3 text-sm">
+      <div className="grid grid-cols-3 gap-2">
+        <label className="text-xs text-muted-foreground">
+          Max size (MB)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={rules.maxFileSizeMb || ''}
+            placeholder="No limit"
+            onChange={(e) => updateRules({ maxFileSizeMb: parseLimit(e.target.value) })}
+            className={`${inputClassName} mt-1`}
+          />
+        </label>
+        <label className="text-xs text-muted-foreground">
+          Min length (s)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={rules.minDuration || ''}
+            placeholder="None"
+            onChange={(e) => updateRules({ minDuration: parseLimit(e.target.value) })}
+            className={`${inputClassName} mt-1`}
+          />
+        </label>
+        <label className="text-xs text-muted-foreground">
+          Max length (min)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={rules.maxDuration ? rules.maxDuration / 60 : ''}
+            placeholder="None"
+            onChange={(e) => updateRules({ maxDuration: parseLimit(e.target.value, 60) })}
+            className={`${inputClassName} mt-1`}
+          />
+        </label>
+      </div>
+
+      <div>
+        <p className="text-xs text-muted-foreground mb-1">Formats</p>
+        <div className="flex flex-wrap gap-1.5">
+          {Object.entries(AUDIO_FORMATS).map(([format, { label }]) => {
+            const isAllowed = rules.allowedFormats.includes(format);
+            const isPlayable = canPlayAudioFormat(format);
+
+            return (
+              <button
+                key={format}
+                onClick={() => toggleFormat(format)}
+                aria-pressed={isAllowed}
+                title={isPlayable ? undefined : 'Not supported by this browser'}
+                className={`flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs transition-colors ${
+                  isAllowed
+                    ? 'border-primary bg-primary text-primary-foreground'
+                    : 'border-input text-muted-foreground hover:border-primary/70'
+                } ${isPlayable ? '' : 'opacity-50'}`}
+              >
+                {isAllowed && <Check size={12} />}
+                {label}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <label className="block text-xs text-muted-foreground">
+        When a file is already in the library
+        <select
+          value={rules.duplicatePolicy}
+          onChange={(e) => updateRules({ duplicatePolicy: e.target.value })}
+          className={`${inputClassName} mt-1`}
+        >
+          {Object.entries(DUPLICATE_POLICIES).map(([policy, { label }]) => (
+            <option key={policy} value={policy}>{label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default ImportSettings;
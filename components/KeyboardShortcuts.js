@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Keyboard, X } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import KeymapEditor from './KeymapEditor';
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts';
+import { SHORTCUT_ACTIONS, formatKey } from '../utils/keymap';
+
+/**
+ * Installs the global shortcuts and renders a button that opens the
+ * shortcut overlay, which can also be opened with the help key ("?")
+ */
+const KeyboardShortcuts = ({ className = '' }) => {
+  const { settings } = usePlayer();
+  const [isOpen, setIsOpen] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+
+  const open = useCallback(() => setIsOpen(true), []);
+  const close = useCallback(() => {
+    setIsOpen(false);
+    setIsEditing(false);
+  }, []);
+
+  useKeyboardShortcuts({ enabled: !isOpen, onShowHelp: open });
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') close();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, close]);
+
+  return (
+    <>
+      <button
+        onClick={open}
+        title="Keyboard shortcuts (?)"
+        aria-label="Keyboard shortcuts"
+        className={className}
+      >
+        <Keyboard size={18} />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            onClick={close}
+            className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
+          >
+            <motion.div
+              initial={{ scale: 0.95, y: 10 }}
+              animate={{ scale: 1, y: 0 }}
+              exit={{ scale: 0.95, y: 10 }}
+              onClick={(e) => e.stopPropagation()}
+              role="dialog"
+              aria-modal="true"
+              aria-labelledby="keyboard-shortcuts-title"
+              className="bg-card rounded-lg shadow-xl p-6 w-full max-w-md max-h-[90vh] overflow-y-auto"
+            >
+              <div className="flex items-center justify-between mb-4">
+                <h2 id="keyboard-shortcuts-title" className="font-semibold text-foreground">
+                  {isEditing ? 'Customize shortcuts' : 'Keyboard shortcuts'}
+                </h2>
+                <button
+                  onClick={close}
+                  aria-label="Close"
+                  className="p-1 text-muted-foreground/70 hover:text-foreground/80 transition-colors"
+                >
+                  <X size={18} />
+                </button>
+              </div>
+
+              {isEditing ? (
+                <KeymapEditor />
+              ) : (
+                <>
+                  <ul className="divide-y divide-border">
+                    {SHORTCUT_ACTIONS.map(({ id, label }) => (
+                      <li key={id} className="flex items-center justify-between py-2 text-sm">
+                        <span className="text-foreground/80">{label}</span>
+                        <kbd className="px-2 py-0.5 rounded border border-input bg-muted/50 text-xs font-mono text-foreground/80">
+                          {formatKey(settings.keymap[id])}
+                        </kbd>
+                      </li>
+                    ))}
+                    <li className="flex items-center justify-between py-2 text-sm">
+                      <span className="text-foreground/80">Jump to 0–90% of the track</span>
+                      <kbd className="px-2 py-0.5 rounded border border-input bg-muted/50 text-xs font-mono text-foreground/80">
+                        0 – 9
+                      </kbd>
+                    </li>
+                  </ul>
+                  <button
+                    onClick={() => setIsEditing(true)}
+                    className="w-full mt-4 px-3 py-2 rounded-md bg-primary hover:bg-primary/90 text-primary-foreground text-sm transition-colors"
+                  >
+                    Customize shortcuts
+                  </button>
+                </>
+              )}
+            </motion.div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </>
+  );
+};
+
+export default KeyboardShortcuts;
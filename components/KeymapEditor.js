@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { RotateCcw } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import {
+  SHORTCUT_ACTIONS,
+  DEFAULT_KEYMAP,
+  DIGIT_KEYS,
+  getEventKey,
+  formatKey,
+  rebindKey
+} from '../utils/keymap';
+
+const KeymapEditor = () => {
+  const { settings, updateSettings } = usePlayer();
+  const { keymap } = settings;
+  // Action waiting for its new key
+  const [listeningFor, setListeningFor] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!listeningFor) return;
+
+    const handleKeyDown = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+
+      if (event.key === 'Escape') {
+        setListeningFor(null);
+        return;
+      }
+
+      const key = getEventKey(event);
+      if (!key) return;
+      if (DIGIT_KEYS.includes(key)) {
+        setMessage('Number keys are reserved for jumping through the track.');
+        return;
+      }
+
+      const swapped = Object.keys(keymap).find(action => action !== listeningFor && keymap[action] === key);
+      const swappedLabel = swapped && SHORTCUT_ACTIONS.find(action => action.id === swapped).label;
+      updateSettings({ keymap: rebindKey(keymap, listeningFor, key) });
+      setMessage(swapped ? `${formatKey(key)} was used by "${swappedLabel}", which now uses ${formatKey(keymap[listeningFor])}.` : null);
+      setListeningFor(null);
+    };
+
+    // Capture phase, so the key is not also handled as a shortcut
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [listeningFor, keymap, updateSettings]);
+
+  const handleReset = () => {
+    updateSettings({ keymap: DEFAULT_KEYMAP });
+    setListeningFor(null);
+    setMessage(null);
+  };
+
+  return (
+    <div>
+      <ul className="divide-y divide-border">
+        {SHORTCUT_ACTIONS.map(({ id, label }) => (
+          <li key={id} className="flex items-center justify-between py-2 text-sm">
+            <span className="text-foreground/80">{label}</span>
+            <button
+              onClick={() => {
+                setMessage(null);
+                setListeningFor(listeningFor === id ? null : id);
+              }}
+              aria-label={`Change shortcut for ${label}`}
+              className={`min-w-[5rem] px-2 py-1 rounded-md border text-xs font-mono transition-colors ${
+                listeningFor === id
+                  ? 'border-primary bg-primary/10 text-primary'
+                  : 'border-input bg-muted/50 text-foreground/80 hover:border-muted-foreground/50'
+              }`}
+            >
+              {listeningFor === id ? 'Press a key…' : formatKey(keymap[id])}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {message && <p className="text-xs text-muted-foreground mt-3">{message}</p>}
+
+      <div className="flex items-center justify-between mt-4">
+        <p className="text-xs text-muted-foreground/70">Esc cancels. Number keys always jump.</p>
+        <button
+          onClick={handleReset}
+          className="flex items-center gap-1 text-sm text-muted-foreground hover:text-foreground transition-colors"
+        >
+          <RotateCcw size={14} />
+          Reset to defaults
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default KeymapEditor;
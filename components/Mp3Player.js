@@ -1,178 +1,84 @@
 'use client';
 
-import { useState, useRef, useEffect } from 'react';
+import { useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Upload } from 'lucide-react';
+import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Upload, FolderOpen } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import Visualizer from './Visualizer';
+import SeekBar from './SeekBar';
+import { getTrackSubtitle } from '../utils/audioUtils';
+import { sortFilesByPath } from '../utils/fileImport';
+import { AUDIO_FILE_ACCEPT } from '../utils/audioFormats';
 
 const Mp3Player = () => {
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [isMuted, setIsMuted] = useState(false);
-  const [playlist, setPlaylist] = useState([]);
-  const [currentTrackIndex, setCurrentTrackIndex] = useState(0);
-  const [isLoading, setIsLoading] = useState(false);
+  const {
+    playlist,
+    currentTrack,
+    currentTrackIndex,
+    isPlaying,
+    isLoading,
+    volume,
+    isMuted,
+    togglePlayPause,
+    nextTrack,
+    previousTrack,
+    changeVolume,
+    toggleMute,
+    addToPlaylist
+  } = usePlayer();
 
-  const audioRef = useRef(null);
   const fileInputRef = useRef(null);
-
-  // Load playlist from localStorage on component mount
-  useEffect(() => {
-    const savedPlaylist = localStorage.getItem('mp3-playlist');
-    if (savedPlaylist) {
-      try {
-        const parsedPlaylist = JSON.parse(savedPlaylist);
-        setPlaylist(parsedPlaylist);
-      } catch (error) {
-        console.error('Error parsing saved playlist:', error);
-      }
-    }
-  }, []);
-
-  // Save playlist to localStorage whenever it changes
-  useEffect(() => {
-    if (playlist.length > 0) {
-      localStorage.setItem('mp3-playlist', JSON.stringify(playlist));
-    }
-  }, [playlist]);
-
-  // Handle audio events
-  useEffect(() => {
-    const audio = audioRef.current;
-    if (!audio) return;
-
-    const updateTime = () => setCurrentTime(audio.currentTime);
-    const updateDuration = () => setDuration(audio.duration);
-    const handleEnded = () => handleNext();
-    const handleLoadStart = () => setIsLoading(true);
-    const handleCanPlay = () => setIsLoading(false);
-
-    audio.addEventListener('timeupdate', updateTime);
-    audio.addEventListener('loadedmetadata', updateDuration);
-    audio.addEventListener('ended', handleEnded);
-    audio.addEventListener('loadstart', handleLoadStart);
-    audio.addEventListener('canplay', handleCanPlay);
-
-    return () => {
-      audio.removeEventListener('timeupdate', updateTime);
-      audio.removeEventListener('loadedmetadata', updateDuration);
-      audio.removeEventListener('ended', handleEnded);
-      audio.removeEventListener('loadstart', handleLoadStart);
-      audio.removeEventListener('canplay', handleCanPlay);
-    };
-  }, [currentTrackIndex]);
+  const folderInputRef = useRef(null);
 
   const handleFileUpload = (event) => {
-    const files = Array.from(event.target.files);
-    const mp3Files = files.filter(file => file.type === 'audio/mpeg' || file.name.endsWith('.mp3'));
-    
-    const newTracks = mp3Files.map((file, index) => ({
-      id: Date.now() + index,
-      name: file.name.replace('.mp3', ''),
-      url: URL.createObjectURL(file),
-      file: file
-    }));
-
-    setPlaylist(prev => [...prev, ...newTracks]);
-  };
-
-  const togglePlayPause = () => {
-    if (!audioRef.current || playlist.length === 0) return;
-
-    if (isPlaying) {
-      audioRef.current.pause();
-    } else {
-      audioRef.current.play();
-    }
-    setIsPlaying(!isPlaying);
-  };
-
-  const handleNext = () => {
-    if (playlist.length === 0) return;
-    const nextIndex = (currentTrackIndex + 1) % playlist.length;
-    setCurrentTrackIndex(nextIndex);
-    setIsPlaying(false);
-  };
-
-  const handlePrevious = () => {
-    if (playlist.length === 0) return;
-    const prevIndex = currentTrackIndex === 0 ? playlist.length - 1 : currentTrackIndex - 1;
-    setCurrentTrackIndex(prevIndex);
-    setIsPlaying(false);
-  };
-
-  const handleSeek = (e) => {
-    if (!audioRef.current) return;
-    const rect = e.currentTarget.getBoundingClientRect();
-    const percent = (e.clientX - rect.left) / rect.width;
-    const newTime = percent * duration;
-    audioRef.current.currentTime = newTime;
-    setCurrentTime(newTime);
+    const files = sortFilesByPath(Array.from(event.target.files));
+    addToPlaylist(files);
+    event.target.value = '';
   };
 
   const handleVolumeChange = (e) => {
     const rect = e.currentTarget.getBoundingClientRect();
     const percent = (e.clientX - rect.left) / rect.width;
-    const newVolume = Math.max(0, Math.min(1, percent));
-    setVolume(newVolume);
-    if (audioRef.current) {
-      audioRef.current.volume = newVolume;
-    }
-    setIsMuted(newVolume === 0);
+    changeVolume(percent);
   };
 
-  const toggleMute = () => {
-    if (audioRef.current) {
-      if (isMuted) {
-        audioRef.current.volume = volume;
-        setIsMuted(false);
-      } else {
-        audioRef.current.volume = 0;
-        setIsMuted(true);
-      }
-    }
-  };
-
-  const formatTime = (time) => {
-    if (isNaN(time)) return '0:00';
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
-  };
-
-  const currentTrack = playlist[currentTrackIndex];
-
   return (
-    <div className="w-full max-w-md mx-auto bg-white rounded-2xl shadow-xl overflow-hidden">
-      {/* Audio Element */}
-      {currentTrack && (
-        <audio
-          ref={audioRef}
-          src={currentTrack.url}
-          volume={volume}
-          onPlay={() => setIsPlaying(true)}
-          onPause={() => setIsPlaying(false)}
-        />
-      )}
-
+    <div className="w-full max-w-md mx-auto bg-card rounded-2xl shadow-xl overflow-hidden">
       {/* File Upload */}
-      <div className="p-6 border-b border-gray-100">
+      <div className="p-6 border-b border-border">
         <input
           ref={fileInputRef}
           type="file"
           multiple
-          accept="audio/mp3,audio/mpeg"
+          accept={AUDIO_FILE_ACCEPT}
           onChange={handleFileUpload}
           className="hidden"
         />
-        <button
-          onClick={() => fileInputRef.current?.click()}
-          className="w-full flex items-center justify-center gap-2 p-3 border-2 border-dashed border-gray-300 rounded-lg hover:border-blue-400 transition-colors"
-        >
-          <Upload size={20} />
-          <span>Upload MP3 Files</span>
-        </button>
+        <input
+          ref={folderInputRef}
+          type="file"
+          webkitdirectory=""
+          multiple
+          onChange={handleFileUpload}
+          className="hidden"
+        />
+        <div className="flex gap-2">
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex-1 flex items-center justify-center gap-2 p-3 border-2 border-dashed border-input rounded-lg hover:border-primary/70 transition-colors"
+          >
+            <Upload size={20} />
+            <span>Upload Audio Files</span>
+          </button>
+          <button
+            onClick={() => folderInputRef.current?.click()}
+            title="Import a folder"
+            aria-label="Import a folder"
+            className="flex items-center justify-center p-3 border-2 border-dashed border-input rounded-lg hover:border-primary/70 transition-colors"
+          >
+            <FolderOpen size={20} />
+          </button>
+        </div>
       </div>
 
       {/* Track Info */}
@@ -186,18 +92,30 @@ const Mp3Player = () => {
               exit={{ opacity: 0, y: -20 }}
               transition={{ duration: 0.3 }}
             >
-              <h3 className="text-lg font-semibold text-gray-800 mb-2">
-                {currentTrack.name}
+              {currentTrack.artworkUrl && (
+                <img
+                  src={currentTrack.artworkUrl}
+                  alt=""
+                  className="w-32 h-32 rounded-lg object-cover shadow mx-auto mb-4"
+                />
+              )}
+              <h3 className="text-lg font-semibold text-foreground mb-1">
+                {currentTrack.title}
               </h3>
-              <div className="text-sm text-gray-500">
-                Track {currentTrackIndex + 1} of {playlist.length}
-              </div>
+              {getTrackSubtitle(currentTrack) && (
+                <p className="text-sm text-muted-foreground mb-2">{getTrackSubtitle(currentTrack)}</p>
+              )}
+              {currentTrackIndex !== -1 && (
+                <div className="text-sm text-muted-foreground">
+                  Track {currentTrackIndex + 1} of {playlist.length}
+                </div>
+              )}
             </motion.div>
           ) : (
             <motion.div
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
-              className="text-gray-500"
+              className="text-muted-foreground"
             >
               No tracks loaded
             </motion.div>
@@ -205,21 +123,16 @@ const Mp3Player = () => {
         </AnimatePresence>
       </div>
 
+      {/* Visualizer */}
+      {currentTrack && (
+        <div className="px-6 mb-4">
+          <Visualizer height={64} />
+        </div>
+      )}
+
       {/* Progress Bar */}
       <div className="px-6 mb-4">
-        <div
-          className="w-full h-2 bg-gray-200 rounded-full cursor-pointer"
-          onClick={handleSeek}
-        >
-          <div
-            className="h-full bg-blue-500 rounded-full transition-all duration-100"
-            style={{ width: `${duration ? (currentTime / duration) * 100 : 0}%` }}
-          />
-        </div>
-        <div className="flex justify-between text-xs text-gray-500 mt-1">
-          <span>{formatTime(currentTime)}</span>
-          <span>{formatTime(duration)}</span>
-        </div>
+        <SeekBar height={32} />
       </div>
 
       {/* Controls */}
@@ -228,9 +141,9 @@ const Mp3Player = () => {
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
-            onClick={handlePrevious}
+            onClick={previousTrack}
             disabled={playlist.length === 0}
-            className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            className="p-2 rounded-full bg-muted hover:bg-accent disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <SkipBack size={20} />
           </motion.button>
@@ -240,10 +153,10 @@ const Mp3Player = () => {
             whileTap={{ scale: 0.9 }}
             onClick={togglePlayPause}
             disabled={playlist.length === 0 || isLoading}
-            className="p-4 rounded-full bg-blue-500 hover:bg-blue-600 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            className="p-4 rounded-full bg-primary hover:bg-primary/90 text-primary-foreground disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {isLoading ? (
-              <div className="w-6 h-6 border-2 border-white border-t-transparent rounded-full animate-spin" />
+              <div className="w-6 h-6 border-2 border-primary-foreground border-t-transparent rounded-full animate-spin" />
             ) : isPlaying ? (
               <Pause size={24} />
             ) : (
@@ -254,9 +167,9 @@ const Mp3Player = () => {
           <motion.button
             whileHover={{ scale: 1.1 }}
             whileTap={{ scale: 0.9 }}
-            onClick={handleNext}
+            onClick={nextTrack}
             disabled={playlist.length === 0}
-            className="p-2 rounded-full bg-gray-100 hover:bg-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            className="p-2 rounded-full bg-muted hover:bg-accent disabled:opacity-50 disabled:cursor-not-allowed"
           >
             <SkipForward size={20} />
           </motion.button>
@@ -266,17 +179,17 @@ const Mp3Player = () => {
         <div className="flex items-center gap-2">
           <button onClick={toggleMute} className="p-1">
             {isMuted || volume === 0 ? (
-              <VolumeX size={16} className="text-gray-500" />
+              <VolumeX size={16} className="text-muted-foreground" />
             ) : (
-              <Volume2 size={16} className="text-gray-500" />
+              <Volume2 size={16} className="text-muted-foreground" />
             )}
           </button>
           <div
-            className="flex-1 h-1 bg-gray-200 rounded-full cursor-pointer"
+            className="flex-1 h-1 bg-accent rounded-full cursor-pointer"
             onClick={handleVolumeChange}
           >
             <div
-              className="h-full bg-blue-500 rounded-full"
+              className="h-full bg-primary rounded-full"
               style={{ width: `${isMuted ? 0 : volume * 100}%` }}
             />
           </div>
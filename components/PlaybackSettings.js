@@ -0,0 +1,95 @@
+import React from 'react';
+import { ArrowLeftRight } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import { CROSSFADE_CURVES, MAX_CROSSFADE_SECONDS } from '../utils/audioEngine';
+import { NORMALIZATION_MODES } from '../utils/loudness';
+
+const NORMALIZATION_LABELS = {
+  off: 'Off',
+  track: 'Track gain',
+  album: 'Album gain'
+};
+
+const describeTrackGain = (track, gain, mode) => {
+  if (!track || mode === 'off') return null;
+  if (track.loudnessUnmeasurable) return 'This track is too quiet or short to measure';
+  if (!track.loudness) return 'Measuring loudness of this track…';
+
+  const decibels = 20 * Math.log10(gain);
+  const source = track.loudness.source === 'tags' ? 'ReplayGain tags' : 'analysis';
+  return `This track: ${decibels > 0 ? '+' : ''}${decibels.toFixed(1)} dB (from ${source})`;
+};
+
+const PlaybackSettings = () => {
+  const { settings, updateSettings, currentTrack, currentTrackGain } = usePlayer();
+  const { crossfadeDuration, crossfadeCurve, normalizationMode } = settings;
+  const trackGainDescription = describeTrackGain(currentTrack, currentTrackGain, normalizationMode);
+
+  const handleCrossfadeChange = (e) => {
+    updateSettings({ crossfadeDuration: parseFloat(e.target.value) });
+  };
+
+  const handleCurveChange = (e) => {
+    updateSettings({ crossfadeCurve: e.target.value });
+  };
+
+  return (
+    <div className="bg-card rounded-lg shadow-lg p-6 w-full max-w-md mx-auto">
+      <div className="flex items-center gap-2 mb-4">
+        <ArrowLeftRight size={18} className="text-muted-foreground" />
+        <h3 className="font-semibold text-foreground">Playback</h3>
+      </div>
+
+      <label htmlFor="crossfade-duration" className="flex justify-between text-sm text-muted-foreground mb-2">
+        <span>Crossfade</span>
+        <span className="text-muted-foreground">
+          {crossfadeDuration > 0 ? `${crossfadeDuration.toFixed(1)} s` : 'Off (gapless)'}
+        </span>
+      </label>
+      <input
+        id="crossfade-duration"
+        type="range"
+        min="0"
+        max={MAX_CROSSFADE_SECONDS}
+        step="0.5"
+        value={crossfadeDuration}
+        onChange={handleCrossfadeChange}
+        className="w-full h-2 bg-accent rounded-lg appearance-none cursor-pointer accent-primary"
+      />
+
+      <label htmlFor="crossfade-curve" className="block text-sm text-muted-foreground mt-4 mb-2">
+        Fade curve
+      </label>
+      <select
+        id="crossfade-curve"
+        value={crossfadeCurve}
+        onChange={handleCurveChange}
+        disabled={crossfadeDuration === 0}
+        className="w-full rounded-md border border-input bg-card px-3 py-2 text-sm text-foreground disabled:opacity-50"
+      >
+        {Object.entries(CROSSFADE_CURVES).map(([value, { label }]) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      <label htmlFor="normalization-mode" className="block text-sm text-muted-foreground mt-4 mb-2">
+        Loudness normalization
+      </label>
+      <select
+        id="normalization-mode"
+        value={normalizationMode}
+        onChange={(e) => updateSettings({ normalizationMode: e.target.value })}
+        className="w-full rounded-md border border-input bg-card px-3 py-2 text-sm text-foreground"
+      >
+        {NORMALIZATION_MODES.map(mode => (
+          <option key={mode} value={mode}>{NORMALIZATION_LABELS[mode]}</option>
+        ))}
+      </select>
+      {trackGainDescription && (
+        <p className="text-xs text-muted-foreground mt-2">{trackGainDescription}</p>
+      )}
+    </div>
+  );
+};
+
+export default PlaybackSettings;
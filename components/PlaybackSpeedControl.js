@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { Gauge } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import { PLAYBACK_RATE_STEPS, formatPlaybackRate, normalizePlaybackRate } from '../utils/playbackRate';
+
+/**
+ * Speed row under the volume slider: the current speed, and a panel to pick
+ * another, keep the pitch, save the speed for the track or as the default of
+ * the playlist being played, and show the time left at that speed.
+ */
+const PlaybackSpeedControl = ({ disabled = false }) => {
+  const {
+    currentTrack,
+    playbackRate,
+    defaultPlaybackRate,
+    setPlaybackRate,
+    rememberPlaybackRate,
+    savePlaybackRateAsDefault,
+    playlists,
+    activePlaylistId,
+    settings,
+    updateSettings
+  } = usePlayer();
+  const [isPanelOpen, setIsPanelOpen] = useState(false);
+
+  const activePlaylist = playlists.find(item => item.id === activePlaylistId);
+  const scopeName = activePlaylist ? `"${activePlaylist.name}"` : 'the library';
+  const hasTrackRate = normalizePlaybackRate(currentTrack?.playbackRate) !== null;
+  const isChanged = playbackRate !== 1;
+
+  const stepClassName = (isActive) => `px-2 py-0.5 rounded-md border text-xs tabular-nums transition-colors ${
+    isActive
+      ? 'border-primary bg-primary text-primary-foreground'
+      : 'border-input text-foreground/80 hover:border-primary/70 hover:text-primary'
+  }`;
+
+  return (
+    <div className="mt-4">
+      <button
+        onClick={() => setIsPanelOpen(!isPanelOpen)}
+        disabled={disabled}
+        aria-expanded={isPanelOpen}
+        title="Playback speed"
+        className={`flex items-center gap-1.5 text-sm disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+          isChanged ? 'text-primary' : 'text-muted-foreground hover:text-foreground/80'
+        }`}
+      >
+        <Gauge size={16} />
+        <span>Speed {formatPlaybackRate(playbackRate)}</span>
+      </button>
+
+      {isPanelOpen && !disabled && (
+        <div className="mt-2 space-y-2 text-xs text-muted-foreground">
+          <div className="flex flex-wrap gap-1.5">
+            {PLAYBACK_RATE_STEPS.map(rate => (
+              <button
+                key={rate}
+                onClick={() => setPlaybackRate(rate)}
+                aria-pressed={rate === playbackRate}
+                className={stepClassName(rate === playbackRate)}
+              >
+                {formatPlaybackRate(rate)}
+              </button>
+            ))}
+          </div>
+
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.preservesPitch}
+              onChange={(e) => updateSettings({ preservesPitch: e.target.checked })}
+              className="accent-primary"
+            />
+            Keep pitch
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={hasTrackRate}
+              onChange={(e) => rememberPlaybackRate(e.target.checked)}
+              className="accent-primary"
+            />
+            Always play this track at this speed
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.showRateAdjustedTime}
+              onChange={(e) => updateSettings({ showRateAdjustedTime: e.target.checked })}
+              className="accent-primary"
+            />
+            Show time left at this speed
+          </label>
+
+          <div className="flex items-center justify-between gap-2">
+            <span>Default for {scopeName}: {formatPlaybackRate(defaultPlaybackRate)}</span>
+            <button
+              onClick={savePlaybackRateAsDefault}
+              disabled={playbackRate === defaultPlaybackRate}
+              className="text-primary hover:text-primary/80 disabled:text-muted-foreground/70 disabled:cursor-not-allowed"
+            >
+              Use {formatPlaybackRate(playbackRate)}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaybackSpeedControl;
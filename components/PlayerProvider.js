@@ -0,0 +1,28 @@
+import React, { createContext, useContext } from 'react';
+import useAudioPlayer from '../hooks/useAudioPlayer';
+
+const PlayerContext = createContext(null);
+
+/**
+ * Owns the single player engine for the app; every player view reads
+ * its state and actions through usePlayer()
+ */
+export const PlayerProvider = ({ children }) => {
+  const player = useAudioPlayer();
+
+  return (
+    <PlayerContext.Provider value={player}>
+      {children}
+    </PlayerContext.Provider>
+  );
+};
+
+export const usePlayer = () => {
+  const player = useContext(PlayerContext);
+  if (!player) {
+    throw new Error('usePlayer must be used within a PlayerProvider');
+  }
+  return player;
+};
+
+export default PlayerProvider;
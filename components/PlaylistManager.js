@@ -1,81 +1,245 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Upload, X, Music, Plus, Trash2 } from 'lucide-react';
-
-const PlaylistManager = ({ 
-  playlist, 
-  onPlaylistUpdate, 
-  currentTrack, 
-  onTrackSelect 
-}) => {
+import {
+  Upload,
+  X,
+  Music,
+  Trash2,
+  FileUp,
+  Download,
+  AlertTriangle,
+  ListPlus,
+  GripVertical,
+  ArrowUp,
+  ArrowDown,
+  ListStart,
+  ListEnd,
+  FolderOpen,
+  Settings2
+} from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import PlaylistSwitcher from './PlaylistSwitcher';
+import AddToPlaylistPanel from './AddToPlaylistPanel';
+import ImportReportPanel from './ImportReportPanel';
+import ImportSettings from './ImportSettings';
+import TrackFilterBar from './TrackFilterBar';
+import useDragReorder from '../hooks/useDragReorder';
+import useVirtualList from '../hooks/useVirtualList';
+import { formatTime, getTrackSubtitle } from '../utils/audioUtils';
+import { moveIdsTo, moveIdsBy, getIdRange } from '../utils/trackOrder';
+import { collectDroppedFiles, sortFilesByPath } from '../utils/fileImport';
+import { AUDIO_FILE_ACCEPT } from '../utils/audioFormats';
+import {
+  DEFAULT_TRACK_FILTERS,
+  filterTracks,
+  sortTracks,
+  getTrackSearchText,
+  getTrackFormats
+} from '../utils/trackFilters';
+import {
+  PLAYLIST_FORMATS,
+  PLAYLIST_FILE_ACCEPT,
+  parsePlaylist,
+  serializePlaylist,
+  matchPlaylistEntries
+} from '../utils/playlistFormats';
+import { downloadText } from '../utils/download';
+
+const LIBRARY_NAME = 'Library';
+// Typical height of a track row in pixels, until it has been measured
+const ROW_HEIGHT_ESTIMATE = 66;
+
+// Shows the value a list is sorted by when the row would not otherwise
+const getSortDetail = (track, sortKey) => {
+  if (sortKey === 'playCount') {
+    const count = track.playCount || 0;
+    return `${count} ${count === 1 ? 'play' : 'plays'}`;
+  }
+  if (sortKey === 'addedAt' && track.addedAt) {
+    return `Added ${new Date(track.addedAt).toLocaleDateString()}`;
+  }
+  return null;
+};
+
+const PlaylistManager = () => {
+  const {
+    library,
+    playlists,
+    activePlaylistId,
+    currentTrack,
+    selectTrack,
+    addToPlaylist,
+    removeFromPlaylist,
+    reorderPlaylist,
+    clearPlaylist,
+    createPlaylist,
+    playNext,
+    addToQueue
+  } = usePlayer();
+  // The list on screen; starts on whatever is playing
+  const [viewedPlaylistId, setViewedPlaylistId] = useState(activePlaylistId);
+  // Track whose "Add to playlist" picker is open
+  const [addingTrackId, setAddingTrackId] = useState(null);
   const [isDragOver, setIsDragOver] = useState(false);
-  const [isUploading, setIsUploading] = useState(false);
+  // { done, total } while files are being imported
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [uploadError, setUploadError] = useState('');
+  // Per-file outcome of the last file import, until dismissed
+  const [uploadReport, setUploadReport] = useState(null);
+  const [isImportSettingsOpen, setIsImportSettingsOpen] = useState(false);
+  const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+  // The trash button asks before anything is removed
+  const [isConfirmingClear, setIsConfirmingClear] = useState(false);
+  // Outcome of the last playlist import: { fileName, matchedCount, unresolved, error }
+  const [importReport, setImportReport] = useState(null);
+  // Tracks picked for moving together, and where a shift-click range starts
+  const [selectedIds, setSelectedIds] = useState([]);
+  const selectionAnchorRef = useRef(null);
+  const listRef = useRef(null);
+  // Search, sort and filter chips; see DEFAULT_TRACK_FILTERS
+  const [filters, setFilters] = useState(DEFAULT_TRACK_FILTERS);
+
+  const viewedPlaylist = playlists.find(item => item.id === viewedPlaylistId) || null;
+  const viewedId = viewedPlaylist ? viewedPlaylist.id : null;
+  const viewedName = viewedPlaylist ? viewedPlaylist.name : LIBRARY_NAME;
+
+  const tracks = useMemo(() => {
+    if (!viewedPlaylist) return library;
+    const tracksById = new Map(library.map(track => [track.id, track]));
+    return viewedPlaylist.trackIds.map(id => tracksById.get(id)).filter(Boolean);
+  }, [library, viewedPlaylist]);
+
+  const trackIds = useMemo(() => tracks.map(track => track.id), [tracks]);
+
+  const searchTextById = useMemo(
+    () => new Map(tracks.map(track => [track.id, getTrackSearchText(track)])),
+    [tracks]
+  );
+  const trackFormats = useMemo(() => getTrackFormats(tracks), [tracks]);
+  // What the list shows: the view narrowed by the filters, in the chosen order
+  const visibleTracks = useMemo(
+    () => sortTracks(filterTracks(tracks, filters, searchTextById), filters.sortKey, filters.sortDirection),
+    [tracks, filters, searchTextById]
+  );
+  const visibleIds = useMemo(() => visibleTracks.map(track => track.id), [visibleTracks]);
+  // Moving tracks only makes sense when the list shows the custom order in full
+  const canReorder = filters.sortKey === 'manual' && visibleTracks.length === tracks.length;
+  const selection = useMemo(
+    () => selectedIds.filter(id => trackIds.includes(id)),
+    [selectedIds, trackIds]
+  );
 
   useEffect(() => {
-    // Load playlist from localStorage on component mount
-    const savedPlaylist = localStorage.getItem('mp3-player-playlist');
-    if (savedPlaylist) {
-      try {
-        const parsedPlaylist = JSON.parse(savedPlaylist);
-        onPlaylistUpdate(parsedPlaylist);
-      } catch (error) {
-        console.error('Error loading playlist from localStorage:', error);
-      }
+    setSelectedIds([]);
+    selectionAnchorRef.current = null;
+    setIsConfirmingClear(false);
+  }, [viewedId]);
+
+  // A new search or view starts from the top of the list
+  useEffect(() => {
+    if (listRef.current) listRef.current.scrollTop = 0;
+  }, [viewedId, filters]);
+
+  const toggleSelection = (trackId, extendRange) => {
+    if (extendRange && selectionAnchorRef.current) {
+      const range = getIdRange(visibleIds, selectionAnchorRef.current, trackId);
+      setSelectedIds(prev => [...new Set([...prev, ...range])]);
+    } else {
+      setSelectedIds(prev => (
+        prev.includes(trackId) ? prev.filter(id => id !== trackId) : [...prev, trackId]
+      ));
     }
-  }, [onPlaylistUpdate]);
+    selectionAnchorRef.current = trackId;
+  };
 
-  const savePlaylistToStorage = (newPlaylist) => {
-    try {
-      localStorage.setItem('mp3-player-playlist', JSON.stringify(newPlaylist));
-      onPlaylistUpdate(newPlaylist);
-    } catch (error) {
-      console.error('Error saving playlist to localStorage:', error);
+  // A selected track carries the whole selection with it
+  const getMovingIds = (trackId) => (selection.includes(trackId) ? selection : [trackId]);
+
+  const moveTracks = (movingIds, direction) => {
+    reorderPlaylist(moveIdsBy(trackIds, movingIds, direction), viewedId);
+  };
+
+  const { drag, registerRow, getHandleProps } = useDragReorder({
+    ids: visibleIds,
+    getMovingIds,
+    onDrop: (movingIds, targetIndex) => {
+      reorderPlaylist(moveIdsTo(trackIds, movingIds, targetIndex), viewedId);
+    },
+    scrollRef: listRef
+  });
+
+  const { items, paddingTop, paddingBottom, measureRow } = useVirtualList({
+    ids: visibleIds,
+    estimatedHeight: ROW_HEIGHT_ESTIMATE,
+    scrollRef: listRef
+  });
+
+  const getRowRef = (trackId) => {
+    const register = registerRow(trackId);
+    const measure = measureRow(trackId);
+    return (element) => {
+      register(element);
+      measure(element);
+    };
+  };
+
+  const handleRowClick = (e, track) => {
+    if (e.ctrlKey || e.metaKey || e.shiftKey) {
+      toggleSelection(track.id, e.shiftKey);
+    } else {
+      selectTrack(track, viewedId);
     }
   };
 
-  const handleFileUpload = async (files) => {
-    setIsUploading(true);
-    const newTracks = [];
-
-    for (const file of files) {
-      if (file.type.startsWith('audio/')) {
-        const audioUrl = URL.createObjectURL(file);
-        const track = {
-          id: Date.now() + Math.random(),
-          name: file.name.replace(/\.[^/.]+$/, ''),
-          file: file,
-          url: audioUrl,
-          duration: 0,
-          addedAt: new Date().toISOString()
-        };
-
-        // Get audio duration
-        try {
-          const audio = new Audio(audioUrl);
-          await new Promise((resolve) => {
-            audio.addEventListener('loadedmetadata', () => {
-              track.duration = audio.duration;
-              resolve();
-            });
-          });
-        } catch (error) {
-          console.error('Error loading audio metadata:', error);
-        }
-
-        newTracks.push(track);
-      }
+  const handleHandleKeyDown = (e, trackId) => {
+    if (canReorder && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+      // Keep the global volume shortcuts out of it
+      e.preventDefault();
+      e.stopPropagation();
+      moveTracks(getMovingIds(trackId), e.key === 'ArrowUp' ? -1 : 1);
+    } else if (e.key === 'Escape' && selection.length > 0) {
+      e.stopPropagation();
+      setSelectedIds([]);
+    }
+  };
+
+  const getDropIndicatorClass = (index) => {
+    if (!drag) return '';
+    if (drag.dropIndex === index) return 'shadow-[inset_0_2px_0_0_hsl(var(--primary))]';
+    // Dropping after the last rendered row, which is the end of the list
+    // unless rows past it are virtualized away
+    const lastRenderedIndex = items.length > 0 ? items[items.length - 1].index : -1;
+    if (drag.dropIndex === index + 1 && index === lastRenderedIndex) {
+      return 'shadow-[inset_0_-2px_0_0_hsl(var(--primary))]';
     }
+    return '';
+  };
+
+  const isUploading = uploadProgress !== null;
 
-    const updatedPlaylist = [...playlist, ...newTracks];
-    savePlaylistToStorage(updatedPlaylist);
-    setIsUploading(false);
+  const handleFileUpload = async (files) => {
+    setUploadProgress({ done: 0, total: files.length });
+    setUploadError('');
+    setUploadReport(null);
+    try {
+      const { report } = await addToPlaylist(files, viewedId, { onProgress: setUploadProgress });
+      setUploadReport(report);
+    } catch (err) {
+      console.error('Failed to import files:', err);
+      setUploadError('Import failed');
+    } finally {
+      setUploadProgress(null);
+    }
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragOver(false);
-    const files = Array.from(e.dataTransfer.files);
-    handleFileUpload(files);
+    // Entries have to be read while the drop event is still being handled;
+    // folders come back already sorted by path
+    collectDroppedFiles(e.dataTransfer)
+      .then(handleFileUpload)
+      .catch(err => console.error('Failed to read dropped folders:', err));
   };
 
   const handleDragOver = (e) => {
@@ -89,54 +253,201 @@ const PlaylistManager = ({
   };
 
   const handleFileInput = (e) => {
-    const files = Array.from(e.target.files);
+    const files = sortFilesByPath(Array.from(e.target.files));
     handleFileUpload(files);
     e.target.value = '';
   };
 
-  const removeTrack = (trackId) => {
-    const updatedPlaylist = playlist.filter(track => track.id !== trackId);
-    savePlaylistToStorage(updatedPlaylist);
+  const handleExport = (format) => {
+    const { extension, mimeType } = PLAYLIST_FORMATS[format];
+    const available = tracks.filter(track => !track.missing);
+    downloadText(serializePlaylist(format, available, viewedName), `${viewedName}.${extension}`, mimeType);
+    setIsExportMenuOpen(false);
+  };
+
+  // Matched entries become a new playlist named after the file
+  const handlePlaylistImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const entries = parsePlaylist(await file.text(), file.name);
+      const { matched, unresolved } = matchPlaylistEntries(entries, library);
+      const trackIds = matched.map(({ track }) => track.id);
+
+      if (trackIds.length > 0) {
+        setViewedPlaylistId(createPlaylist(file.name.replace(/\.[^/.]+$/, ''), trackIds));
+      }
+      setImportReport({ fileName: file.name, matchedCount: matched.length, unresolved, error: null });
+    } catch (err) {
+      console.error('Failed to import playlist:', err);
+      setImportReport({ fileName: file.name, matchedCount: 0, unresolved: [], error: err.message });
+    }
   };
 
-  const clearPlaylist = () => {
-    localStorage.removeItem('mp3-player-playlist');
-    onPlaylistUpdate([]);
+  const handleClear = () => {
+    clearPlaylist(viewedId);
+    setIsConfirmingClear(false);
   };
 
   const formatDuration = (seconds) => {
     if (!seconds || isNaN(seconds)) return '--:--';
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+    return formatTime(seconds);
   };
 
   return (
-    <div className="w-full max-w-md mx-auto bg-white rounded-lg shadow-lg overflow-hidden">
+    <div className="w-full max-w-md mx-auto bg-card rounded-lg shadow-lg overflow-hidden">
       {/* Header */}
-      <div className="bg-gradient-to-r from-blue-500 to-purple-600 p-4">
+      <div className="bg-gradient-to-r from-primary to-primary/70 p-4">
         <div className="flex items-center justify-between">
-          <h2 className="text-white font-semibold text-lg">Playlist</h2>
-          {playlist.length > 0 && (
-            <button
-              onClick={clearPlaylist}
-              className="text-white/80 hover:text-white transition-colors"
+          <h2 className="text-primary-foreground font-semibold text-lg truncate">{viewedName}</h2>
+          <div className="flex items-center gap-3">
+            <input
+              type="file"
+              accept={PLAYLIST_FILE_ACCEPT}
+              onChange={handlePlaylistImport}
+              className="hidden"
+              id="playlist-import"
+            />
+            <label
+              htmlFor="playlist-import"
+              title="Import playlist (M3U, PLS, XSPF)"
+              className="text-primary-foreground/80 hover:text-primary-foreground transition-colors cursor-pointer"
             >
-              <Trash2 size={18} />
-            </button>
-          )}
+              <FileUp size={18} />
+            </label>
+            {tracks.length > 0 && (
+              <div className="relative">
+                <button
+                  onClick={() => setIsExportMenuOpen(open => !open)}
+                  title="Export playlist"
+                  aria-haspopup="menu"
+                  aria-expanded={isExportMenuOpen}
+                  className="text-primary-foreground/80 hover:text-primary-foreground transition-colors"
+                >
+                  <Download size={18} />
+                </button>
+                {isExportMenuOpen && (
+                  <div
+                    role="menu"
+                    className="absolute right-0 mt-2 w-36 bg-card rounded-md shadow-lg py-1 z-10"
+                  >
+                    {Object.entries(PLAYLIST_FORMATS).map(([format, { label, extension }]) => (
+                      <button
+                        key={format}
+                        role="menuitem"
+                        onClick={() => handleExport(format)}
+                        className="w-full px-3 py-1.5 text-left text-sm text-foreground/80 hover:bg-muted"
+                      >
+                        {label} <span className="text-muted-foreground/70">.{extension}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+            {tracks.length > 0 && (
+              <button
+                onClick={() => setIsConfirmingClear(true)}
+                title={viewedId ? 'Remove all tracks from this playlist' : 'Clear library'}
+                className="text-primary-foreground/80 hover:text-primary-foreground transition-colors"
+              >
+                <Trash2 size={18} />
+              </button>
+            )}
+          </div>
         </div>
-        <p className="text-white/80 text-sm mt-1">
-          {playlist.length} {playlist.length === 1 ? 'track' : 'tracks'}
+        <p className="text-primary-foreground/80 text-sm mt-1">
+          {tracks.length} {tracks.length === 1 ? 'track' : 'tracks'}
         </p>
       </div>
 
+      {/* Clear Confirmation */}
+      <AnimatePresence>
+        {isConfirmingClear && tracks.length > 0 && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            role="alertdialog"
+            aria-label={viewedId ? 'Empty playlist' : 'Clear library'}
+            className="px-4 py-3 text-sm border-b bg-destructive/10 border-destructive/30 text-destructive"
+          >
+            <p>
+              {viewedId
+                ? `Remove every track from "${viewedName}"? They stay in the library.`
+                : 'Delete every track and its audio from this browser? Your playlists are kept but will be empty. This cannot be undone.'}
+            </p>
+            <div className="flex justify-end gap-2 mt-2">
+              <button
+                onClick={() => setIsConfirmingClear(false)}
+                className="px-3 py-1 rounded-md text-foreground/80 hover:bg-muted transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleClear}
+                className="px-3 py-1 rounded-md bg-destructive text-destructive-foreground hover:bg-destructive/90 transition-colors"
+              >
+                {viewedId ? 'Empty playlist' : 'Clear library'}
+              </button>
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <PlaylistSwitcher selectedId={viewedId} onSelect={setViewedPlaylistId} />
+
+      {/* Import Report */}
+      <AnimatePresence>
+        {importReport && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className={`px-4 py-3 text-sm border-b ${
+              importReport.error || importReport.unresolved.length > 0
+                ? 'bg-warning/10 border-warning/30 text-warning'
+                : 'bg-success/10 border-success/30 text-success'
+            }`}
+          >
+            <div className="flex items-start justify-between gap-2">
+              <p>
+                {importReport.error
+                  ? `Could not read ${importReport.fileName}: ${importReport.error}`
+                  : `${importReport.fileName}: ${importReport.matchedCount} matched, ${importReport.unresolved.length} not found in the library`}
+              </p>
+              <button
+                onClick={() => setImportReport(null)}
+                aria-label="Dismiss"
+                className="p-0.5 opacity-60 hover:opacity-100 transition-opacity"
+              >
+                <X size={14} />
+              </button>
+            </div>
+            {importReport.unresolved.length > 0 && (
+              <ul className="mt-2 max-h-24 overflow-y-auto space-y-1">
+                {importReport.unresolved.map((entry, index) => (
+                  <li key={index} className="flex items-center gap-2 truncate">
+                    <AlertTriangle size={12} className="flex-shrink-0" />
+                    <span className="truncate">
+                      {entry.fileName || entry.title || entry.location}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Upload Area */}
       <motion.div
         className={`p-4 border-2 border-dashed transition-colors ${
           isDragOver 
-            ? 'border-blue-400 bg-blue-50' 
-            : 'border-gray-300 bg-gray-50'
+            ? 'border-primary/70 bg-primary/10' 
+            : 'border-input bg-muted/50'
         }`}
         onDrop={handleDrop}
         onDragOver={handleDragOver}
@@ -147,7 +458,7 @@ const PlaylistManager = ({
         <input
           type="file"
           multiple
-          accept="audio/*"
+          accept={AUDIO_FILE_ACCEPT}
           onChange={handleFileInput}
           className="hidden"
           id="file-upload"
@@ -161,70 +472,238 @@ const PlaylistManager = ({
             transition={{ duration: 1, repeat: isUploading ? Infinity : 0 }}
           >
             {isUploading ? (
-              <div className="w-8 h-8 border-2 border-blue-500 border-t-transparent rounded-full animate-spin" />
+              <div className="w-8 h-8 border-2 border-primary border-t-transparent rounded-full animate-spin" />
             ) : (
-              <Upload className="text-gray-400 mb-2" size={32} />
+              <Upload className="text-muted-foreground/70 mb-2" size={32} />
             )}
           </motion.div>
-          <p className="text-gray-600 text-center text-sm">
-            {isUploading ? 'Uploading...' : 'Drop MP3 files here or click to browse'}
+          <p className="text-muted-foreground text-center text-sm">
+            {isUploading
+              ? `Importing ${uploadProgress.done} of ${uploadProgress.total}...`
+              : 'Drop audio files or folders here or click to browse'}
           </p>
         </label>
+        {isUploading && uploadProgress.total > 0 && (
+          <div
+            role="progressbar"
+            aria-valuemin={0}
+            aria-valuemax={uploadProgress.total}
+            aria-valuenow={uploadProgress.done}
+            className="mt-3 h-1.5 bg-accent rounded-full overflow-hidden"
+          >
+            <div
+              className="h-full bg-primary transition-all"
+              style={{ width: `${(uploadProgress.done / uploadProgress.total) * 100}%` }}
+            />
+          </div>
+        )}
+        <input
+          type="file"
+          webkitdirectory=""
+          multiple
+          onChange={handleFileInput}
+          className="hidden"
+          id="folder-upload"
+        />
+        <div className="flex items-center justify-center gap-3 mt-2 text-xs">
+          {!isUploading && uploadError && <span className="text-destructive">{uploadError}</span>}
+          <label
+            htmlFor="folder-upload"
+            className="flex items-center gap-1 text-primary hover:text-primary/80 cursor-pointer"
+          >
+            <FolderOpen size={14} />
+            Import a folder
+          </label>
+          <button
+            onClick={() => setIsImportSettingsOpen(!isImportSettingsOpen)}
+            aria-expanded={isImportSettingsOpen}
+            className="flex items-center gap-1 text-primary hover:text-primary/80"
+          >
+            <Settings2 size={14} />
+            Import settings
+          </button>
+        </div>
       </motion.div>
 
-      {/* Playlist */}
-      <div className="max-h-64 overflow-y-auto">
-        <AnimatePresence>
-          {playlist.length === 0 ? (
-            <motion.div
-              initial={{ opacity: 0 }}
-              animate={{ opacity: 1 }}
-              className="p-8 text-center"
-            >
-              <Music className="mx-auto text-gray-300 mb-3" size={48} />
-              <p className="text-gray-500">No tracks in playlist</p>
-              <p className="text-gray-400 text-sm mt-1">Add some MP3 files to get started</p>
-            </motion.div>
-          ) : (
-            playlist.map((track, index) => (
-              <motion.div
-                key={track.id}
-                initial={{ opacity: 0, x: -20 }}
-                animate={{ opacity: 1, x: 0 }}
-                exit={{ opacity: 0, x: 20 }}
-                transition={{ delay: index * 0.05 }}
-                className={`flex items-center p-3 border-b border-gray-100 hover:bg-gray-50 transition-colors ${
-                  currentTrack?.id === track.id ? 'bg-blue-50 border-blue-200' : ''
-                }`}
+      {isImportSettingsOpen && <ImportSettings />}
+
+      {/* Upload Report */}
+      <AnimatePresence>
+        {!isUploading && uploadReport && (
+          <ImportReportPanel report={uploadReport} onDismiss={() => setUploadReport(null)} />
+        )}
+      </AnimatePresence>
+
+      {/* Search and Filters */}
+      {tracks.length > 0 && (
+        <TrackFilterBar
+          filters={filters}
+          onChange={(changes) => setFilters(prev => ({ ...prev, ...changes }))}
+          formats={trackFormats}
+          resultCount={visibleTracks.length}
+          totalCount={tracks.length}
+        />
+      )}
+
+      {/* Selection */}
+      {selection.length > 0 && (
+        <div className="flex items-center gap-2 px-4 py-2 bg-primary/10 border-b border-primary/20 text-sm text-primary">
+          <span className="flex-1">{selection.length} selected</span>
+          <button
+            onClick={() => playNext(selection)}
+            title="Play next"
+            className="p-1 hover:text-foreground transition-colors"
+          >
+            <ListStart size={16} />
+          </button>
+          <button
+            onClick={() => addToQueue(selection)}
+            title="Add to queue"
+            className="p-1 hover:text-foreground transition-colors"
+          >
+            <ListEnd size={16} />
+          </button>
+          {canReorder && (
+            <>
+              <button
+                onClick={() => moveTracks(selection, -1)}
+                title="Move up"
+                className="p-1 hover:text-foreground transition-colors"
               >
-                <button
-                  onClick={() => onTrackSelect(track)}
-                  className="flex-1 flex items-center text-left"
+                <ArrowUp size={16} />
+              </button>
+              <button
+                onClick={() => moveTracks(selection, 1)}
+                title="Move down"
+                className="p-1 hover:text-foreground transition-colors"
+              >
+                <ArrowDown size={16} />
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => setSelectedIds([])}
+            title="Clear selection"
+            className="p-1 hover:text-foreground transition-colors"
+          >
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {/* Playlist */}
+      <div ref={listRef} className="max-h-64 overflow-y-auto">
+        {tracks.length === 0 ? (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            className="p-8 text-center"
+          >
+            <Music className="mx-auto text-muted-foreground/50 mb-3" size={48} />
+            <p className="text-muted-foreground">
+              {viewedId ? 'No tracks in this playlist' : 'No tracks in the library'}
+            </p>
+            <p className="text-muted-foreground/70 text-sm mt-1">
+              {viewedId && library.length > 0
+                ? 'Add tracks from the library with the + button on each row'
+                : 'Add some MP3 files to get started'}
+            </p>
+          </motion.div>
+        ) : visibleTracks.length === 0 ? (
+          <div className="p-8 text-center">
+            <p className="text-muted-foreground">No tracks match the search or filters</p>
+          </div>
+        ) : (
+          <div style={{ paddingTop, paddingBottom }}>
+            {items.map(({ index }) => {
+              const track = visibleTracks[index];
+
+              return (
+                <motion.div
+                  key={track.id}
+                  ref={getRowRef(track.id)}
+                  layout="position"
+                  transition={{ layout: { duration: 0.2 } }}
+                  className={`border-b border-border transition-colors ${
+                    selection.includes(track.id)
+                      ? 'bg-primary/10'
+                      : currentTrack?.id === track.id ? 'bg-primary/10 border-primary/30' : 'hover:bg-muted/50'
+                  } ${drag && drag.movingIds.includes(track.id) ? 'opacity-50' : ''} ${getDropIndicatorClass(index)}`}
                 >
-                  <div className={`w-2 h-2 rounded-full mr-3 ${
-                    currentTrack?.id === track.id ? 'bg-blue-500' : 'bg-gray-300'
-                  }`} />
-                  <div className="flex-1 min-w-0">
-                    <p className={`font-medium truncate ${
-                      currentTrack?.id === track.id ? 'text-blue-700' : 'text-gray-900'
-                    }`}>
-                      {track.name}
-                    </p>
-                    <p className="text-gray-500 text-sm">
-                      {formatDuration(track.duration)}
-                    </p>
+                  <div className="flex items-center p-3 pl-1">
+                    <button
+                      {...(canReorder ? getHandleProps(track.id) : {})}
+                      onClick={(e) => toggleSelection(track.id, e.shiftKey)}
+                      onKeyDown={(e) => handleHandleKeyDown(e, track.id)}
+                      aria-label={canReorder ? `Move ${track.title}` : `Select ${track.title}`}
+                      aria-pressed={selection.includes(track.id)}
+                      title={canReorder
+                        ? 'Drag to reorder, click to select, arrow keys to move'
+                        : 'Click to select; switch to custom order with no filters to reorder'}
+                      className={`p-1 mr-1 transition-colors ${
+                        canReorder ? 'touch-none cursor-grab active:cursor-grabbing' : ''
+                      } ${
+                        selection.includes(track.id) ? 'text-primary' : 'text-muted-foreground/50 hover:text-muted-foreground'
+                      }`}
+                    >
+                      <GripVertical size={16} />
+                    </button>
+                    <button
+                      onClick={(e) => handleRowClick(e, track)}
+                      className="flex-1 flex items-center text-left min-w-0"
+                    >
+                      {track.artworkUrl ? (
+                        <img
+                          src={track.artworkUrl}
+                          alt=""
+                          className="w-10 h-10 rounded object-cover mr-3 flex-shrink-0"
+                        />
+                      ) : (
+                        <div className={`w-2 h-2 rounded-full mr-3 ${
+                          currentTrack?.id === track.id ? 'bg-primary' : 'bg-muted-foreground/30'
+                        }`} />
+                      )}
+                      <div className="flex-1 min-w-0">
+                        <p className={`font-medium truncate ${
+                          currentTrack?.id === track.id ? 'text-primary/80' : 'text-foreground'
+                        }`}>
+                          {track.title}
+                        </p>
+                        <p className="text-muted-foreground text-sm truncate">
+                          {track.missing
+                            ? 'File missing, add it again'
+                            : [
+                              getTrackSubtitle(track),
+                              formatDuration(track.duration),
+                              getSortDetail(track, filters.sortKey)
+                            ].filter(Boolean).join(' • ')}
+                        </p>
+                      </div>
+                    </button>
+                    <button
+                      onClick={() => setAddingTrackId(id => (id === track.id ? null : track.id))}
+                      title="Queue or add to playlist"
+                      aria-expanded={addingTrackId === track.id}
+                      className={`p-1 transition-colors ${
+                        addingTrackId === track.id ? 'text-primary' : 'text-muted-foreground/70 hover:text-primary'
+                      }`}
+                    >
+                      <ListPlus size={16} />
+                    </button>
+                    <button
+                      onClick={() => removeFromPlaylist(track.id, viewedId)}
+                      title={viewedId ? 'Remove from playlist' : 'Delete from library'}
+                      className="p-1 text-muted-foreground/70 hover:text-destructive transition-colors"
+                    >
+                      <X size={16} />
+                    </button>
                   </div>
-                </button>
-                <button
-                  onClick={() => removeTrack(track.id)}
-                  className="p-1 text-gray-400 hover:text-red-500 transition-colors"
-                >
-                  <X size={16} />
-                </button>
-              </motion.div>
-            ))
-          )}
-        </AnimatePresence>
+                  {addingTrackId === track.id && <AddToPlaylistPanel track={track} />}
+                </motion.div>
+              );
+            })}
+          </div>
+        )}
       </div>
     </div>
   );
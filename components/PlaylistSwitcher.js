@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import {
+  Library,
+  ListMusic,
+  Plus,
+  Pencil,
+  Copy,
+  ChevronUp,
+  ChevronDown,
+  Trash2
+} from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+
+/**
+ * Lists the library and the named playlists, with controls to create,
+ * rename, duplicate, reorder and delete playlists. `selectedId` is the list
+ * being viewed (null for the library); `onSelect` receives the new choice.
+ */
+const PlaylistSwitcher = ({ selectedId, onSelect }) => {
+  const {
+    library,
+    playlists,
+    activePlaylistId,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    movePlaylist
+  } = usePlayer();
+  const [renamingId, setRenamingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  const startRename = (playlist) => {
+    setRenamingId(playlist.id);
+    setDraftName(playlist.name);
+  };
+
+  const finishRename = () => {
+    if (renamingId) renamePlaylist(renamingId, draftName);
+    setRenamingId(null);
+  };
+
+  const handleCreate = () => {
+    const id = createPlaylist('New playlist');
+    onSelect(id);
+    setRenamingId(id);
+    setDraftName('New playlist');
+  };
+
+  const handleRenameKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      finishRename();
+    } else if (e.key === 'Escape') {
+      setRenamingId(null);
+    }
+  };
+
+  const rowClassName = (isSelected) => `w-full flex items-center gap-2 px-4 py-1.5 text-sm text-left transition-colors ${
+    isSelected ? 'bg-primary/10 text-primary/80' : 'text-foreground/80 hover:bg-muted/50'
+  }`;
+
+  const actionClassName = 'p-1 text-muted-foreground/70 hover:text-foreground/80 disabled:opacity-30 disabled:hover:text-muted-foreground/70 transition-colors';
+
+  return (
+    <div className="border-b border-border">
+      <div className="flex items-center justify-between px-4 pt-3 pb-1">
+        <span className="text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+          Playlists
+        </span>
+        <button
+          onClick={handleCreate}
+          title="New playlist"
+          className="p-1 text-muted-foreground/70 hover:text-primary transition-colors"
+        >
+          <Plus size={16} />
+        </button>
+      </div>
+
+      <ul className="max-h-40 overflow-y-auto pb-2">
+        <li>
+          <button onClick={() => onSelect(null)} className={rowClassName(selectedId === null)}>
+            <Library size={14} className="flex-shrink-0" />
+            <span className="flex-1 truncate">Library</span>
+            {activePlaylistId === null && <span className="text-xs text-primary">playing</span>}
+            <span className="text-xs text-muted-foreground/70">{library.length}</span>
+          </button>
+        </li>
+
+        {playlists.map((playlist, index) => {
+          const isSelected = playlist.id === selectedId;
+
+          return (
+            <li key={playlist.id} className="flex items-center">
+              {renamingId === playlist.id ? (
+                <div className={rowClassName(true)}>
+                  <ListMusic size={14} className="flex-shrink-0" />
+                  <input
+                    value={draftName}
+                    onChange={(e) => setDraftName(e.target.value)}
+                    onBlur={finishRename}
+                    onKeyDown={handleRenameKeyDown}
+                    autoFocus
+                    aria-label="Playlist name"
+                    className="flex-1 min-w-0 px-1 py-0.5 rounded border border-primary/50 text-foreground focus:outline-none focus:ring-1 focus:ring-ring"
+                  />
+                </div>
+              ) : (
+                <button onClick={() => onSelect(playlist.id)} className={rowClassName(isSelected)}>
+                  <ListMusic size={14} className="flex-shrink-0" />
+                  <span className="flex-1 truncate">{playlist.name}</span>
+                  {activePlaylistId === playlist.id && (
+                    <span className="text-xs text-primary">playing</span>
+                  )}
+                  <span className="text-xs text-muted-foreground/70">{playlist.trackIds.length}</span>
+                </button>
+              )}
+
+              {isSelected && renamingId !== playlist.id && (
+                <div className="flex items-center pr-3 bg-primary/10 self-stretch">
+                  <button onClick={() => startRename(playlist)} title="Rename" className={actionClassName}>
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => onSelect(duplicatePlaylist(playlist.id))}
+                    title="Duplicate"
+                    className={actionClassName}
+                  >
+                    <Copy size={14} />
+                  </button>
+                  <button
+                    onClick={() => movePlaylist(playlist.id, index - 1)}
+                    disabled={index === 0}
+                    title="Move up"
+                    className={actionClassName}
+                  >
+                    <ChevronUp size={14} />
+                  </button>
+                  <button
+                    onClick={() => movePlaylist(playlist.id, index + 1)}
+                    disabled={index === playlists.length - 1}
+                    title="Move down"
+                    className={actionClassName}
+                  >
+                    <ChevronDown size={14} />
+                  </button>
+                  <button
+                    onClick={() => {
+                      deletePlaylist(playlist.id);
+                      onSelect(null);
+                    }}
+                    title="Delete playlist"
+                    className="p-1 text-muted-foreground/70 hover:text-destructive transition-colors"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default PlaylistSwitcher;
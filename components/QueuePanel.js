@@ -0,0 +1,133 @@
+import React, { useRef } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { ListOrdered, GripVertical, X, Trash2 } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import useDragReorder from '../hooks/useDragReorder';
+import { formatTime, getTrackSubtitle } from '../utils/audioUtils';
+import { moveIdsTo, moveIdsBy } from '../utils/trackOrder';
+
+/**
+ * The up-next queue: tracks queued with "Play next" or "Add to queue" play
+ * before the playlist carries on. Entries can be dragged, moved with the
+ * arrow keys on their handle, played straight away or removed.
+ */
+const QueuePanel = () => {
+  const {
+    queue,
+    library,
+    playlists,
+    activePlaylistId,
+    reorderQueue,
+    removeFromQueue,
+    clearQueue,
+    playFromQueue
+  } = usePlayer();
+  const listRef = useRef(null);
+
+  const tracksById = new Map(library.map(track => [track.id, track]));
+  const entryIds = queue.map(entry => entry.id);
+  const activePlaylist = playlists.find(item => item.id === activePlaylistId);
+
+  const { drag, registerRow, getHandleProps } = useDragReorder({
+    ids: entryIds,
+    getMovingIds: (entryId) => [entryId],
+    onDrop: (movingIds, targetIndex) => reorderQueue(moveIdsTo(entryIds, movingIds, targetIndex)),
+    scrollRef: listRef
+  });
+
+  const handleHandleKeyDown = (e, entryId) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    // Keep the global volume shortcuts out of it
+    e.preventDefault();
+    e.stopPropagation();
+    reorderQueue(moveIdsBy(entryIds, [entryId], e.key === 'ArrowUp' ? -1 : 1));
+  };
+
+  return (
+    <div className="bg-card rounded-lg shadow-lg p-6 w-full max-w-md mx-auto">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <ListOrdered size={18} className="text-muted-foreground" />
+          <h3 className="font-semibold text-foreground">Up next</h3>
+          {queue.length > 0 && <span className="text-sm text-muted-foreground">{queue.length}</span>}
+        </div>
+        {queue.length > 0 && (
+          <button
+            onClick={clearQueue}
+            title="Clear queue"
+            className="p-1 text-muted-foreground/70 hover:text-destructive transition-colors"
+          >
+            <Trash2 size={16} />
+          </button>
+        )}
+      </div>
+
+      {queue.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          Queue is empty. Playback continues through {activePlaylist ? `"${activePlaylist.name}"` : 'the library'}.
+        </p>
+      ) : (
+        <div ref={listRef} className="max-h-56 overflow-y-auto -mx-2">
+          <AnimatePresence initial={false}>
+            {queue.map((entry, index) => {
+              const track = tracksById.get(entry.trackId);
+              if (!track) return null;
+
+              const isMoving = drag && drag.movingIds.includes(entry.id);
+              let dropIndicator = '';
+              if (drag && drag.dropIndex === index) {
+                dropIndicator = 'shadow-[inset_0_2px_0_0_hsl(var(--primary))]';
+              } else if (drag && drag.dropIndex === queue.length && index === queue.length - 1) {
+                dropIndicator = 'shadow-[inset_0_-2px_0_0_hsl(var(--primary))]';
+              }
+
+              return (
+                <motion.div
+                  key={entry.id}
+                  ref={registerRow(entry.id)}
+                  layout="position"
+                  initial={{ opacity: 0, height: 0 }}
+                  animate={{ opacity: 1, height: 'auto' }}
+                  exit={{ opacity: 0, height: 0 }}
+                  transition={{ duration: 0.2 }}
+                  className={`flex items-center rounded-md hover:bg-muted/50 ${isMoving ? 'opacity-50' : ''} ${dropIndicator}`}
+                >
+                  <button
+                    {...getHandleProps(entry.id)}
+                    onKeyDown={(e) => handleHandleKeyDown(e, entry.id)}
+                    aria-label={`Move ${track.title}`}
+                    title="Drag or use the arrow keys to reorder"
+                    className="p-2 text-muted-foreground/50 hover:text-muted-foreground touch-none cursor-grab active:cursor-grabbing transition-colors"
+                  >
+                    <GripVertical size={16} />
+                  </button>
+                  <button
+                    onClick={() => playFromQueue(entry.id)}
+                    title="Play now"
+                    className="flex-1 min-w-0 py-2 text-left"
+                  >
+                    <p className="text-sm font-medium text-foreground truncate">{track.title}</p>
+                    <p className="text-xs text-muted-foreground truncate">
+                      {[getTrackSubtitle(track), track.duration ? formatTime(track.duration) : null]
+                        .filter(Boolean)
+                        .join(' • ')}
+                    </p>
+                  </button>
+                  <button
+                    onClick={() => removeFromQueue(entry.id)}
+                    title="Remove from queue"
+                    className="p-2 text-muted-foreground/70 hover:text-destructive transition-colors"
+                  >
+                    <X size={16} />
+                  </button>
+                </motion.div>
+              );
+            })}
+          </AnimatePresence>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QueuePanel;
@@ -0,0 +1,256 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { usePlayer } from './PlayerProvider';
+import { formatTime } from '../utils/audioUtils';
+import { formatPlaybackRate } from '../utils/playbackRate';
+
+// Seconds moved by the arrow keys and by Page Up / Page Down
+const KEYBOARD_STEP = 5;
+const KEYBOARD_PAGE_STEP = 30;
+// Height of silent columns, so the overview never shows gaps
+const MIN_BAR_HEIGHT = 6;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const SeekBar = ({ height = 40, disabled = false, showTimes = true, className = '' }) => {
+  const {
+    currentTrack,
+    currentTime,
+    duration,
+    buffered,
+    seek,
+    playbackRate,
+    settings,
+    abLoop,
+    setLoopPoint,
+    bookmarks
+  } = usePlayer();
+  const barRef = useRef(null);
+  // Position under the finger or cursor while dragging; applied on release
+  const [dragTime, setDragTime] = useState(null);
+  const [hoverTime, setHoverTime] = useState(null);
+  // A–B loop marker being dragged: 'start' or 'end'
+  const [draggedPoint, setDraggedPoint] = useState(null);
+  const isDisabled = disabled || !currentTrack || !duration;
+
+  const waveform = currentTrack?.waveform;
+  const columns = useMemo(() => (waveform ? Array.from(waveform) : null), [waveform]);
+
+  const shownTime = dragTime ?? currentTime;
+  const progress = duration ? clamp(shownTime / duration, 0, 1) : 0;
+  const previewTime = dragTime ?? (draggedPoint ? abLoop[draggedPoint] : hoverTime);
+  // Wall-clock time left at the current speed, when chosen in the settings
+  const remainingTime = settings.showRateAdjustedTime ? Math.max(0, duration - shownTime) / playbackRate : null;
+
+  const timeAtPointer = (clientX) => {
+    const rect = barRef.current.getBoundingClientRect();
+    return clamp((clientX - rect.left) / rect.width, 0, 1) * duration;
+  };
+
+  const handlePointerDown = (e) => {
+    if (isDisabled || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    e.currentTarget.focus();
+    setDragTime(timeAtPointer(e.clientX));
+  };
+
+  const handlePointerMove = (e) => {
+    if (isDisabled) return;
+    const time = timeAtPointer(e.clientX);
+    if (dragTime !== null) {
+      setDragTime(time);
+    } else if (e.pointerType === 'mouse') {
+      setHoverTime(time);
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (dragTime === null) return;
+    seek(timeAtPointer(e.clientX));
+    setDragTime(null);
+  };
+
+  // Loop markers capture their own drags, so the bar underneath does not seek
+  const handleMarkerPointerDown = (e, point) => {
+    if (isDisabled || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDraggedPoint(point);
+  };
+
+  const handleMarkerPointerMove = (e, point) => {
+    if (draggedPoint !== point) return;
+    e.stopPropagation();
+    setLoopPoint(point, timeAtPointer(e.clientX));
+  };
+
+  const handleMarkerPointerUp = (e) => {
+    if (draggedPoint === null) return;
+    e.stopPropagation();
+    setDraggedPoint(null);
+  };
+
+  const toPercent = (time) => `${(time / duration) * 100}%`;
+
+  const handleKeyDown = (e) => {
+    if (isDisabled) return;
+
+    const targets = {
+      ArrowRight: currentTime + KEYBOARD_STEP,
+      ArrowUp: currentTime + KEYBOARD_STEP,
+      ArrowLeft: currentTime - KEYBOARD_STEP,
+      ArrowDown: currentTime - KEYBOARD_STEP,
+      PageUp: currentTime + KEYBOARD_PAGE_STEP,
+      PageDown: currentTime - KEYBOARD_PAGE_STEP,
+      Home: 0,
+      End: duration
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    seek(clamp(targets[e.key], 0, duration));
+  };
+
+  const bufferedRects = buffered.map(([start, end]) => ({
+    x: duration ? (start / duration) * 100 : 0,
+    width: duration ? ((end - start) / duration) * 100 : 0
+  }));
+
+  return (
+    <div className={className}>
+      <div
+        ref={barRef}
+        role="slider"
+        tabIndex={isDisabled ? -1 : 0}
+        aria-label="Seek"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(duration || 0)}
+        aria-valuenow={Math.round(shownTime || 0)}
+        aria-valuetext={`${formatTime(shownTime)} of ${formatTime(duration)}`}
+        aria-disabled={isDisabled}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => setDragTime(null)}
+        onPointerLeave={() => setHoverTime(null)}
+        onKeyDown={handleKeyDown}
+        className={`relative select-none rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-ring ${
+          isDisabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'
+        }`}
+        style={{ height, touchAction: 'none' }}
+      >
+        {columns ? (
+          <svg
+            viewBox={`0 0 ${columns.length} 100`}
+            preserveAspectRatio="none"
+            className="w-full h-full"
+            aria-hidden="true"
+          >
+            {bufferedRects.map(({ x, width }, index) => (
+              <rect
+                key={index}
+                x={(x / 100) * columns.length}
+                width={(width / 100) * columns.length}
+                y="0"
+                height="100"
+                className="fill-muted"
+              />
+            ))}
+            {columns.map((value, index) => {
+              const barHeight = Math.max(MIN_BAR_HEIGHT, (value / 255) * 100);
+              return (
+                <rect
+                  key={index}
+                  x={index + 0.15}
+                  width="0.7"
+                  y={(100 - barHeight) / 2}
+                  height={barHeight}
+                  className={(index + 0.5) / columns.length <= progress ? 'fill-primary' : 'fill-muted-foreground/30'}
+                />
+              );
+            })}
+          </svg>
+        ) : (
+          // No overview yet (still analysing, or too long to decode)
+          <svg
+            viewBox="0 0 100 100"
+            preserveAspectRatio="none"
+            className="w-full h-full"
+            aria-hidden="true"
+          >
+            <rect x="0" y="42" width="100" height="16" rx="8" className="fill-accent" />
+            {bufferedRects.map(({ x, width }, index) => (
+              <rect key={index} x={x} y="42" width={width} height="16" className="fill-muted-foreground/30" />
+            ))}
+            <rect x="0" y="42" width={progress * 100} height="16" className="fill-primary" />
+          </svg>
+        )}
+
+        {/* A–B loop region and its draggable markers */}
+        {!isDisabled && abLoop.start !== null && abLoop.end !== null && (
+          <div
+            className={`absolute top-0 bottom-0 pointer-events-none ${abLoop.isActive ? 'bg-primary/20' : 'bg-muted-foreground/20'}`}
+            style={{ left: toPercent(abLoop.start), width: toPercent(abLoop.end - abLoop.start) }}
+          />
+        )}
+        {!isDisabled && [['start', 'A'], ['end', 'B']].map(([point, label]) => abLoop[point] !== null && (
+          <div
+            key={point}
+            title={`Loop point ${label}; drag to move`}
+            onPointerDown={(e) => handleMarkerPointerDown(e, point)}
+            onPointerMove={(e) => handleMarkerPointerMove(e, point)}
+            onPointerUp={handleMarkerPointerUp}
+            onPointerCancel={() => setDraggedPoint(null)}
+            className="absolute top-0 bottom-0 w-3 -ml-1.5 flex justify-center cursor-ew-resize"
+            style={{ left: toPercent(abLoop[point]) }}
+          >
+            <div className={`w-0.5 h-full ${abLoop.isActive ? 'bg-primary' : 'bg-muted-foreground/60'}`} />
+            <span className={`absolute -top-4 text-[10px] font-semibold ${abLoop.isActive ? 'text-primary' : 'text-muted-foreground/70'}`}>
+              {label}
+            </span>
+          </div>
+        ))}
+
+        {/* Bookmarks */}
+        {!isDisabled && bookmarks.map(bookmark => (
+          <div
+            key={bookmark.id}
+            className="absolute bottom-0 w-1.5 h-1.5 -ml-[3px] rotate-45 pointer-events-none bg-warning"
+            style={{ left: toPercent(Math.min(bookmark.time, duration)) }}
+          />
+        ))}
+
+        {/* Playhead */}
+        {!isDisabled && (
+          <div
+            className="absolute top-0 bottom-0 w-0.5 -ml-px rounded-full pointer-events-none bg-primary"
+            style={{ left: `${progress * 100}%` }}
+          />
+        )}
+
+        {/* Time preview while hovering or dragging */}
+        {!isDisabled && previewTime !== null && (
+          <div
+            className="absolute bottom-full mb-2 -translate-x-1/2 px-2 py-0.5 rounded text-xs tabular-nums pointer-events-none shadow bg-foreground text-background"
+            style={{ left: `${(previewTime / duration) * 100}%` }}
+          >
+            {formatTime(previewTime)}
+          </div>
+        )}
+      </div>
+
+      {showTimes && (
+        <div className="flex justify-between text-sm text-muted-foreground mt-2">
+          <span>{formatTime(shownTime)}</span>
+          {remainingTime === null ? (
+            <span>{formatTime(duration)}</span>
+          ) : (
+            <span title={`Time left at ${formatPlaybackRate(playbackRate)}`}>-{formatTime(remainingTime)}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SeekBar;
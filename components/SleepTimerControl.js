@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Moon, Plus, X } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+
+const PRESET_MINUTES = [15, 30, 60];
+// What the extend button adds to a running timer
+const EXTEND_MINUTES = 15;
+const MAX_CUSTOM_MINUTES = 24 * 60;
+
+/**
+ * Sleep timer row under the volume slider: the time left with one-click
+ * extend and cancel while a timer runs, and a panel of presets, a custom
+ * length and "end of track" to start one.
+ */
+const SleepTimerControl = ({ disabled = false }) => {
+  const {
+    sleepTimer,
+    startSleepTimer,
+    stopAtEndOfTrack,
+    extendSleepTimer,
+    cancelSleepTimer,
+    formatTime
+  } = usePlayer();
+  const [isPanelOpen, setIsPanelOpen] = useState(false);
+  const [customMinutes, setCustomMinutes] = useState('');
+
+  const customValue = parseInt(customMinutes, 10);
+  const isCustomValid = Number.isFinite(customValue) && customValue > 0 && customValue <= MAX_CUSTOM_MINUTES;
+
+  const start = (minutes) => {
+    startSleepTimer(minutes);
+    setIsPanelOpen(false);
+  };
+
+  const handleCustomSubmit = (e) => {
+    e.preventDefault();
+    if (!isCustomValid) return;
+    start(customValue);
+    setCustomMinutes('');
+  };
+
+  const handleEndOfTrack = () => {
+    stopAtEndOfTrack();
+    setIsPanelOpen(false);
+  };
+
+  const presetClassName = 'px-2.5 py-1 rounded-md border border-input text-xs text-foreground/80 hover:border-primary/70 hover:text-primary transition-colors';
+
+  let status = null;
+  if (sleepTimer) {
+    status = sleepTimer.mode === 'endOfTrack'
+      ? `Stops after this track${Number.isFinite(sleepTimer.secondsLeft) ? ` (${formatTime(sleepTimer.secondsLeft)})` : ''}`
+      : `Stops in ${formatTime(Math.ceil(sleepTimer.secondsLeft))}`;
+  }
+
+  return (
+    <div className="mt-4">
+      <div className="flex items-center gap-2 text-sm">
+        <button
+          onClick={() => setIsPanelOpen(!isPanelOpen)}
+          disabled={disabled}
+          aria-expanded={isPanelOpen}
+          title="Sleep timer"
+          className={`flex items-center gap-1.5 disabled:opacity-50 disabled:cursor-not-allowed transition-colors ${
+            sleepTimer ? 'text-primary' : 'text-muted-foreground hover:text-foreground/80'
+          }`}
+        >
+          <Moon size={16} />
+          {!sleepTimer && <span>Sleep timer</span>}
+        </button>
+
+        {sleepTimer && (
+          <>
+            <span className="flex-1 text-muted-foreground tabular-nums" aria-live="polite">{status}</span>
+            <button
+              onClick={() => extendSleepTimer(EXTEND_MINUTES)}
+              title={`Add ${EXTEND_MINUTES} minutes`}
+              className="flex items-center gap-0.5 px-1.5 py-0.5 rounded text-xs text-muted-foreground hover:bg-muted transition-colors"
+            >
+              <Plus size={12} />
+              {EXTEND_MINUTES} min
+            </button>
+            <button
+              onClick={cancelSleepTimer}
+              title="Cancel sleep timer"
+              aria-label="Cancel sleep timer"
+              className="p-1 rounded text-muted-foreground hover:text-foreground/80 hover:bg-muted transition-colors"
+            >
+              <X size={14} />
+            </button>
+          </>
+        )}
+      </div>
+
+      {isPanelOpen && !disabled && (
+        <div className="mt-2 flex flex-wrap items-center gap-1.5">
+          {PRESET_MINUTES.map(minutes => (
+            <button key={minutes} onClick={() => start(minutes)} className={presetClassName}>
+              {minutes} min
+            </button>
+          ))}
+          <button onClick={handleEndOfTrack} className={presetClassName}>
+            End of track
+          </button>
+          <form onSubmit={handleCustomSubmit} className="flex items-center gap-1">
+            <input
+              type="number"
+              min="1"
+              max={MAX_CUSTOM_MINUTES}
+              value={customMinutes}
+              onChange={(e) => setCustomMinutes(e.target.value)}
+              placeholder="Min"
+              aria-label="Custom sleep timer in minutes"
+              className="w-16 rounded-md border border-input bg-card px-2 py-1 text-xs text-foreground"
+            />
+            <button type="submit" disabled={!isCustomValid} className={`${presetClassName} disabled:opacity-50`}>
+              Start
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SleepTimerControl;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { Palette, Sun, Moon, Monitor, Check } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import { THEME_MODES, ACCENT_COLORS } from '../utils/theme';
+
+const MODE_ICONS = {
+  light: Sun,
+  dark: Moon,
+  system: Monitor
+};
+
+/**
+ * Button in the page header that opens the theme choice: light, dark or
+ * following the system, and the accent colour. The choice is saved with the
+ * player settings.
+ */
+const ThemePicker = ({ className = '' }) => {
+  const { settings, updateSettings } = usePlayer();
+  const [isOpen, setIsOpen] = useState(false);
+  const { theme } = settings;
+
+  const setTheme = (changes) => updateSettings({ theme: { ...theme, ...changes } });
+
+  return (
+    <div className={className}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        title="Theme"
+        aria-label="Theme"
+        className="p-2 rounded-full text-muted-foreground hover:text-foreground hover:bg-accent transition-colors"
+      >
+        <Palette size={18} />
+      </button>
+
+      {isOpen && (
+        <div className="absolute left-0 top-full mt-1 z-20 w-56 rounded-lg border bg-popover p-3 text-left text-popover-foreground shadow-lg">
+          <div className="grid grid-cols-3 gap-1 rounded-md bg-muted p-1">
+            {Object.entries(THEME_MODES).map(([mode, { label }]) => {
+              const Icon = MODE_ICONS[mode];
+              const isActive = theme.mode === mode;
+              return (
+                <button
+                  key={mode}
+                  onClick={() => setTheme({ mode })}
+                  aria-pressed={isActive}
+                  className={`flex flex-col items-center gap-1 rounded px-2 py-1.5 text-xs transition-colors ${
+                    isActive ? 'bg-card text-foreground shadow-sm' : 'text-muted-foreground hover:text-foreground'
+                  }`}
+                >
+                  <Icon size={16} />
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+
+          <p className="mt-3 mb-2 text-xs text-muted-foreground">Accent colour</p>
+          <div className="flex gap-2">
+            {Object.entries(ACCENT_COLORS).map(([accent, { label, swatch }]) => (
+              <button
+                key={accent}
+                onClick={() => setTheme({ accent })}
+                aria-pressed={theme.accent === accent}
+                title={label}
+                aria-label={label}
+                className="flex h-7 w-7 items-center justify-center rounded-full ring-offset-2 ring-offset-popover transition-shadow hover:ring-2 hover:ring-ring"
+                style={{ backgroundColor: swatch }}
+              >
+                {theme.accent === accent && <Check size={14} className="text-white" />}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThemePicker;
@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { formatPreciseTime, parseTime } from '../utils/audioUtils';
+
+/**
+ * Text field for a position in a track, typed as seconds, M:SS or H:MM:SS.
+ * value is in seconds, or null for none; onChange receives the new seconds
+ * on Enter or when the field loses focus, and text that cannot be read is
+ * put back.
+ */
+const TimeInput = ({ value, onChange, placeholder = '--:--', disabled = false, className = '', ...props }) => {
+  const shownValue = value === null ? '' : formatPreciseTime(value);
+  const [text, setText] = useState(shownValue);
+
+  useEffect(() => {
+    setText(shownValue);
+  }, [shownValue]);
+
+  const commit = () => {
+    const seconds = parseTime(text);
+    if (seconds === null || text.trim() === '') {
+      setText(shownValue);
+      return;
+    }
+    // A changed value comes back through the effect; this covers one that
+    // was clamped to what it already was
+    setText(shownValue);
+    onChange(seconds);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      commit();
+    } else if (e.key === 'Escape') {
+      setText(shownValue);
+    }
+  };
+
+  return (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={handleKeyDown}
+      placeholder={placeholder}
+      disabled={disabled}
+      className={`rounded-md border border-input bg-card px-2 py-1 text-xs tabular-nums text-foreground disabled:opacity-50 ${className}`}
+      {...props}
+    />
+  );
+};
+
+export default TimeInput;
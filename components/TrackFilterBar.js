@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Search, X, SlidersHorizontal, ArrowDownNarrowWide, ArrowDownWideNarrow, Check } from 'lucide-react';
+import { AUDIO_FORMATS } from '../utils/audioFormats';
+import {
+  SORT_OPTIONS,
+  DURATION_RANGES,
+  DEFAULT_TRACK_FILTERS,
+  hasActiveFilters
+} from '../utils/trackFilters';
+
+const toggleItem = (items, item) => (
+  items.includes(item) ? items.filter(value => value !== item) : [...items, item]
+);
+
+/**
+ * Search box, sort order and filter chips above the track list. filters has
+ * the shape of DEFAULT_TRACK_FILTERS and onChange receives the changed
+ * fields; formats lists the formats worth offering as chips. resultCount and
+ * totalCount say how many tracks are shown out of how many.
+ */
+const TrackFilterBar = ({ filters, onChange, formats, resultCount, totalCount }) => {
+  const [isChipsOpen, setIsChipsOpen] = useState(false);
+  const isFiltered = hasActiveFilters(filters);
+  const chipFilterCount = filters.formats.length + filters.durationRanges.length;
+  // A picked format stays on offer after its last track leaves the list
+  const formatChips = [...formats, ...filters.formats.filter(format => !formats.includes(format))];
+  const chipClassName = 'flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs transition-colors';
+
+  const renderChip = (key, label, isActive, onClick) => (
+    <button
+      key={key}
+      onClick={onClick}
+      aria-pressed={isActive}
+      className={`${chipClassName} ${
+        isActive
+          ? 'border-primary bg-primary text-primary-foreground'
+          : 'border-input text-muted-foreground hover:border-primary/70'
+      }`}
+    >
+      {isActive && <Check size={12} />}
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="px-4 py-2 border-b space-y-2">
+      <div className="flex items-center gap-2">
+        <div className="relative flex-1">
+          <Search size={14} className="absolute left-2 top-1/2 -translate-y-1/2 text-muted-foreground/70" />
+          <input
+            type="search"
+            value={filters.query}
+            onChange={(e) => onChange({ query: e.target.value })}
+            placeholder="Search title, artist, album, file"
+            aria-label="Search tracks"
+            className="w-full rounded-md border border-input bg-card pl-7 pr-2 py-1 text-sm text-foreground"
+          />
+        </div>
+        <select
+          value={filters.sortKey}
+          onChange={(e) => onChange({ sortKey: e.target.value })}
+          aria-label="Sort by"
+          className="rounded-md border border-input bg-card px-2 py-1 text-sm text-foreground"
+        >
+          {Object.entries(SORT_OPTIONS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <button
+          onClick={() => onChange({ sortDirection: filters.sortDirection === 'asc' ? 'desc' : 'asc' })}
+          disabled={filters.sortKey === 'manual'}
+          title={filters.sortDirection === 'asc' ? 'Ascending' : 'Descending'}
+          aria-label="Reverse sort order"
+          className="p-1 text-muted-foreground hover:text-foreground/80 disabled:opacity-40 transition-colors"
+        >
+          {filters.sortDirection === 'asc' ? <ArrowDownNarrowWide size={16} /> : <ArrowDownWideNarrow size={16} />}
+        </button>
+        <button
+          onClick={() => setIsChipsOpen(!isChipsOpen)}
+          aria-expanded={isChipsOpen}
+          title="Filters"
+          className={`relative p-1 transition-colors ${
+            chipFilterCount > 0 ? 'text-primary' : 'text-muted-foreground hover:text-foreground/80'
+          }`}
+        >
+          <SlidersHorizontal size={16} />
+          {chipFilterCount > 0 && (
+            <span className="absolute -top-1 -right-1 min-w-[1rem] h-4 px-0.5 rounded-full bg-primary text-[10px] leading-4 text-primary-foreground">
+              {chipFilterCount}
+            </span>
+          )}
+        </button>
+      </div>
+
+      {isChipsOpen && (
+        <div className="flex flex-wrap gap-1.5">
+          {Object.entries(DURATION_RANGES).map(([key, { label }]) => renderChip(
+            key,
+            label,
+            filters.durationRanges.includes(key),
+            () => onChange({ durationRanges: toggleItem(filters.durationRanges, key) })
+          ))}
+          {formatChips.map(format => renderChip(
+            format,
+            AUDIO_FORMATS[format].label,
+            filters.formats.includes(format),
+            () => onChange({ formats: toggleItem(filters.formats, format) })
+          ))}
+        </div>
+      )}
+
+      {isFiltered && (
+        <div className="flex items-center justify-between text-xs text-muted-foreground">
+          <span>{resultCount} of {totalCount} tracks</span>
+          <button
+            onClick={() => onChange({
+              query: DEFAULT_TRACK_FILTERS.query,
+              formats: DEFAULT_TRACK_FILTERS.formats,
+              durationRanges: DEFAULT_TRACK_FILTERS.durationRanges
+            })}
+            className="flex items-center gap-1 text-primary hover:text-primary/80"
+          >
+            <X size={12} />
+            Clear filters
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrackFilterBar;
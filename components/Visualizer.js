@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { BarChart3, Activity, CircleDot } from 'lucide-react';
+import { usePlayer } from './PlayerProvider';
+import { VISUALIZER_MODES, VISUALIZER_RENDERERS } from '../utils/visualizer';
+
+const MODE_ICONS = {
+  bars: BarChart3,
+  oscilloscope: Activity,
+  circular: CircleDot
+};
+
+/**
+ * Reads the theme's primary colour from its CSS variable
+ * @param {Element} element - Element inside the themed tree
+ * @returns {string} - CSS colour
+ */
+const readThemeColor = (element) => {
+  const value = getComputedStyle(element).getPropertyValue('--primary').trim();
+  return value ? `hsl(${value})` : '#3b82f6';
+};
+
+const useMediaQuery = (query) => {
+  const [matches, setMatches] = useState(false);
+
+  useEffect(() => {
+    const media = window.matchMedia(query);
+    const update = () => setMatches(media.matches);
+    update();
+    media.addEventListener('change', update);
+    return () => media.removeEventListener('change', update);
+  }, [query]);
+
+  return matches;
+};
+
+const usePageVisible = () => {
+  const [isVisible, setIsVisible] = useState(true);
+
+  useEffect(() => {
+    const update = () => setIsVisible(document.visibilityState !== 'hidden');
+    update();
+    document.addEventListener('visibilitychange', update);
+    return () => document.removeEventListener('visibilitychange', update);
+  }, []);
+
+  return isVisible;
+};
+
+const Visualizer = ({ className = '', height = 96, color: colorProp, showModeSwitch = true }) => {
+  const { isPlaying, getAnalyser, settings, updateSettings } = usePlayer();
+  const mode = settings.visualizerMode;
+  const canvasRef = useRef(null);
+  const buffersRef = useRef({ spectrum: null, waveform: null });
+  const [themeColor, setThemeColor] = useState('#3b82f6');
+  const [size, setSize] = useState({ width: 0, height });
+  const prefersReducedMotion = useMediaQuery('(prefers-reduced-motion: reduce)');
+  const isPageVisible = usePageVisible();
+  const color = colorProp || themeColor;
+
+  // Follow theme changes made through classes or styles on the root element
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const update = () => setThemeColor(readThemeColor(canvas));
+    update();
+    const observer = new MutationObserver(update);
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['class', 'style', 'data-accent'] });
+    return () => observer.disconnect();
+  }, []);
+
+  // Match the backing store to the displayed size and pixel density
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height: boxHeight } = entry.contentRect;
+      const ratio = window.devicePixelRatio || 1;
+      canvas.width = Math.round(width * ratio);
+      canvas.height = Math.round(boxHeight * ratio);
+      setSize({ width, height: boxHeight });
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  const drawFrame = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || size.width === 0) return;
+
+    const ctx = canvas.getContext('2d');
+    const ratio = canvas.width / size.width;
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, size.width, size.height);
+
+    const analyser = getAnalyser();
+    const buffers = buffersRef.current;
+    let spectrum = null;
+    let waveform = null;
+
+    if (analyser) {
+      if (!buffers.spectrum || buffers.spectrum.length !== analyser.frequencyBinCount) {
+        buffers.spectrum = new Uint8Array(analyser.frequencyBinCount);
+        buffers.waveform = new Uint8Array(analyser.fftSize);
+      }
+      if (mode === 'oscilloscope') {
+        analyser.getByteTimeDomainData(buffers.waveform);
+        waveform = buffers.waveform;
+      } else {
+        analyser.getByteFrequencyData(buffers.spectrum);
+        spectrum = buffers.spectrum;
+      }
+    }
+
+    VISUALIZER_RENDERERS[mode](ctx, {
+      width: size.width,
+      height: size.height,
+      color,
+      spectrum,
+      waveform,
+      sampleRate: analyser ? analyser.context.sampleRate : 44100
+    });
+  }, [getAnalyser, mode, color, size]);
+
+  // Animate at the display's refresh rate only while there is something to
+  // see; with reduced motion a single still frame is drawn instead
+  useEffect(() => {
+    drawFrame();
+    if (!isPlaying || !isPageVisible || prefersReducedMotion) return;
+
+    let frameId;
+    const loop = () => {
+      drawFrame();
+      frameId = requestAnimationFrame(loop);
+    };
+    frameId = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(frameId);
+  }, [drawFrame, isPlaying, isPageVisible, prefersReducedMotion]);
+
+  return (
+    <div className={`relative ${className}`}>
+      <canvas
+        ref={canvasRef}
+        role="img"
+        aria-label={`${VISUALIZER_MODES[mode].label} visualizer`}
+        className="block w-full"
+        style={{ height }}
+      />
+      {showModeSwitch && (
+        <div className="absolute top-1 right-1 flex gap-1">
+          {Object.entries(VISUALIZER_MODES).map(([value, { label }]) => {
+            const Icon = MODE_ICONS[value];
+            return (
+              <button
+                key={value}
+                onClick={() => updateSettings({ visualizerMode: value })}
+                title={label}
+                aria-label={`${label} visualizer`}
+                aria-pressed={mode === value}
+                className={`p-1 rounded transition-opacity ${
+                  mode === value ? 'opacity-100' : 'opacity-40 hover:opacity-80'
+                }`}
+                style={{ color }}
+              >
+                <Icon size={14} />
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Visualizer;
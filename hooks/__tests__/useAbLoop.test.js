@@ -0,0 +1,175 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderHook, act } from '@testing-library/react';
+import useAbLoop, { MIN_LOOP_SECONDS } from '../useAbLoop';
+
+// Playhead the hook reads; tests move it by hand between timer ticks
+let position = 0;
+const getPosition = () => position;
+
+const renderLoop = (props = {}) => {
+  const player = {
+    currentTrackId: 't1',
+    duration: 60,
+    isPlaying: true,
+    playbackRate: 1,
+    getPosition,
+    seek: jest.fn(time => { position = time; }),
+    play: jest.fn(),
+    pause: jest.fn(),
+    ...props
+  };
+  const hook = renderHook(currentProps => useAbLoop(currentProps), { initialProps: player });
+  return { ...hook, player };
+};
+
+// Moves the playhead and lets one position check run
+const playTo = (time) => {
+  position = time;
+  act(() => {
+    jest.advanceTimersByTime(20);
+  });
+};
+
+describe('useAbLoop', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    position = 0;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps A and B at least the minimum apart', () => {
+    const { result } = renderLoop();
+
+    act(() => result.current.setLoopPoint('end', 10));
+    act(() => result.current.setLoopPoint('start', 9.9));
+    expect(result.current.abLoop.start).toBe(10 - MIN_LOOP_SECONDS);
+
+    act(() => result.current.setLoopPoint('end', 100));
+    expect(result.current.abLoop.end).toBe(60);
+  });
+
+  it('refuses a range too short to loop', () => {
+    const { result } = renderLoop();
+
+    let accepted;
+    act(() => {
+      accepted = result.current.setLoopRange(5, 5.2);
+    });
+    expect(accepted).toBe(false);
+    expect(result.current.abLoop.isActive).toBe(false);
+  });
+
+  it('jumps back to A when playback reaches B', () => {
+    const { result, player } = renderLoop();
+    position = 9.9;
+    act(() => {
+      result.current.setLoopRange(5, 10);
+    });
+
+    playTo(10.05);
+    expect(player.seek).toHaveBeenCalledWith(5);
+    expect(result.current.abLoop.currentPass).toBe(2);
+  });
+
+  it('leaves a seek past B alone', () => {
+    const { result, player } = renderLoop();
+    position = 6;
+    act(() => {
+      result.current.setLoopRange(5, 10);
+    });
+
+    playTo(40);
+    expect(player.seek).not.toHaveBeenCalled();
+  });
+
+  it('allows for the playback speed when telling playback from a seek', () => {
+    // 0.29 s in one 20 ms check is a seek at 1x but playback at 3x
+    [[1, false], [3, true]].forEach(([playbackRate, loops]) => {
+      const { result, player, unmount } = renderLoop({ playbackRate });
+      position = 9.76;
+      act(() => {
+        result.current.setLoopRange(5, 10);
+      });
+
+      playTo(10.05);
+      expect(player.seek.mock.calls.length > 0).toBe(loops);
+      unmount();
+    });
+  });
+
+  it('lets go after the chosen number of plays', () => {
+    const { result, player } = renderLoop();
+    position = 9.9;
+    act(() => {
+      result.current.setLoopRange(5, 10);
+      result.current.setLoopOptions({ loopCount: 2 });
+    });
+
+    playTo(10.05);
+    expect(player.seek).toHaveBeenCalledTimes(1);
+
+    playTo(9.9);
+    playTo(10.05);
+    expect(player.seek).toHaveBeenCalledTimes(1);
+    expect(result.current.abLoop.isEnabled).toBe(false);
+  });
+
+  it('pauses for the count-in before playing A again', () => {
+    const { result, player } = renderLoop();
+    position = 9.9;
+    act(() => {
+      result.current.setLoopRange(5, 10);
+      result.current.setLoopOptions({ countIn: 1 });
+    });
+
+    playTo(10.05);
+    expect(player.pause).toHaveBeenCalled();
+    expect(result.current.abLoop.countInLeft).toBeGreaterThan(0);
+    expect(player.play).not.toHaveBeenCalled();
+
+    act(() => {
+      jest.advanceTimersByTime(1000);
+    });
+    expect(player.play).toHaveBeenCalled();
+    expect(result.current.abLoop.countInLeft).toBeNull();
+  });
+
+  it('loops a B at the end of the track when the track ends', () => {
+    const { result, player } = renderLoop({ isPlaying: false });
+    act(() => {
+      result.current.setLoopRange(50, 60);
+    });
+
+    let handled;
+    act(() => {
+      handled = result.current.handleTrackEnded();
+    });
+    expect(handled).toBe(true);
+    expect(player.seek).toHaveBeenCalledWith(50);
+    expect(player.play).toHaveBeenCalled();
+  });
+
+  it('does not hold on to a track that ends before B', () => {
+    const { result } = renderLoop({ isPlaying: false });
+    act(() => {
+      result.current.setLoopRange(5, 10);
+    });
+
+    expect(result.current.handleTrackEnded()).toBe(false);
+  });
+
+  it('drops the points when the track changes', () => {
+    const { result, rerender, player } = renderLoop();
+    act(() => {
+      result.current.setLoopRange(5, 10);
+    });
+
+    rerender({ ...player, currentTrackId: 't2' });
+    expect(result.current.abLoop).toMatchObject({ start: null, end: null, isActive: false });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * @jest-environment jsdom
+ */
+import { renderHook } from '@testing-library/react';
+import useMediaSession from '../useMediaSession';
+
+const noop = () => {};
+
+const player = (fields) => ({
+  currentTrack: { id: 't', title: 'Song' },
+  isPlaying: true,
+  currentTime: 30,
+  duration: 120,
+  playbackRate: 1,
+  play: noop,
+  pause: noop,
+  seek: noop,
+  nextTrack: noop,
+  previousTrack: noop,
+  ...fields
+});
+
+describe('useMediaSession', () => {
+  beforeEach(() => {
+    navigator.mediaSession = {
+      setPositionState: jest.fn(),
+      setActionHandler: jest.fn()
+    };
+    window.MediaMetadata = function MediaMetadata(init) {
+      Object.assign(this, init);
+    };
+  });
+
+  afterEach(() => {
+    delete navigator.mediaSession;
+    delete window.MediaMetadata;
+  });
+
+  it('publishes the track metadata', () => {
+    renderHook(() => useMediaSession(player({ currentTrack: { id: 't', title: 'Song', artist: 'Band' } })));
+
+    expect(navigator.mediaSession.metadata).toMatchObject({ title: 'Song', artist: 'Band', album: '' });
+    expect(navigator.mediaSession.playbackState).toBe('playing');
+  });
+
+  it('reports the position at the current playback speed', () => {
+    const { rerender } = renderHook(props => useMediaSession(props), {
+      initialProps: player({ playbackRate: 1.5 })
+    });
+
+    expect(navigator.mediaSession.setPositionState).toHaveBeenLastCalledWith({
+      duration: 120,
+      playbackRate: 1.5,
+      position: 30
+    });
+
+    rerender(player({ playbackRate: 2 }));
+    expect(navigator.mediaSession.setPositionState).toHaveBeenLastCalledWith({
+      duration: 120,
+      playbackRate: 2,
+      position: 30
+    });
+  });
+
+  it('clears the position without a track', () => {
+    renderHook(() => useMediaSession(player({ currentTrack: null })));
+
+    expect(navigator.mediaSession.setPositionState).toHaveBeenLastCalledWith();
+  });
+});
@@ -0,0 +1,210 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Shortest passage that can be looped, in seconds
+export const MIN_LOOP_SECONDS = 0.5;
+// Position checks while a loop runs; timeupdate events come only every
+// 250 ms or so, too coarse to turn around on the beat
+const LOOP_CHECK_MS = 20;
+// Slack for timer jitter when telling playback from a seek past B
+const SEEK_TOLERANCE_SECONDS = 0.25;
+// B this close to the end of the track is reached by the track ending
+const END_OF_TRACK_SECONDS = 0.5;
+const COUNT_IN_TICK_MS = 100;
+
+/**
+ * A–B loop over a passage of the current track. Reaching B jumps back to A,
+ * optionally pausing for a count-in first, until the loop is turned off or
+ * has played the chosen number of times. Points are dropped when the track
+ * changes.
+ * @param {Object} player - { currentTrackId, duration, isPlaying, playbackRate,
+ *   getPosition, seek, play, pause }
+ * @returns {Object} - { abLoop, setLoopPoint, setLoopRange, setLoopPointHere,
+ *   toggleLoop, clearLoop, setLoopOptions, handleTrackEnded }; abLoop is
+ *   { start, end, isEnabled, isActive, countIn, loopCount, currentPass, countInLeft }
+ */
+const useAbLoop = ({ currentTrackId, duration, isPlaying, playbackRate = 1, getPosition, seek, play, pause }) => {
+  // { start, end } in seconds, null for a point not set yet
+  const [points, setPoints] = useState({ start: null, end: null });
+  const [isEnabled, setIsEnabled] = useState(true);
+  // Seconds paused before each repeat, and plays before the loop lets go (0: no limit)
+  const [options, setOptions] = useState({ countIn: 0, loopCount: 0 });
+  // Plays of the passage completed so far
+  const [passes, setPasses] = useState(0);
+  // Wall-clock time the count-in ends, while one runs
+  const [countInEndsAt, setCountInEndsAt] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const handleLoopEndRef = useRef(() => false);
+
+  const { start, end } = points;
+  const isActive = isEnabled && start !== null && end !== null;
+
+  useEffect(() => {
+    setPoints({ start: null, end: null });
+    setPasses(0);
+    setCountInEndsAt(null);
+  }, [currentTrackId]);
+
+  /**
+   * Ends one play of the passage
+   * @returns {boolean} - True if playback went back to A, false if the loop
+   *   has played out and lets playback carry on
+   */
+  const handleLoopEnd = useCallback(() => {
+    const played = passes + 1;
+    if (options.loopCount > 0 && played >= options.loopCount) {
+      setIsEnabled(false);
+      setPasses(0);
+      return false;
+    }
+
+    setPasses(played);
+    seek(start);
+    if (options.countIn > 0) {
+      pause();
+      setCountInEndsAt(Date.now() + options.countIn * 1000);
+    }
+    return true;
+  }, [passes, options, start, seek, pause]);
+
+  useEffect(() => {
+    handleLoopEndRef.current = handleLoopEnd;
+  }, [handleLoopEnd]);
+
+  // Watch for playback crossing B. A jump further than playback could have
+  // moved since the last check is a seek, and is left alone.
+  useEffect(() => {
+    if (!isActive || !isPlaying || countInEndsAt !== null) return undefined;
+
+    let lastPosition = getPosition();
+    let lastCheck = Date.now();
+    const interval = setInterval(() => {
+      const position = getPosition();
+      const checkedAt = Date.now();
+      const maxAdvance = ((checkedAt - lastCheck) / 1000) * playbackRate + SEEK_TOLERANCE_SECONDS;
+      const reachedEnd = lastPosition < end && position >= end && position - lastPosition <= maxAdvance;
+
+      lastPosition = position;
+      lastCheck = checkedAt;
+      if (reachedEnd && handleLoopEndRef.current()) {
+        lastPosition = start;
+      }
+    }, LOOP_CHECK_MS);
+    return () => clearInterval(interval);
+  }, [isActive, isPlaying, countInEndsAt, start, end, playbackRate, getPosition]);
+
+  useEffect(() => {
+    if (countInEndsAt === null) return undefined;
+
+    const tick = () => {
+      if (Date.now() < countInEndsAt) {
+        setNow(Date.now());
+        return;
+      }
+      setCountInEndsAt(null);
+      play();
+    };
+    tick();
+    const interval = setInterval(tick, COUNT_IN_TICK_MS);
+    return () => clearInterval(interval);
+  }, [countInEndsAt, play]);
+
+  /**
+   * Moves A or B. The other point is kept at least MIN_LOOP_SECONDS away,
+   * and setting a point turns the loop back on.
+   * @param {string} point - 'start' or 'end'
+   * @param {number} time - Position in seconds
+   */
+  const setLoopPoint = useCallback((point, time) => {
+    if (!(duration > 0) || !Number.isFinite(time)) return;
+
+    setPoints(prev => {
+      if (point === 'start') {
+        const limit = prev.end === null ? duration - MIN_LOOP_SECONDS : prev.end - MIN_LOOP_SECONDS;
+        return { ...prev, start: Math.max(0, Math.min(time, limit)) };
+      }
+      const limit = prev.start === null ? MIN_LOOP_SECONDS : prev.start + MIN_LOOP_SECONDS;
+      return { ...prev, end: Math.min(duration, Math.max(time, limit)) };
+    });
+    setIsEnabled(true);
+    setPasses(0);
+  }, [duration]);
+
+  /**
+   * Sets both points at once
+   * @param {number} startTime - A in seconds
+   * @param {number} endTime - B in seconds
+   * @returns {boolean} - False if the passage is too short to loop
+   */
+  const setLoopRange = useCallback((startTime, endTime) => {
+    const clampedEnd = Math.min(endTime, duration);
+    if (!(duration > 0) || !(clampedEnd - startTime >= MIN_LOOP_SECONDS) || startTime < 0) return false;
+
+    setPoints({ start: startTime, end: clampedEnd });
+    setIsEnabled(true);
+    setPasses(0);
+    return true;
+  }, [duration]);
+
+  /**
+   * Sets A or B to the current position
+   * @param {string} point - 'start' or 'end'
+   */
+  const setLoopPointHere = useCallback((point) => {
+    setLoopPoint(point, getPosition());
+  }, [setLoopPoint, getPosition]);
+
+  const toggleLoop = useCallback(() => {
+    setIsEnabled(prev => !prev);
+    setPasses(0);
+    setCountInEndsAt(null);
+  }, []);
+
+  const clearLoop = useCallback(() => {
+    setPoints({ start: null, end: null });
+    setPasses(0);
+    setCountInEndsAt(null);
+  }, []);
+
+  /**
+   * Changes the count-in or the number of plays; starts counting plays afresh
+   * @param {Object} changes - { countIn, loopCount }
+   */
+  const setLoopOptions = useCallback((changes) => {
+    setOptions(prev => ({ ...prev, ...changes }));
+    setPasses(0);
+  }, []);
+
+  /**
+   * Called when a track plays to its end, for a B at the very end
+   * @returns {boolean} - True if the loop went back to A, so the player
+   *   should not move on
+   */
+  const handleTrackEnded = useCallback(() => {
+    if (!isActive || end < duration - END_OF_TRACK_SECONDS) return false;
+    if (!handleLoopEnd()) return false;
+    if (options.countIn === 0) play();
+    return true;
+  }, [isActive, end, duration, handleLoopEnd, options.countIn, play]);
+
+  return {
+    abLoop: {
+      start,
+      end,
+      isEnabled,
+      isActive,
+      countIn: options.countIn,
+      loopCount: options.loopCount,
+      currentPass: passes + 1,
+      countInLeft: countInEndsAt === null ? null : Math.max(0, (countInEndsAt - now) / 1000)
+    },
+    setLoopPoint,
+    setLoopRange,
+    setLoopPointHere,
+    toggleLoop,
+    clearLoop,
+    setLoopOptions,
+    handleTrackEnded
+  };
+};
+
+export default useAbLoop;
@@ -1,92 +1,399 @@
-import { useState, useRef, useEffect, useCallback } from 'react';
+import { useState, useRef, useEffect, useCallback, useMemo } from 'react';
+import useLibrary from './useLibrary';
+import useLocalStorage from './useLocalStorage';
+import useMediaSession from './useMediaSession';
+import useSleepTimer from './useSleepTimer';
+import useAbLoop from './useAbLoop';
+import useTheme from './useTheme';
+import { takeSharedFiles, consumeLaunchedFiles, SHARED_FILES_PARAM } from '../utils/pwa';
+import { createAudioEngine } from '../utils/audioEngine';
+import { SETTINGS_KEY, DEFAULT_SETTINGS, normalizeSettings } from '../utils/playerSettings';
+import { computeAlbumGains, getNormalizationGain } from '../utils/loudness';
+import { normalizePlaybackRate, resolvePlaybackRate } from '../utils/playbackRate';
+import { createBookmark, normalizeBookmarks } from '../utils/bookmarks';
+import {
+  loadSession,
+  saveSession,
+  isLongTrack,
+  updateResumePoint,
+  pruneResumePoints
+} from '../utils/playerSession';
+import {
+  REPEAT_MODES,
+  formatTime,
+  shuffleArray,
+  getNextTrackIndex,
+  getPreviousTrackIndex
+} from '../utils/audioUtils';
+
+// Tracks remembered for Previous
+const MAX_HISTORY = 100;
+// A listen counts as a play after this many seconds, or half the track if shorter
+const PLAY_COUNT_SECONDS = 30;
+// How often the position is saved while it moves
+const SESSION_SAVE_INTERVAL_MS = 5000;
 
 const useAudioPlayer = () => {
-  const audioRef = useRef(null);
-  const [currentTrack, setCurrentTrack] = useState(null);
+  const engineRef = useRef(null);
+  // Set before a track change when the new track should start on its own
+  const shouldPlayRef = useRef(false);
+  const [currentTrackId, setCurrentTrackId] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
+  // Buffered [start, end] ranges of the current track, in seconds
+  const [buffered, setBuffered] = useState([]);
   const [volume, setVolume] = useState(1);
+  const [isMuted, setIsMuted] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [playlist, setPlaylist] = useState([]);
-  const [currentTrackIndex, setCurrentTrackIndex] = useState(0);
+  const [repeatMode, setRepeatMode] = useState('none');
+  const [isShuffled, setIsShuffled] = useState(false);
+  // Track ids in shuffled play order; kept stable until shuffle is toggled
+  const [shuffleOrder, setShuffleOrder] = useState([]);
+  // Bumped each time the engine moves on by itself, freeing its standby deck
+  const [advanceCount, setAdvanceCount] = useState(0);
+  const [storedSettings, setStoredSettings] = useLocalStorage(SETTINGS_KEY, DEFAULT_SETTINGS);
+  const {
+    tracks: library,
+    playlists,
+    isLibraryLoaded,
+    libraryError,
+    addFiles,
+    recordPlay,
+    setTrackPlaybackRate,
+    setTrackBookmarks,
+    removeTrack,
+    reorderTracks,
+    clearLibrary,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    movePlaylist,
+    addTracksToPlaylist,
+    setPlaylistTracks,
+    setPlaylistPlaybackRate
+  } = useLibrary();
+  // Named playlist playback runs through, or null for the whole library
+  const [activePlaylistId, setActivePlaylistId] = useState(null);
+  // Up-next entries ({ id, trackId }) played before the playlist carries on
+  const [queue, setQueue] = useState([]);
+  const queueEntryCountRef = useRef(0);
+  // Ids of the tracks played before the current one, oldest first
+  const [history, setHistory] = useState([]);
+  // Last track played from the playlist; the play order resumes after it
+  // once the queue runs out
+  const [anchorTrackId, setAnchorTrackId] = useState(null);
+  // Describe the next change of current track for the bookkeeping effect
+  const isFromQueueRef = useRef(false);
+  const isGoingBackRef = useRef(false);
+  // Track whose current listen has already been counted as a play
+  const countedPlayRef = useRef(null);
+  // Session restore: whether it has run, where the restored track resumes,
+  // and the long tracks' resume points
+  const hasRestoredRef = useRef(false);
+  const [isSessionRestored, setIsSessionRestored] = useState(false);
+  const resumeAtRef = useRef(null);
+  const resumePointsRef = useRef({});
+  // Position the current track was loaded at
+  const startPositionRef = useRef(0);
+
+  const makeQueueEntries = useCallback((trackIds) => (
+    trackIds.map(trackId => ({ id: `queue-${queueEntryCountRef.current++}`, trackId }))
+  ), []);
+
+  const settings = useMemo(() => normalizeSettings(storedSettings), [storedSettings]);
+
+  const updateSettings = useCallback((changes) => {
+    setStoredSettings(prev => ({ ...normalizeSettings(prev), ...changes }));
+  }, [setStoredSettings]);
+
+  const activePlaylist = useMemo(
+    () => playlists.find(item => item.id === activePlaylistId) || null,
+    [playlists, activePlaylistId]
+  );
+
+  // Tracks playback steps through: the active playlist, or the whole library
+  const playlist = useMemo(() => {
+    if (!activePlaylist) return library;
+    const tracksById = new Map(library.map(track => [track.id, track]));
+    return activePlaylist.trackIds.map(id => tracksById.get(id)).filter(Boolean);
+  }, [library, activePlaylist]);
 
-  // Initialize audio element
+  // Fall back to the library when the active playlist is deleted
   useEffect(() => {
-    audioRef.current = new Audio();
-    const audio = audioRef.current;
+    if (activePlaylistId && !activePlaylist) setActivePlaylistId(null);
+  }, [activePlaylistId, activePlaylist]);
 
-    // Audio event listeners
-    const handleLoadStart = () => setIsLoading(true);
-    const handleCanPlay = () => setIsLoading(false);
-    const handleLoadedMetadata = () => setDuration(audio.duration);
-    const handleTimeUpdate = () => setCurrentTime(audio.currentTime);
-    const handleEnded = () => {
-      setIsPlaying(false);
-      nextTrack();
-    };
-    const handleError = () => {
-      setError('Failed to load audio file');
-      setIsLoading(false);
-    };
+  // The current track is looked up by id so it follows its entry when the
+  // playlist is re-ordered or a track record is updated. It comes from the
+  // library, so it keeps playing when it is taken out of the active playlist
+  const currentTrackIndex = useMemo(
+    () => playlist.findIndex(track => track.id === currentTrackId),
+    [playlist, currentTrackId]
+  );
+  const libraryById = useMemo(
+    () => new Map(library.map(track => [track.id, track])),
+    [library]
+  );
+  const currentTrack = libraryById.get(currentTrackId) || null;
 
-    audio.addEventListener('loadstart', handleLoadStart);
-    audio.addEventListener('canplay', handleCanPlay);
-    audio.addEventListener('loadedmetadata', handleLoadedMetadata);
-    audio.addEventListener('timeupdate', handleTimeUpdate);
-    audio.addEventListener('ended', handleEnded);
-    audio.addEventListener('error', handleError);
+  // Where the play order continues from: the anchor while queued tracks
+  // play, otherwise the current track
+  const orderIndex = useMemo(() => {
+    const anchorIndex = playlist.findIndex(track => track.id === anchorTrackId);
+    return anchorIndex === -1 ? currentTrackIndex : anchorIndex;
+  }, [playlist, anchorTrackId, currentTrackIndex]);
+
+  // Record what played and move the anchor whenever the current track changes
+  const lastTrackIdRef = useRef(null);
+  useEffect(() => {
+    const previousId = lastTrackIdRef.current;
+    lastTrackIdRef.current = currentTrackId;
+    if (!currentTrackId || previousId === currentTrackId) return;
+
+    if (previousId && !isGoingBackRef.current) {
+      setHistory(prev => [...prev, previousId].slice(-MAX_HISTORY));
+    }
+    if (!isFromQueueRef.current) setAnchorTrackId(currentTrackId);
+    isGoingBackRef.current = false;
+    isFromQueueRef.current = false;
+  }, [currentTrackId]);
+
+  // Forget queued and played tracks that left the library
+  useEffect(() => {
+    setQueue(prev => {
+      const kept = prev.filter(entry => libraryById.has(entry.trackId));
+      return kept.length === prev.length ? prev : kept;
+    });
+    setHistory(prev => {
+      const kept = prev.filter(id => libraryById.has(id));
+      return kept.length === prev.length ? prev : kept;
+    });
+  }, [libraryById]);
+
+  // Loudness normalization gain for each track under the chosen mode
+  const albumGains = useMemo(() => computeAlbumGains(library), [library]);
+  const getTrackGain = useCallback(
+    (track) => getNormalizationGain(track, settings.normalizationMode, albumGains),
+    [settings.normalizationMode, albumGains]
+  );
+  const currentTrackGain = getTrackGain(currentTrack);
+
+  // Speed picked for the current listen ({ trackId, rate }); without one, a
+  // track starts at its saved speed, the playlist's or the library's
+  const [playbackRateChoice, setPlaybackRateChoice] = useState(null);
+  const getTrackPlaybackRate = useCallback(
+    (track) => resolvePlaybackRate(track, activePlaylist, settings.playbackRate),
+    [activePlaylist, settings.playbackRate]
+  );
+  const defaultPlaybackRate = getTrackPlaybackRate(null);
+  const playbackRate = playbackRateChoice && playbackRateChoice.trackId === currentTrackId
+    ? playbackRateChoice.rate
+    : getTrackPlaybackRate(currentTrack);
+
+  // Keep the shuffled order in step with tracks being added or removed
+  useEffect(() => {
+    if (!isShuffled) return;
+
+    setShuffleOrder(prev => {
+      const playlistIds = new Set(playlist.map(track => track.id));
+      const kept = prev.filter(id => playlistIds.has(id));
+      const keptIds = new Set(kept);
+      const added = playlist.filter(track => !keptIds.has(track.id)).map(track => track.id);
+
+      if (added.length === 0 && kept.length === prev.length) return prev;
+      return [...kept, ...shuffleArray(added)];
+    });
+  }, [playlist, isShuffled]);
+
+  // Playlist indices in the order tracks will be played
+  const playOrder = useMemo(() => {
+    if (!isShuffled) return playlist.map((_, index) => index);
+
+    const indexById = new Map(playlist.map((track, index) => [track.id, index]));
+    return shuffleOrder
+      .map(id => indexById.get(id))
+      .filter(index => index !== undefined);
+  }, [playlist, isShuffled, shuffleOrder]);
+
+  // Latest versions of the callbacks the engine's events need
+  const handleEndedRef = useRef(() => {});
+  const handleAdvanceRef = useRef(() => {});
+  // Gain and speed a newly loaded track starts at, read without reloading on changes
+  const currentTrackGainRef = useRef(1);
+  const playbackRateRef = useRef(1);
+
+  // Create the playback engine
+  useEffect(() => {
+    const engine = createAudioEngine({
+      onLoadStart: () => setIsLoading(true),
+      onCanPlay: () => setIsLoading(false),
+      onDurationChange: (value) => setDuration(Number.isFinite(value) ? value : 0),
+      onTimeUpdate: (time) => setCurrentTime(time),
+      onBufferedChange: (ranges) => setBuffered(ranges),
+      onPlay: () => setIsPlaying(true),
+      onPause: () => setIsPlaying(false),
+      onEnded: () => handleEndedRef.current(),
+      onAdvance: (trackId) => handleAdvanceRef.current(trackId),
+      onError: (message) => {
+        setError(message);
+        setIsLoading(false);
+      }
+    });
+    engineRef.current = engine;
 
     return () => {
-      audio.removeEventListener('loadstart', handleLoadStart);
-      audio.removeEventListener('canplay', handleCanPlay);
-      audio.removeEventListener('loadedmetadata', handleLoadedMetadata);
-      audio.removeEventListener('timeupdate', handleTimeUpdate);
-      audio.removeEventListener('ended', handleEnded);
-      audio.removeEventListener('error', handleError);
-      audio.pause();
+      engine.destroy();
+      engineRef.current = null;
     };
   }, []);
 
-  // Load playlist from localStorage on mount
   useEffect(() => {
-    const savedPlaylist = localStorage.getItem('mp3-player-playlist');
-    if (savedPlaylist) {
-      try {
-        const parsedPlaylist = JSON.parse(savedPlaylist);
-        setPlaylist(parsedPlaylist);
-        if (parsedPlaylist.length > 0) {
-          setCurrentTrack(parsedPlaylist[0]);
+    if (engineRef.current) {
+      engineRef.current.setTransition({
+        crossfadeDuration: settings.crossfadeDuration,
+        crossfadeCurve: settings.crossfadeCurve
+      });
+    }
+  }, [settings.crossfadeDuration, settings.crossfadeCurve]);
+
+  useEffect(() => {
+    if (engineRef.current) {
+      engineRef.current.setEqualizer(settings.equalizer);
+    }
+  }, [settings.equalizer]);
+
+  useEffect(() => {
+    if (engineRef.current) {
+      engineRef.current.setPreservesPitch(settings.preservesPitch);
+    }
+  }, [settings.preservesPitch]);
+
+  // Restore the last session once the library has been rehydrated; without
+  // one, pick the first track
+  useEffect(() => {
+    if (!isLibraryLoaded) return;
+
+    if (!hasRestoredRef.current) {
+      hasRestoredRef.current = true;
+      setIsSessionRestored(true);
+      const session = loadSession();
+
+      resumePointsRef.current = pruneResumePoints(session.resumePoints, libraryById);
+      setRepeatMode(session.repeatMode);
+      setVolume(session.volume);
+      setIsMuted(session.isMuted);
+      if (engineRef.current) {
+        engineRef.current.setVolume(session.volume);
+        engineRef.current.setMuted(session.isMuted);
+      }
+      setQueue(makeQueueEntries(session.queue.filter(trackId => libraryById.has(trackId))));
+
+      if (session.currentTrackId && libraryById.has(session.currentTrackId)) {
+        const restoredPlaylist = playlists.find(item => item.id === session.activePlaylistId);
+        setActivePlaylistId(restoredPlaylist ? restoredPlaylist.id : null);
+        if (session.isShuffled) {
+          // The rest of the playlist is shuffled in behind the restored track
+          setShuffleOrder([session.currentTrackId]);
+          setIsShuffled(true);
         }
-      } catch (err) {
-        console.error('Failed to parse playlist from localStorage:', err);
+        resumeAtRef.current = { trackId: session.currentTrackId, position: session.position };
+        setCurrentTrackId(session.currentTrackId);
+        return;
       }
     }
-  }, []);
 
-  // Save playlist to localStorage whenever it changes
-  useEffect(() => {
-    if (playlist.length > 0) {
-      localStorage.setItem('mp3-player-playlist', JSON.stringify(playlist));
+    if (!currentTrack && playlist.length > 0) {
+      setCurrentTrackId(playlist[0].id);
     }
-  }, [playlist]);
+  }, [isLibraryLoaded, currentTrack, playlist, playlists, libraryById, makeQueueEntries]);
 
   // Update audio source when current track changes
+  const currentTrackUrl = currentTrack ? currentTrack.url : null;
   useEffect(() => {
-    if (currentTrack && audioRef.current) {
-      audioRef.current.src = currentTrack.url;
-      audioRef.current.volume = volume;
-      setError(null);
+    currentTrackGainRef.current = currentTrackGain;
+  }, [currentTrackGain]);
+
+  useEffect(() => {
+    playbackRateRef.current = playbackRate;
+  }, [playbackRate]);
+
+  useEffect(() => {
+    const engine = engineRef.current;
+    if (!engine) return;
+
+    if (!currentTrackId) {
+      engine.stop();
+      setCurrentTime(0);
+      setDuration(0);
+      return;
+    }
+
+    if (!currentTrackUrl) {
+      engine.stop();
+      shouldPlayRef.current = false;
+      setError('Audio for this track is no longer stored. Add the file again to restore it.');
+      return;
     }
-  }, [currentTrack, volume]);
+
+    setError(null);
+    const autoPlay = shouldPlayRef.current;
+    shouldPlayRef.current = false;
+
+    // A restored session, or a long track's resume point, picks up where it left off
+    const resumeAt = resumeAtRef.current;
+    const resumePoint = resumePointsRef.current[currentTrackId];
+    resumeAtRef.current = null;
+    if (resumeAt && resumeAt.trackId === currentTrackId) {
+      startPositionRef.current = resumeAt.position;
+    } else {
+      startPositionRef.current = resumePoint ? resumePoint.position : 0;
+    }
+
+    engine
+      .load(
+        {
+          id: currentTrackId,
+          url: currentTrackUrl,
+          gain: currentTrackGainRef.current,
+          playbackRate: playbackRateRef.current
+        },
+        { autoPlay, startAt: startPositionRef.current }
+      )
+      .catch(() => setError('Failed to play audio'));
+  }, [currentTrackId, currentTrackUrl]);
+
+  // Re-level the playing track when its analysis lands or the mode changes
+  useEffect(() => {
+    if (engineRef.current && currentTrackId) {
+      engineRef.current.setTrackGain(currentTrackId, currentTrackGain);
+    }
+  }, [currentTrackId, currentTrackGain]);
+
+  useEffect(() => {
+    if (engineRef.current && currentTrackId) {
+      engineRef.current.setTrackPlaybackRate(currentTrackId, playbackRate);
+    }
+  }, [currentTrackId, playbackRate]);
+
+  // Count a play once enough of the current listen has gone by
+  useEffect(() => {
+    if (!currentTrackId || !isPlaying || countedPlayRef.current === currentTrackId) return;
+
+    const threshold = duration > 0 ? Math.min(PLAY_COUNT_SECONDS, duration / 2) : PLAY_COUNT_SECONDS;
+    if (currentTime >= threshold) {
+      countedPlayRef.current = currentTrackId;
+      recordPlay(currentTrackId);
+    }
+  }, [currentTrackId, currentTime, duration, isPlaying, recordPlay]);
 
   const play = useCallback(async () => {
-    if (!audioRef.current || !currentTrack) return;
+    if (!engineRef.current || !currentTrack) return;
 
     try {
-      await audioRef.current.play();
-      setIsPlaying(true);
+      await engineRef.current.play();
       setError(null);
     } catch (err) {
       setError('Failed to play audio');
@@ -95,9 +402,8 @@ const useAudioPlayer = () => {
   }, [currentTrack]);
 
   const pause = useCallback(() => {
-    if (audioRef.current) {
-      audioRef.current.pause();
-      setIsPlaying(false);
+    if (engineRef.current) {
+      engineRef.current.pause();
     }
   }, []);
 
@@ -110,8 +416,8 @@ const useAudioPlayer = () => {
   }, [isPlaying, play, pause]);
 
   const seek = useCallback((time) => {
-    if (audioRef.current) {
-      audioRef.current.currentTime = time;
+    if (engineRef.current) {
+      engineRef.current.seek(time);
       setCurrentTime(time);
     }
   }, []);
@@ -119,118 +425,594 @@ const useAudioPlayer = () => {
   const changeVolume = useCallback((newVolume) => {
     const clampedVolume = Math.max(0, Math.min(1, newVolume));
     setVolume(clampedVolume);
-    if (audioRef.current) {
-      audioRef.current.volume = clampedVolume;
+    setIsMuted(clampedVolume === 0);
+    if (engineRef.current) {
+      engineRef.current.setVolume(clampedVolume);
+      engineRef.current.setMuted(clampedVolume === 0);
     }
   }, []);
 
+  const getAnalyser = useCallback(() => (
+    engineRef.current ? engineRef.current.getAnalyser() : null
+  ), []);
+
+  // Exact position of the audible deck, between timeupdate events
+  const getPosition = useCallback(() => (
+    engineRef.current ? engineRef.current.getCurrentTime() : 0
+  ), []);
+
+  const toggleMute = useCallback(() => {
+    const nextMuted = !isMuted;
+    setIsMuted(nextMuted);
+    if (engineRef.current) engineRef.current.setMuted(nextMuted);
+  }, [isMuted]);
+
+  const {
+    sleepTimer,
+    startSleepTimer,
+    stopAtEndOfTrack,
+    extendSleepTimer,
+    cancelSleepTimer,
+    handleTrackEnded
+  } = useSleepTimer({ isPlaying, currentTime, duration, playbackRate, volume, isMuted, changeVolume, pause });
+
+  /**
+   * Changes the speed of the current track. A track with a saved speed has
+   * it updated; otherwise the speed lasts until the track changes.
+   * @param {number} rate - Playback rate, 1 being normal speed
+   */
+  const setPlaybackRate = useCallback((rate) => {
+    const nextRate = normalizePlaybackRate(rate);
+    if (!currentTrack || nextRate === null) return;
+
+    setPlaybackRateChoice({ trackId: currentTrack.id, rate: nextRate });
+    if (normalizePlaybackRate(currentTrack.playbackRate) !== null) {
+      setTrackPlaybackRate(currentTrack.id, nextRate);
+    }
+  }, [currentTrack, setTrackPlaybackRate]);
+
+  /**
+   * Saves the current speed for the current track, or forgets its saved speed
+   * @param {boolean} remember - True to save, false to forget
+   */
+  const rememberPlaybackRate = useCallback((remember) => {
+    if (!currentTrack) return;
+    setTrackPlaybackRate(currentTrack.id, remember ? playbackRate : null);
+  }, [currentTrack, playbackRate, setTrackPlaybackRate]);
+
+  const {
+    abLoop,
+    setLoopPoint,
+    setLoopRange,
+    setLoopPointHere,
+    toggleLoop,
+    clearLoop,
+    setLoopOptions,
+    handleTrackEnded: handleLoopTrackEnded
+  } = useAbLoop({ currentTrackId, duration, isPlaying, playbackRate, getPosition, seek, play, pause });
+
+  // Bookmarks of the current track, in track order
+  const bookmarks = useMemo(() => normalizeBookmarks(currentTrack?.bookmarks), [currentTrack]);
+
+  /**
+   * Bookmarks the current position
+   * @param {string} [name] - Bookmark name
+   */
+  const addBookmark = useCallback((name) => {
+    if (!currentTrack) return;
+    setTrackBookmarks(currentTrack.id, normalizeBookmarks([...bookmarks, createBookmark(getPosition(), name)]));
+  }, [currentTrack, bookmarks, getPosition, setTrackBookmarks]);
+
+  /**
+   * Renames or moves a bookmark of the current track
+   * @param {string} bookmarkId - Bookmark ID
+   * @param {Object} changes - { name, time }
+   */
+  const updateBookmark = useCallback((bookmarkId, changes) => {
+    if (!currentTrack) return;
+    setTrackBookmarks(currentTrack.id, normalizeBookmarks(bookmarks.map(bookmark => (
+      bookmark.id === bookmarkId ? { ...bookmark, ...changes } : bookmark
+    ))));
+  }, [currentTrack, bookmarks, setTrackBookmarks]);
+
+  const removeBookmark = useCallback((bookmarkId) => {
+    if (!currentTrack) return;
+    setTrackBookmarks(currentTrack.id, bookmarks.filter(bookmark => bookmark.id !== bookmarkId));
+  }, [currentTrack, bookmarks, setTrackBookmarks]);
+
+  // Makes the current speed the default of the active playlist, or of the library
+  const savePlaybackRateAsDefault = useCallback(() => {
+    if (activePlaylistId) {
+      setPlaylistPlaybackRate(activePlaylistId, playbackRate);
+    } else {
+      updateSettings({ playbackRate });
+    }
+  }, [activePlaylistId, playbackRate, setPlaylistPlaybackRate, updateSettings]);
+
+  /**
+   * Switches to a track, carrying on playback if requested
+   */
+  const goToTrack = useCallback((track, autoPlay) => {
+    const engine = engineRef.current;
+    if (track.id === currentTrackId && engine) {
+      // Same track again: restart it instead of waiting for a source change
+      engine.restart();
+      countedPlayRef.current = null;
+      setCurrentTime(0);
+      if (autoPlay) {
+        engine.play().catch(() => setError('Failed to play audio'));
+      }
+      return;
+    }
+
+    shouldPlayRef.current = autoPlay;
+    setCurrentTrackId(track.id);
+  }, [currentTrackId]);
+
+  const goToIndex = useCallback((index, autoPlay) => {
+    if (playlist[index]) goToTrack(playlist[index], autoPlay);
+  }, [playlist, goToTrack]);
+
+  const isAudioPlaying = () => Boolean(engineRef.current && !engineRef.current.isPaused());
+
+  /**
+   * Resolves the playlist index that follows the current track, or the
+   * anchor track while queued tracks are playing
+   * @param {string} mode - Repeat mode to apply ('none' or 'all')
+   * @returns {number} - Playlist index, or -1 at the end of the play order
+   */
+  const resolveNextIndex = useCallback((mode) => {
+    const position = playOrder.indexOf(orderIndex);
+    const nextPosition = getNextTrackIndex(position, playOrder, mode);
+    return nextPosition === -1 ? -1 : playOrder[nextPosition];
+  }, [playOrder, orderIndex]);
+
+  /**
+   * Takes an entry out of the queue and plays its track
+   * @param {Object} entry - Queue entry
+   * @param {boolean} autoPlay - Whether playback should start
+   */
+  const playQueueEntry = useCallback((entry, autoPlay) => {
+    setQueue(prev => prev.filter(item => item.id !== entry.id));
+    const track = libraryById.get(entry.trackId);
+    if (!track) return;
+
+    // The anchor stays put so the playlist resumes where it left off
+    if (track.id !== currentTrackId) isFromQueueRef.current = true;
+    goToTrack(track, autoPlay);
+  }, [libraryById, currentTrackId, goToTrack]);
+
   const nextTrack = useCallback(() => {
-    if (playlist.length === 0) return;
-    
-    const nextIndex = (currentTrackIndex + 1) % playlist.length;
-    setCurrentTrackIndex(nextIndex);
-    setCurrentTrack(playlist[nextIndex]);
-    setIsPlaying(false);
-  }, [playlist, currentTrackIndex]);
+    if (queue.length > 0) {
+      playQueueEntry(queue[0], isAudioPlaying());
+      return;
+    }
+    if (playOrder.length === 0) return;
 
+    // Skipping by hand always moves on, even when repeating one track
+    const nextIndex = resolveNextIndex(repeatMode === 'none' ? 'none' : 'all');
+    if (nextIndex === -1) {
+      goToIndex(playOrder[0], false);
+    } else {
+      goToIndex(nextIndex, isAudioPlaying());
+    }
+  }, [queue, playQueueEntry, playOrder, repeatMode, resolveNextIndex, goToIndex]);
+
+  // Previous returns to what actually played last; without any history it
+  // steps back through the play order
   const previousTrack = useCallback(() => {
-    if (playlist.length === 0) return;
-    
-    const prevIndex = currentTrackIndex === 0 ? playlist.length - 1 : currentTrackIndex - 1;
-    setCurrentTrackIndex(prevIndex);
-    setCurrentTrack(playlist[prevIndex]);
-    setIsPlaying(false);
-  }, [playlist, currentTrackIndex]);
-
-  const selectTrack = useCallback((track, index) => {
-    setCurrentTrack(track);
-    setCurrentTrackIndex(index);
-    setIsPlaying(false);
-  }, []);
+    const previousId = history[history.length - 1];
+    if (previousId && libraryById.has(previousId)) {
+      setHistory(prev => prev.slice(0, -1));
+      isGoingBackRef.current = true;
+      goToTrack(libraryById.get(previousId), isAudioPlaying());
+      return;
+    }
+    if (playOrder.length === 0) return;
+
+    const position = playOrder.indexOf(orderIndex);
+    const prevPosition = getPreviousTrackIndex(position, playOrder);
+    goToIndex(playOrder[prevPosition], isAudioPlaying());
+  }, [history, libraryById, goToTrack, playOrder, orderIndex, goToIndex]);
 
-  const addToPlaylist = useCallback((files) => {
-    const newTracks = Array.from(files).map((file, index) => ({
-      id: Date.now() + index,
-      name: file.name.replace(/\.[^/.]+$/, ''),
-      url: URL.createObjectURL(file),
-      file: file
-    }));
-
-    setPlaylist(prev => {
-      const updated = [...prev, ...newTracks];
-      if (prev.length === 0 && updated.length > 0) {
-        setCurrentTrack(updated[0]);
-        setCurrentTrackIndex(0);
+  useEffect(() => {
+    handleEndedRef.current = () => {
+      if (handleTrackEnded() || handleLoopTrackEnded()) return;
+      if (repeatMode === 'one' && currentTrack) {
+        goToTrack(currentTrack, true);
+        return;
       }
-      return updated;
-    });
-  }, []);
+      if (queue.length > 0) {
+        playQueueEntry(queue[0], true);
+        return;
+      }
+      if (playOrder.length === 0) return;
 
-  const removeFromPlaylist = useCallback((trackId) => {
-    setPlaylist(prev => {
-      const updated = prev.filter(track => track.id !== trackId);
-      const removedTrackIndex = prev.findIndex(track => track.id === trackId);
-      
-      if (currentTrack && currentTrack.id === trackId) {
-        if (updated.length > 0) {
-          const newIndex = Math.min(removedTrackIndex, updated.length - 1);
-          setCurrentTrack(updated[newIndex]);
-          setCurrentTrackIndex(newIndex);
-        } else {
-          setCurrentTrack(null);
-          setCurrentTrackIndex(0);
-        }
-      } else if (removedTrackIndex < currentTrackIndex) {
-        setCurrentTrackIndex(prev => prev - 1);
+      const nextIndex = resolveNextIndex(repeatMode);
+      if (nextIndex === -1) {
+        // End of the play order with repeat off: stop on the first track
+        goToIndex(playOrder[0], false);
+      } else {
+        goToIndex(nextIndex, true);
+      }
+    };
+  }, [currentTrack, queue, playQueueEntry, playOrder, repeatMode, resolveNextIndex, goToTrack, goToIndex, handleTrackEnded, handleLoopTrackEnded]);
+
+  // Preload whatever will play after the current track on the standby deck:
+  // the track itself on repeat-one, then the queue, then the play order.
+  // Nothing when the sleep timer stops at the end of this track or an A–B
+  // loop is running, so the engine cannot hand over to the next one
+  let upcomingTrack = null;
+  if ((sleepTimer && sleepTimer.mode === 'endOfTrack') || abLoop.isActive) {
+    upcomingTrack = null;
+  } else if (repeatMode === 'one') {
+    upcomingTrack = currentTrack;
+  } else if (queue.length > 0) {
+    upcomingTrack = libraryById.get(queue[0].trackId) || null;
+  } else {
+    const upcomingIndex = resolveNextIndex(repeatMode);
+    upcomingTrack = upcomingIndex === -1 ? null : playlist[upcomingIndex];
+  }
+  const upcomingTrackId = upcomingTrack ? upcomingTrack.id : null;
+  const upcomingTrackUrl = upcomingTrack ? upcomingTrack.url : null;
+  const upcomingTrackGain = getTrackGain(upcomingTrack);
+  const upcomingTrackRate = getTrackPlaybackRate(upcomingTrack);
+  useEffect(() => {
+    if (!engineRef.current) return;
+    engineRef.current.preload(
+      upcomingTrackId && upcomingTrackUrl
+        ? { id: upcomingTrackId, url: upcomingTrackUrl, gain: upcomingTrackGain, playbackRate: upcomingTrackRate }
+        : null
+    );
+  }, [upcomingTrackId, upcomingTrackUrl, upcomingTrackGain, upcomingTrackRate, advanceCount]);
+
+  // The engine moved on to the preloaded track by itself (crossfade or
+  // gapless hand-over); if that was the head of the queue, it is used up
+  useEffect(() => {
+    handleAdvanceRef.current = (trackId) => {
+      if (repeatMode !== 'one' && queue.length > 0 && queue[0].trackId === trackId) {
+        setQueue(prev => prev.slice(1));
+        if (trackId !== currentTrackId) isFromQueueRef.current = true;
       }
-      
-      return updated;
+      setCurrentTrackId(trackId);
+      setAdvanceCount(count => count + 1);
+      // Repeat-one advances to the same track, which is a new listen
+      countedPlayRef.current = null;
+    };
+  }, [repeatMode, queue, currentTrackId]);
+
+  /**
+   * Puts tracks at the front of the queue, in the given order
+   * @param {Array<string>} trackIds - Track IDs
+   */
+  const playNext = useCallback((trackIds) => {
+    const entries = makeQueueEntries(trackIds);
+    setQueue(prev => [...entries, ...prev]);
+  }, [makeQueueEntries]);
+
+  /**
+   * Appends tracks to the end of the queue
+   * @param {Array<string>} trackIds - Track IDs
+   */
+  const addToQueue = useCallback((trackIds) => {
+    const entries = makeQueueEntries(trackIds);
+    setQueue(prev => [...prev, ...entries]);
+  }, [makeQueueEntries]);
+
+  const removeFromQueue = useCallback((entryId) => {
+    setQueue(prev => prev.filter(entry => entry.id !== entryId));
+  }, []);
+
+  // Entries left out of entryIds are dropped
+  const reorderQueue = useCallback((entryIds) => {
+    setQueue(prev => {
+      const byId = new Map(prev.map(entry => [entry.id, entry]));
+      return entryIds.map(id => byId.get(id)).filter(Boolean);
     });
-  }, [currentTrack, currentTrackIndex]);
-
-  const clearPlaylist = useCallback(() => {
-    setPlaylist([]);
-    setCurrentTrack(null);
-    setCurrentTrackIndex(0);
-    setIsPlaying(false);
-    localStorage.removeItem('mp3-player-playlist');
   }, []);
 
-  const formatTime = useCallback((time) => {
-    if (isNaN(time)) return '0:00';
-    const minutes = Math.floor(time / 60);
-    const seconds = Math.floor(time % 60);
-    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+  const clearQueue = useCallback(() => setQueue([]), []);
+
+  const playFromQueue = useCallback((entryId) => {
+    const entry = queue.find(item => item.id === entryId);
+    if (entry) playQueueEntry(entry, true);
+  }, [queue, playQueueEntry]);
+
+  const cycleRepeatMode = useCallback(() => {
+    setRepeatMode(prev => REPEAT_MODES[(REPEAT_MODES.indexOf(prev) + 1) % REPEAT_MODES.length]);
+  }, []);
+
+  const toggleShuffle = useCallback(() => {
+    if (!isShuffled) {
+      // The current track leads the new order so it keeps playing undisturbed
+      const others = playlist.filter(track => track.id !== currentTrackId).map(track => track.id);
+      const shuffled = shuffleArray(others);
+      setShuffleOrder(currentTrackId ? [currentTrackId, ...shuffled] : shuffled);
+    }
+    setIsShuffled(!isShuffled);
+  }, [isShuffled, playlist, currentTrackId]);
+
+  /**
+   * Plays a track, making the list it was picked from the one playback
+   * continues through
+   * @param {Object} track - Track to play
+   * @param {string|null} [playlistId] - Named playlist, or null for the library
+   */
+  const selectTrack = useCallback((track, playlistId = activePlaylistId) => {
+    setActivePlaylistId(playlistId);
+    setAnchorTrackId(track.id);
+    goToTrack(track, true);
+  }, [activePlaylistId, goToTrack]);
+
+  /**
+   * Adds files to the library, and to a named playlist if one is given.
+   * Files are checked against the import rules in settings; skipped
+   * duplicates still go into the playlist.
+   * @param {FileList|Array<File>} files - Audio files
+   * @param {string|null} [playlistId] - Playlist to append the tracks to
+   * @param {Object} [options] - Passed on to the import, e.g. { onProgress }
+   * @returns {Promise<Object>} - Import result: { added, duplicates, rejected, report, tracks }
+   */
+  const addToPlaylist = useCallback(async (files, playlistId = null, options = {}) => {
+    const result = await addFiles(files, { rules: settings.importRules, ...options });
+    const { tracks } = result;
+
+    if (playlistId && tracks.length > 0) {
+      addTracksToPlaylist(playlistId, tracks.map(track => track.id));
+    }
+    if (!currentTrackId && tracks.length > 0) {
+      setCurrentTrackId(tracks[0].id);
+    }
+    return result;
+  }, [addFiles, addTracksToPlaylist, currentTrackId, settings.importRules]);
+
+  // Files opened with the installed app or shared to it become the current
+  // track; they wait for the library so the rehydrated list cannot replace them
+  const openFilesRef = useRef(null);
+  useEffect(() => {
+    openFilesRef.current = async (files) => {
+      const { tracks } = await addFiles(files, { rules: settings.importRules });
+      if (tracks.length > 0) setCurrentTrackId(tracks[0].id);
+    };
+  }, [addFiles, settings.importRules]);
+
+  useEffect(() => {
+    if (!isLibraryLoaded) return;
+
+    consumeLaunchedFiles(files => openFilesRef.current(files));
+
+    const url = new URL(window.location.href);
+    if (url.searchParams.has(SHARED_FILES_PARAM)) {
+      url.searchParams.delete(SHARED_FILES_PARAM);
+      window.history.replaceState(window.history.state, '', url.toString());
+      takeSharedFiles()
+        .then(files => files.length > 0 && openFilesRef.current(files))
+        .catch(err => console.error('Failed to read shared files:', err));
+    }
+  }, [isLibraryLoaded]);
+
+  // Latest session values, for the throttled and on-exit saves
+  const sessionStateRef = useRef(null);
+  const lastSessionSaveRef = useRef(0);
+  const currentTrackDuration = (currentTrack && currentTrack.duration) || duration;
+
+  const writeSession = useCallback(() => {
+    const state = sessionStateRef.current;
+    // Nothing is saved until the old session has been read back
+    if (!state || !state.isSessionRestored) return;
+
+    if (state.currentTrackId && isLongTrack(state.duration)) {
+      resumePointsRef.current = updateResumePoint(
+        resumePointsRef.current, state.currentTrackId, state.position, state.duration
+      );
+    }
+    lastSessionSaveRef.current = Date.now();
+    saveSession({
+      currentTrackId: state.currentTrackId,
+      activePlaylistId: state.activePlaylistId,
+      position: state.position,
+      volume: state.volume,
+      isMuted: state.isMuted,
+      repeatMode: state.repeatMode,
+      isShuffled: state.isShuffled,
+      queue: state.queue,
+      resumePoints: resumePointsRef.current
+    });
   }, []);
 
+  useEffect(() => {
+    const previous = sessionStateRef.current;
+    const isNewTrack = !previous || previous.currentTrackId !== currentTrackId;
+
+    // Leaving a long track keeps its place for next time
+    if (isNewTrack && previous && previous.isSessionRestored && previous.currentTrackId && isLongTrack(previous.duration)) {
+      resumePointsRef.current = updateResumePoint(
+        resumePointsRef.current, previous.currentTrackId, previous.position, previous.duration
+      );
+    }
+
+    sessionStateRef.current = {
+      isSessionRestored,
+      currentTrackId,
+      activePlaylistId,
+      // Until the engine reports in, the time shown still belongs to the previous track
+      position: isNewTrack ? startPositionRef.current : currentTime,
+      duration: currentTrackDuration,
+      volume,
+      isMuted,
+      repeatMode,
+      isShuffled,
+      queue: queue.map(entry => entry.trackId)
+    };
+  }, [
+    isSessionRestored,
+    currentTrackId,
+    activePlaylistId,
+    currentTime,
+    currentTrackDuration,
+    volume,
+    isMuted,
+    repeatMode,
+    isShuffled,
+    queue
+  ]);
+
+  // Save at once when what plays, or how, changes
+  useEffect(() => {
+    writeSession();
+  }, [writeSession, isSessionRestored, currentTrackId, activePlaylistId, volume, isMuted, repeatMode, isShuffled, queue]);
+
+  // The position only every few seconds, and once more when the page goes away
+  useEffect(() => {
+    if (Date.now() - lastSessionSaveRef.current >= SESSION_SAVE_INTERVAL_MS) writeSession();
+  }, [writeSession, currentTime]);
+
+  useEffect(() => {
+    window.addEventListener('pagehide', writeSession);
+    return () => window.removeEventListener('pagehide', writeSession);
+  }, [writeSession]);
+
+  /**
+   * Takes a track out of a named playlist, or deletes it from the library
+   * (and so from every playlist) when no playlist is given
+   * @param {string} trackId - Track ID
+   * @param {string|null} [playlistId] - Named playlist, or null for the library
+   */
+  const removeFromPlaylist = useCallback((trackId, playlistId = null) => {
+    if (playlistId) {
+      const target = playlists.find(item => item.id === playlistId);
+      if (target) setPlaylistTracks(playlistId, target.trackIds.filter(id => id !== trackId));
+      return;
+    }
+
+    if (trackId === currentTrackId) {
+      pause();
+      const updated = playlist.filter(track => track.id !== trackId);
+      const newIndex = Math.min(currentTrackIndex, updated.length - 1);
+      setCurrentTrackId(newIndex >= 0 ? updated[newIndex].id : null);
+    }
+
+    removeTrack(trackId);
+  }, [playlists, playlist, currentTrackId, currentTrackIndex, pause, removeTrack, setPlaylistTracks]);
+
+  const reorderPlaylist = useCallback((trackIds, playlistId = null) => {
+    if (playlistId) {
+      setPlaylistTracks(playlistId, trackIds);
+    } else {
+      reorderTracks(trackIds);
+    }
+  }, [reorderTracks, setPlaylistTracks]);
+
+  /**
+   * Empties a named playlist, or clears the whole library when none is given
+   * @param {string|null} [playlistId] - Named playlist, or null for the library
+   */
+  const clearPlaylist = useCallback((playlistId = null) => {
+    if (playlistId) {
+      setPlaylistTracks(playlistId, []);
+      return;
+    }
+
+    pause();
+    clearLibrary();
+    setCurrentTrackId(null);
+  }, [pause, clearLibrary, setPlaylistTracks]);
+
+  useMediaSession({
+    currentTrack,
+    isPlaying,
+    currentTime,
+    duration,
+    playbackRate,
+    play,
+    pause,
+    seek,
+    nextTrack,
+    previousTrack
+  });
+
+  useTheme(settings.theme);
+
   return {
     // State
     currentTrack,
     isPlaying,
     currentTime,
     duration,
+    buffered,
     volume,
+    isMuted,
     isLoading,
-    error,
+    error: error || libraryError,
     playlist,
+    library,
+    playlists,
+    activePlaylistId,
+    queue,
+    history,
+    isLibraryLoaded,
     currentTrackIndex,
-    
+    currentTrackGain,
+    repeatMode,
+    isShuffled,
+    settings,
+    sleepTimer,
+    playbackRate,
+    defaultPlaybackRate,
+    abLoop,
+    bookmarks,
+
     // Actions
     play,
     pause,
     togglePlayPause,
     seek,
     changeVolume,
+    toggleMute,
+    setRepeatMode,
+    cycleRepeatMode,
+    toggleShuffle,
     nextTrack,
     previousTrack,
     selectTrack,
     addToPlaylist,
     removeFromPlaylist,
+    reorderPlaylist,
     clearPlaylist,
-    
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    movePlaylist,
+    addTracksToPlaylist,
+    playNext,
+    addToQueue,
+    removeFromQueue,
+    reorderQueue,
+    clearQueue,
+    playFromQueue,
+    updateSettings,
+    startSleepTimer,
+    stopAtEndOfTrack,
+    extendSleepTimer,
+    cancelSleepTimer,
+    setPlaybackRate,
+    rememberPlaybackRate,
+    savePlaybackRateAsDefault,
+    setLoopPoint,
+    setLoopRange,
+    setLoopPointHere,
+    toggleLoop,
+    clearLoop,
+    setLoopOptions,
+    addBookmark,
+    updateBookmark,
+    removeBookmark,
+
     // Utilities
-    formatTime
+    formatTime,
+    getAnalyser
   };
 };
 
-export default useAudioPlayer;
\ No newline at end of file
+export default useAudioPlayer;
@@ -0,0 +1,108 @@
+import { useState, useRef, useCallback } from 'react';
+
+// Pointer travel, in pixels, before a press on a handle becomes a drag
+const DRAG_THRESHOLD = 4;
+// Distance from the list's top or bottom edge that scrolls it while dragging
+const AUTO_SCROLL_EDGE = 32;
+const AUTO_SCROLL_STEP = 12;
+
+/**
+ * Pointer-driven drag reordering for a vertical list. Pointer events cover
+ * mouse, pen and touch alike; handles need `touch-action: none` so a touch
+ * drag does not scroll the page instead.
+ * @param {Object} options - { ids, getMovingIds, onDrop, scrollRef }:
+ *   ids in display order, a function giving the ids a drag from a row carries,
+ *   a callback receiving (movingIds, targetIndex), and the scrolling container
+ * @returns {Object} - { drag, registerRow, getHandleProps }; drag is
+ *   { movingIds, dropIndex } while dragging, otherwise null
+ */
+const useDragReorder = ({ ids, getMovingIds, onDrop, scrollRef }) => {
+  const [drag, setDrag] = useState(null);
+  const rowsRef = useRef(new Map());
+  const pointerRef = useRef(null);
+  const suppressClickRef = useRef(false);
+
+  const registerRow = useCallback((id) => (element) => {
+    if (element) {
+      rowsRef.current.set(id, element);
+    } else {
+      rowsRef.current.delete(id);
+    }
+  }, []);
+
+  // The drop point is before the first row whose middle is below the pointer.
+  // Only rendered rows count: in a virtualized list the pointer can be no
+  // further down than just after the last one rendered.
+  const getDropIndex = (clientY) => {
+    let lastRendered = -1;
+    for (let index = 0; index < ids.length; index += 1) {
+      const element = rowsRef.current.get(ids[index]);
+      if (element) {
+        const rect = element.getBoundingClientRect();
+        if (clientY < rect.top + rect.height / 2) return index;
+        lastRendered = index;
+      }
+    }
+    return lastRendered === -1 ? ids.length : lastRendered + 1;
+  };
+
+  const autoScroll = (clientY) => {
+    const container = scrollRef.current;
+    if (!container) return;
+
+    const rect = container.getBoundingClientRect();
+    if (clientY < rect.top + AUTO_SCROLL_EDGE) {
+      container.scrollTop -= AUTO_SCROLL_STEP;
+    } else if (clientY > rect.bottom - AUTO_SCROLL_EDGE) {
+      container.scrollTop += AUTO_SCROLL_STEP;
+    }
+  };
+
+  const endDrag = () => {
+    pointerRef.current = null;
+    setDrag(null);
+  };
+
+  const getHandleProps = (id) => ({
+    onPointerDown: (e) => {
+      if (e.button !== 0) return;
+      suppressClickRef.current = false;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      pointerRef.current = { id, pointerId: e.pointerId, startY: e.clientY, movingIds: null };
+    },
+    onPointerMove: (e) => {
+      const pointer = pointerRef.current;
+      if (!pointer || pointer.pointerId !== e.pointerId) return;
+
+      if (!pointer.movingIds) {
+        if (Math.abs(e.clientY - pointer.startY) < DRAG_THRESHOLD) return;
+        pointer.movingIds = getMovingIds(pointer.id);
+      }
+
+      autoScroll(e.clientY);
+      setDrag({ movingIds: pointer.movingIds, dropIndex: getDropIndex(e.clientY) });
+    },
+    onPointerUp: (e) => {
+      const pointer = pointerRef.current;
+      if (!pointer || pointer.pointerId !== e.pointerId) return;
+
+      if (pointer.movingIds) {
+        // The click that follows the release is not a tap on the handle
+        suppressClickRef.current = true;
+        onDrop(pointer.movingIds, getDropIndex(e.clientY));
+      }
+      endDrag();
+    },
+    onPointerCancel: endDrag,
+    onClickCapture: (e) => {
+      if (!suppressClickRef.current) return;
+      suppressClickRef.current = false;
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  });
+
+  return { drag, registerRow, getHandleProps };
+};
+
+export default useDragReorder;
@@ -0,0 +1,89 @@
+import { useEffect, useRef } from 'react';
+import { usePlayer } from '../components/PlayerProvider';
+import {
+  SEEK_STEP_SECONDS,
+  VOLUME_STEP,
+  DIGIT_KEYS,
+  getEventKey,
+  isTextEntryTarget,
+  isHandledByTarget,
+  findActionForKey
+} from '../utils/keymap';
+
+/**
+ * Installs the global keyboard shortcuts from the player's keymap
+ * @param {Object} options - { enabled, onShowHelp }
+ */
+const useKeyboardShortcuts = ({ enabled = true, onShowHelp } = {}) => {
+  const player = usePlayer();
+  // Latest player state, read when a key is pressed so the listener is
+  // not re-attached on every time update
+  const playerRef = useRef(player);
+  const onShowHelpRef = useRef(onShowHelp);
+
+  useEffect(() => {
+    playerRef.current = player;
+    onShowHelpRef.current = onShowHelp;
+  });
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event) => {
+      if (event.defaultPrevented || isTextEntryTarget(event.target)) return;
+
+      const key = getEventKey(event);
+      if (!key || isHandledByTarget(event.target, key)) return;
+
+      const {
+        settings,
+        currentTrack,
+        currentTime,
+        duration,
+        volume,
+        isMuted,
+        seek,
+        changeVolume,
+        togglePlayPause,
+        nextTrack,
+        previousTrack,
+        toggleMute,
+        toggleShuffle,
+        cycleRepeatMode
+      } = playerRef.current;
+
+      const seekTo = (time) => {
+        if (currentTrack && duration) seek(Math.max(0, Math.min(duration, time)));
+      };
+      const currentVolume = isMuted ? 0 : volume;
+
+      const actions = {
+        togglePlay: () => currentTrack && togglePlayPause(),
+        seekForward: () => seekTo(currentTime + SEEK_STEP_SECONDS),
+        seekBackward: () => seekTo(currentTime - SEEK_STEP_SECONDS),
+        volumeUp: () => changeVolume(currentVolume + VOLUME_STEP),
+        volumeDown: () => changeVolume(currentVolume - VOLUME_STEP),
+        nextTrack,
+        previousTrack,
+        toggleMute,
+        toggleShuffle,
+        cycleRepeat: cycleRepeatMode,
+        showHelp: () => onShowHelpRef.current && onShowHelpRef.current()
+      };
+
+      const action = findActionForKey(settings.keymap, key);
+      if (action && actions[action]) {
+        event.preventDefault();
+        actions[action]();
+      } else if (DIGIT_KEYS.includes(key)) {
+        event.preventDefault();
+        seekTo((Number(key) / 10) * duration);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled]);
+};
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,503 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  loadLibrary,
+  loadPlaylists,
+  savePlaylists,
+  addTracksToLibrary,
+  updateTrackInLibrary,
+  removeTrackFromLibrary,
+  saveTrackOrder,
+  clearLibrary as clearLibraryStore,
+  findMissingTrackForFile,
+  findDuplicateTrack
+} from '../utils/libraryStore';
+import {
+  isAudioFile,
+  validateAudioFile,
+  createTrackObject,
+  generateTrackId,
+  cleanupTrackUrls
+} from '../utils/audioUtils';
+import { readId3Tags } from '../utils/id3Parser';
+import { analyzeTrack, needsAnalysis } from '../utils/audioAnalysis';
+import { hashFile } from '../utils/fileImport';
+import { DEFAULT_IMPORT_RULES } from '../utils/importRules';
+
+const generatePlaylistId = () => (
+  `playlist-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+);
+
+/**
+ * Appends a counter to a playlist name until no other playlist uses it
+ * @param {string} name - Preferred name
+ * @param {Array} playlists - Existing playlists
+ * @returns {string} - Unused name
+ */
+const getUniquePlaylistName = (name, playlists) => {
+  const taken = new Set(playlists.map(playlist => playlist.name));
+  if (!taken.has(name)) return name;
+
+  let counter = 2;
+  while (taken.has(`${name} ${counter}`)) counter += 1;
+  return `${name} ${counter}`;
+};
+
+/**
+ * The local music library: every imported track, plus named playlists that
+ * refer to library tracks by id
+ */
+const useLibrary = () => {
+  const [tracks, setTracks] = useState([]);
+  const [playlists, setPlaylists] = useState([]);
+  const [isLibraryLoaded, setIsLibraryLoaded] = useState(false);
+  const [libraryError, setLibraryError] = useState(null);
+  const tracksRef = useRef(tracks);
+  // Updated together with the state so back-to-back edits build on each other
+  const playlistsRef = useRef(playlists);
+  // Tracks waiting for analysis, and ids already tried this session
+  const analysisQueueRef = useRef([]);
+  const analysedIdsRef = useRef(new Set());
+  const isAnalysingRef = useRef(false);
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    tracksRef.current = tracks;
+  }, [tracks]);
+
+  // Rehydrate the library from IndexedDB on mount
+  useEffect(() => {
+    let cancelled = false;
+
+    loadLibrary()
+      .then(async (tracks) => {
+        const savedPlaylists = await loadPlaylists();
+        if (cancelled) {
+          cleanupTrackUrls(tracks);
+          return;
+        }
+        setTracks(tracks);
+        playlistsRef.current = savedPlaylists;
+        setPlaylists(savedPlaylists);
+      })
+      .catch((err) => {
+        console.error('Failed to load library from IndexedDB:', err);
+        if (!cancelled) setLibraryError('Could not open the local music library');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLibraryLoaded(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Release object URLs when the library goes away
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+      cleanupTrackUrls(tracksRef.current);
+    };
+  }, []);
+
+  const updateTrack = useCallback((trackId, changes) => {
+    setTracks(prev => prev.map(track => (
+      track.id === trackId ? { ...track, ...changes } : track
+    )));
+    updateTrackInLibrary(trackId, changes).catch((err) => {
+      console.error('Failed to update track in IndexedDB:', err);
+    });
+  }, []);
+
+  /**
+   * Counts a listen towards a track's play count
+   * @param {string} trackId - Track ID
+   */
+  const recordPlay = useCallback((trackId) => {
+    const track = tracksRef.current.find(item => item.id === trackId);
+    if (!track) return;
+    updateTrack(trackId, {
+      playCount: (track.playCount || 0) + 1,
+      lastPlayedAt: new Date().toISOString()
+    });
+  }, [updateTrack]);
+
+  /**
+   * Saves the speed a track always starts at, or forgets it
+   * @param {string} trackId - Track ID
+   * @param {number|null} rate - Playback rate, or null to follow the playlist
+   */
+  const setTrackPlaybackRate = useCallback((trackId, rate) => {
+    updateTrack(trackId, { playbackRate: rate });
+  }, [updateTrack]);
+
+  /**
+   * Replaces a track's bookmarks
+   * @param {string} trackId - Track ID
+   * @param {Array<Object>} bookmarks - Bookmarks, see createBookmark
+   */
+  const setTrackBookmarks = useCallback((trackId, bookmarks) => {
+    updateTrack(trackId, { bookmarks });
+  }, [updateTrack]);
+
+  /**
+   * Analyses queued tracks one at a time; decoding several files at once
+   * would hold all of them in memory together
+   */
+  const runAnalysis = useCallback(async () => {
+    if (isAnalysingRef.current) return;
+    isAnalysingRef.current = true;
+
+    while (analysisQueueRef.current.length > 0 && isMountedRef.current) {
+      const trackId = analysisQueueRef.current.shift();
+      // The track may have been removed while it waited
+      const track = tracksRef.current.find(item => item.id === trackId);
+      if (!track || !needsAnalysis(track)) continue;
+
+      try {
+        const changes = await analyzeTrack(track);
+        if (Object.keys(changes).length > 0 && isMountedRef.current) {
+          updateTrack(trackId, changes);
+        }
+      } catch (err) {
+        console.error(`Failed to analyse "${track.title}":`, err);
+      }
+    }
+
+    isAnalysingRef.current = false;
+  }, [updateTrack]);
+
+  // Analyse new imports, and tracks saved before analysis existed, once each
+  useEffect(() => {
+    const pending = tracks.filter(track => (
+      needsAnalysis(track) && !analysedIdsRef.current.has(track.id)
+    ));
+    if (pending.length === 0) return;
+
+    pending.forEach(track => analysedIdsRef.current.add(track.id));
+    analysisQueueRef.current.push(...pending.map(track => track.id));
+    runAnalysis();
+  }, [tracks, runAnalysis]);
+
+  /**
+   * Imports audio files into the library under the given import rules.
+   * Recordings it already holds (also within the same batch) are skipped,
+   * replaced or kept as copies according to rules.duplicatePolicy.
+   * @param {FileList|Array<File>} files - Files to import
+   * @param {Object} [options] - { rules, onProgress({ done, total }) }
+   * @returns {Promise<Object>} - { added, duplicates, rejected, report, tracks }:
+   *   new, restored or replaced tracks; { file, track } pairs for skipped
+   *   duplicates; { file, errors } pairs for files that failed validation; a
+   *   { fileName, path, status, reasons } entry per file, status being
+   *   'accepted', 'rejected' or 'skipped'; and every track the files resolved
+   *   to in file order
+   */
+  const addFiles = useCallback(async (files, { rules = DEFAULT_IMPORT_RULES, onProgress } = {}) => {
+    const allFiles = Array.from(files);
+    const total = allFiles.filter(isAudioFile).length;
+    const entries = [];
+    // Ids of tracks already in the library that this import overwrites
+    const updatedIds = new Set();
+    const duplicates = [];
+    const rejected = [];
+    const report = [];
+    const resolved = [];
+    let done = 0;
+
+    const addToReport = (file, status, reasons) => {
+      report.push({ fileName: file.name, path: file.webkitRelativePath || file.name, status, reasons });
+    };
+    const reportProgress = () => {
+      done += 1;
+      if (onProgress) onProgress({ done, total });
+    };
+
+    if (onProgress) onProgress({ done: 0, total });
+
+    for (const file of allFiles) {
+      if (!isAudioFile(file)) {
+        addToReport(file, 'skipped', ['Not an audio file']);
+        continue;
+      }
+
+      const { valid, errors, duration } = await validateAudioFile(file, rules);
+      if (!valid) {
+        rejected.push({ file, errors });
+        addToReport(file, 'rejected', errors);
+        reportProgress();
+        continue;
+      }
+
+      // Hashing reads the whole file, so only files the rules accept get that far
+      const contentHash = await hashFile(file).catch((err) => {
+        console.error(`Failed to hash "${file.name}":`, err);
+        return null;
+      });
+      const known = [...tracksRef.current, ...entries.map(({ track }) => track)];
+      const duplicate = findDuplicateTrack(known, file, contentHash);
+
+      if (duplicate && rules.duplicatePolicy === 'skip') {
+        duplicates.push({ file, track: duplicate });
+        resolved.push(duplicate);
+        addToReport(file, 'skipped', [`Already in the library as "${duplicate.title}"`]);
+        reportProgress();
+        continue;
+      }
+
+      const tags = await readId3Tags(file).catch((err) => {
+        console.error(`Failed to read ID3 tags from "${file.name}":`, err);
+        return {};
+      });
+      const track = createTrackObject(file, duration, tags, contentHash);
+
+      if (duplicate && rules.duplicatePolicy === 'replace') {
+        // Same id, so playlists and history keep pointing at it. The old
+        // object URLs are left alone in case the track is playing.
+        const replacement = {
+          ...track,
+          id: duplicate.id,
+          addedAt: duplicate.addedAt,
+          playCount: duplicate.playCount || 0,
+          lastPlayedAt: duplicate.lastPlayedAt || null,
+          playbackRate: duplicate.playbackRate ?? null,
+          bookmarks: duplicate.bookmarks || []
+        };
+        const batchIndex = entries.findIndex(entry => entry.track.id === duplicate.id);
+        if (batchIndex === -1) {
+          entries.push({ track: replacement, file });
+          updatedIds.add(replacement.id);
+        } else {
+          entries[batchIndex] = { track: replacement, file };
+        }
+        resolved.push(replacement);
+        addToReport(file, 'accepted', [`Replaced "${duplicate.title}"`]);
+      } else if (duplicate) {
+        // Keeping both needs an id the content hash does not decide
+        const copy = { ...track, id: generateTrackId(file.name, file.size) };
+        entries.push({ track: copy, file });
+        resolved.push(copy);
+        addToReport(file, 'accepted', [`Added as a copy of "${duplicate.title}"`]);
+      } else {
+        const missingTrack = findMissingTrackForFile(tracksRef.current, file, contentHash);
+
+        if (missingTrack) {
+          // Re-adding a file whose bytes were lost brings the old entry back
+          const restored = {
+            ...track,
+            id: missingTrack.id,
+            addedAt: missingTrack.addedAt,
+            playCount: missingTrack.playCount || 0,
+            lastPlayedAt: missingTrack.lastPlayedAt || null,
+            playbackRate: missingTrack.playbackRate ?? null,
+            bookmarks: missingTrack.bookmarks || []
+          };
+          entries.push({ track: restored, file });
+          updatedIds.add(restored.id);
+          resolved.push(restored);
+          addToReport(file, 'accepted', [`Restored "${missingTrack.title}", whose audio was missing`]);
+        } else {
+          entries.push({ track, file });
+          resolved.push(track);
+          addToReport(file, 'accepted', []);
+        }
+      }
+      reportProgress();
+    }
+
+    try {
+      await addTracksToLibrary(entries);
+    } catch (err) {
+      console.error('Failed to save tracks to IndexedDB:', err);
+      setLibraryError('Tracks were added but could not be saved for next time');
+    }
+
+    const updatedById = new Map(entries
+      .filter(({ track }) => updatedIds.has(track.id))
+      .map(({ track }) => [track.id, track]));
+    const added = entries
+      .map(({ track }) => track)
+      .filter(track => !updatedIds.has(track.id));
+
+    setTracks(prev => [
+      ...prev.map(track => updatedById.get(track.id) || track),
+      ...added
+    ]);
+
+    return {
+      added: entries.map(({ track }) => track),
+      duplicates,
+      rejected,
+      report,
+      tracks: resolved
+    };
+  }, []);
+
+  const removeTrack = useCallback((trackId) => {
+    const track = tracksRef.current.find(item => item.id === trackId);
+    if (track) cleanupTrackUrls([track]);
+
+    setTracks(prev => prev.filter(item => item.id !== trackId));
+    // The store drops the id from every playlist in the same transaction
+    playlistsRef.current = playlistsRef.current.map(playlist => ({
+      ...playlist,
+      trackIds: playlist.trackIds.filter(id => id !== trackId)
+    }));
+    setPlaylists(playlistsRef.current);
+    removeTrackFromLibrary(trackId).catch((err) => {
+      console.error('Failed to remove track from IndexedDB:', err);
+    });
+  }, []);
+
+  const reorderTracks = useCallback((trackIds) => {
+    const current = tracksRef.current;
+    const byId = new Map(current.map(track => [track.id, track]));
+    const ordered = trackIds.filter(id => byId.has(id)).map(id => byId.get(id));
+    // Tracks left out of trackIds keep their relative order at the end
+    const rest = current.filter(track => !trackIds.includes(track.id));
+    const next = [...ordered, ...rest];
+
+    setTracks(next);
+    saveTrackOrder(next.map(track => track.id)).catch((err) => {
+      console.error('Failed to save track order to IndexedDB:', err);
+    });
+  }, []);
+
+  const clearLibrary = useCallback(() => {
+    cleanupTrackUrls(tracksRef.current);
+    setTracks([]);
+    // Named playlists stay, with nothing left to point at
+    playlistsRef.current = playlistsRef.current.map(playlist => ({ ...playlist, trackIds: [] }));
+    setPlaylists(playlistsRef.current);
+    clearLibraryStore().catch((err) => {
+      console.error('Failed to clear IndexedDB library:', err);
+    });
+  }, []);
+
+  /**
+   * Applies a change to the named playlists and saves the result
+   * @param {Function} update - Receives the current playlists, returns the new ones
+   */
+  const commitPlaylists = useCallback((update) => {
+    const next = update(playlistsRef.current);
+    playlistsRef.current = next;
+    setPlaylists(next);
+    savePlaylists(next).catch((err) => {
+      console.error('Failed to save playlists to IndexedDB:', err);
+    });
+  }, []);
+
+  const updatePlaylist = useCallback((playlistId, update) => {
+    commitPlaylists(prev => prev.map(playlist => (
+      playlist.id === playlistId ? { ...playlist, ...update(playlist) } : playlist
+    )));
+  }, [commitPlaylists]);
+
+  /**
+   * Creates a named playlist
+   * @param {string} name - Preferred name; a counter is added if it is taken
+   * @param {Array<string>} trackIds - Initial tracks
+   * @returns {string} - New playlist id
+   */
+  const createPlaylist = useCallback((name, trackIds = []) => {
+    const id = generatePlaylistId();
+    commitPlaylists(prev => [...prev, {
+      id,
+      name: getUniquePlaylistName(name.trim() || 'New playlist', prev),
+      trackIds: [...new Set(trackIds)],
+      createdAt: new Date().toISOString()
+    }]);
+    return id;
+  }, [commitPlaylists]);
+
+  const renamePlaylist = useCallback((playlistId, name) => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    updatePlaylist(playlistId, () => ({ name: trimmed }));
+  }, [updatePlaylist]);
+
+  /**
+   * Copies a playlist, placing the copy right after the original
+   * @param {string} playlistId - Playlist to copy
+   * @returns {string|null} - Id of the copy
+   */
+  const duplicatePlaylist = useCallback((playlistId) => {
+    const index = playlistsRef.current.findIndex(playlist => playlist.id === playlistId);
+    if (index === -1) return null;
+
+    const id = generatePlaylistId();
+    commitPlaylists(prev => {
+      const original = prev[index];
+      const copy = {
+        id,
+        name: getUniquePlaylistName(`${original.name} copy`, prev),
+        trackIds: [...original.trackIds],
+        playbackRate: original.playbackRate ?? null,
+        createdAt: new Date().toISOString()
+      };
+      return [...prev.slice(0, index + 1), copy, ...prev.slice(index + 1)];
+    });
+    return id;
+  }, [commitPlaylists]);
+
+  const deletePlaylist = useCallback((playlistId) => {
+    commitPlaylists(prev => prev.filter(playlist => playlist.id !== playlistId));
+  }, [commitPlaylists]);
+
+  const movePlaylist = useCallback((playlistId, toIndex) => {
+    commitPlaylists(prev => {
+      const fromIndex = prev.findIndex(playlist => playlist.id === playlistId);
+      const target = Math.max(0, Math.min(prev.length - 1, toIndex));
+      if (fromIndex === -1 || fromIndex === target) return prev;
+
+      const next = [...prev];
+      const [moved] = next.splice(fromIndex, 1);
+      next.splice(target, 0, moved);
+      return next;
+    });
+  }, [commitPlaylists]);
+
+  // Playlists hold each track at most once
+  const addTracksToPlaylist = useCallback((playlistId, trackIds) => {
+    updatePlaylist(playlistId, playlist => ({
+      trackIds: [...new Set([...playlist.trackIds, ...trackIds])]
+    }));
+  }, [updatePlaylist]);
+
+  const setPlaylistTracks = useCallback((playlistId, trackIds) => {
+    updatePlaylist(playlistId, () => ({ trackIds: [...new Set(trackIds)] }));
+  }, [updatePlaylist]);
+
+  /**
+   * Saves the speed tracks of a playlist start at, or forgets it
+   * @param {string} playlistId - Playlist ID
+   * @param {number|null} rate - Playback rate, or null for the library default
+   */
+  const setPlaylistPlaybackRate = useCallback((playlistId, rate) => {
+    updatePlaylist(playlistId, () => ({ playbackRate: rate }));
+  }, [updatePlaylist]);
+
+  return {
+    tracks,
+    playlists,
+    isLibraryLoaded,
+    libraryError,
+    addFiles,
+    recordPlay,
+    setTrackPlaybackRate,
+    setTrackBookmarks,
+    removeTrack,
+    reorderTracks,
+    clearLibrary,
+    createPlaylist,
+    renamePlaylist,
+    duplicatePlaylist,
+    deletePlaylist,
+    movePlaylist,
+    addTracksToPlaylist,
+    setPlaylistTracks,
+    setPlaylistPlaybackRate
+  };
+};
+
+export default useLibrary;
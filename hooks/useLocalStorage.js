@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 
 const useLocalStorage = (key, initialValue) => {
   // State to store our value
@@ -22,26 +22,27 @@ const useLocalStorage = (key, initialValue) => {
 
   // Return a wrapped version of useState's setter function that ...
   // ... persists the new value to localStorage.
-  const setValue = (value) => {
-    try {
+  const setValue = useCallback((value) => {
+    setStoredValue((previousValue) => {
       // Allow value to be a function so we have the same API as useState
-      const valueToStore = value instanceof Function ? value(storedValue) : value;
-      
-      // Save state
-      setStoredValue(valueToStore);
-      
+      const valueToStore = value instanceof Function ? value(previousValue) : value;
+
       // Save to local storage
-      if (typeof window !== 'undefined') {
-        window.localStorage.setItem(key, JSON.stringify(valueToStore));
+      try {
+        if (typeof window !== 'undefined') {
+          window.localStorage.setItem(key, JSON.stringify(valueToStore));
+        }
+      } catch (error) {
+        // A more advanced implementation would handle the error case
+        console.error(`Error setting localStorage key "${key}":`, error);
       }
-    } catch (error) {
-      // A more advanced implementation would handle the error case
-      console.error(`Error setting localStorage key "${key}":`, error);
-    }
-  };
+
+      return valueToStore;
+    });
+  }, [key]);
 
   // Remove value from localStorage
-  const removeValue = () => {
+  const removeValue = useCallback(() => {
     try {
       setStoredValue(initialValue);
       if (typeof window !== 'undefined') {
@@ -50,7 +51,7 @@ const useLocalStorage = (key, initialValue) => {
     } catch (error) {
       console.error(`Error removing localStorage key "${key}":`, error);
     }
-  };
+  }, [key, initialValue]);
 
   // Listen for changes to localStorage from other tabs/windows
   useEffect(() => {
@@ -0,0 +1,110 @@
+import { useEffect, useRef } from 'react';
+import { getTrackTitle } from '../utils/audioUtils';
+
+// Seconds skipped by seekforward / seekbackward when the OS gives no offset
+const DEFAULT_SEEK_OFFSET = 10;
+
+const hasMediaSession = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+/**
+ * Publishes the current track to the OS media controls (lock screen,
+ * media keys, headset buttons) and routes their actions to the player
+ * @param {Object} player - Current track, playback state and actions:
+ *   { currentTrack, isPlaying, currentTime, duration, playbackRate, play,
+ *   pause, seek, nextTrack, previousTrack }
+ */
+const useMediaSession = (player) => {
+  const { currentTrack, isPlaying, currentTime, duration, playbackRate = 1 } = player;
+  const playerRef = useRef(player);
+
+  useEffect(() => {
+    playerRef.current = player;
+  });
+
+  // Metadata
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    if (!currentTrack) {
+      navigator.mediaSession.metadata = null;
+      return;
+    }
+
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title: currentTrack.title || getTrackTitle(currentTrack.fileName || ''),
+      artist: currentTrack.artist || '',
+      album: currentTrack.album || '',
+      artwork: currentTrack.artworkUrl
+        ? [{ src: currentTrack.artworkUrl, type: currentTrack.artwork?.type || 'image/jpeg' }]
+        : []
+    });
+  }, [currentTrack]);
+
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+    navigator.mediaSession.playbackState = !currentTrack ? 'none' : isPlaying ? 'playing' : 'paused';
+  }, [currentTrack, isPlaying]);
+
+  // Position state; the OS extrapolates between updates, so once a second
+  // is enough to keep it right after seeks and track changes
+  const wholeSeconds = Math.floor(currentTime);
+  useEffect(() => {
+    if (!hasMediaSession() || !navigator.mediaSession.setPositionState) return;
+
+    try {
+      if (!currentTrack || !Number.isFinite(duration) || duration <= 0) {
+        navigator.mediaSession.setPositionState();
+        return;
+      }
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate,
+        position: Math.min(Math.max(playerRef.current.currentTime, 0), duration)
+      });
+    } catch (err) {
+      console.error('Failed to update media session position:', err);
+    }
+  }, [currentTrack, duration, wholeSeconds, isPlaying, playbackRate]);
+
+  // Action handlers, registered once and reading the latest player state
+  useEffect(() => {
+    if (!hasMediaSession()) return;
+
+    const seekBy = (offset) => {
+      const { currentTime: time, duration: length, seek } = playerRef.current;
+      if (length) seek(Math.max(0, Math.min(length, time + offset)));
+    };
+
+    const handlers = {
+      play: () => playerRef.current.play(),
+      pause: () => playerRef.current.pause(),
+      previoustrack: () => playerRef.current.previousTrack(),
+      nexttrack: () => playerRef.current.nextTrack(),
+      seekto: (details) => {
+        if (typeof details.seekTime === 'number') playerRef.current.seek(details.seekTime);
+      },
+      seekforward: (details) => seekBy(details.seekOffset || DEFAULT_SEEK_OFFSET),
+      seekbackward: (details) => seekBy(-(details.seekOffset || DEFAULT_SEEK_OFFSET))
+    };
+
+    Object.entries(handlers).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (err) {
+        // Browsers throw for actions they do not support
+      }
+    });
+
+    return () => {
+      Object.keys(handlers).forEach((action) => {
+        try {
+          navigator.mediaSession.setActionHandler(action, null);
+        } catch (err) {
+          // Not supported, nothing was registered
+        }
+      });
+    };
+  }, []);
+};
+
+export default useMediaSession;
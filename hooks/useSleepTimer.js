@@ -0,0 +1,135 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// Seconds over which the volume fades to silence before playback stops
+export const SLEEP_FADE_SECONDS = 10;
+// Clock rate while a timer runs; background tabs may tick as slowly as once
+// a second, and the deadline is wall-clock time so that only costs precision
+const TICK_MS = 250;
+
+/**
+ * Stops playback after a while, or when the current track ends, fading the
+ * volume out through changeVolume first and putting it back afterwards.
+ * @param {Object} player - { isPlaying, currentTime, duration, playbackRate,
+ *   volume, isMuted, changeVolume, pause }
+ * @returns {Object} - { sleepTimer, startSleepTimer, stopAtEndOfTrack,
+ *   extendSleepTimer, cancelSleepTimer, handleTrackEnded }; sleepTimer is
+ *   { mode, secondsLeft } while set, mode being 'duration' or 'endOfTrack'
+ */
+const useSleepTimer = ({
+  isPlaying,
+  currentTime,
+  duration,
+  playbackRate = 1,
+  volume,
+  isMuted,
+  changeVolume,
+  pause
+}) => {
+  // { mode: 'duration', endsAt } or { mode: 'endOfTrack' }
+  const [timer, setTimer] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  // Volume before the fade began, or null when not fading
+  const fadeFromRef = useRef(null);
+
+  useEffect(() => {
+    if (!timer) return undefined;
+
+    const tick = () => setNow(Date.now());
+    tick();
+    const interval = setInterval(tick, TICK_MS);
+    document.addEventListener('visibilitychange', tick);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', tick);
+    };
+  }, [timer]);
+
+  // Real seconds until the track ends at the current speed
+  const trackSecondsLeft = duration > 0 ? Math.max(0, duration - currentTime) / playbackRate : Infinity;
+  let secondsLeft = null;
+  if (timer) {
+    secondsLeft = timer.mode === 'duration' ? Math.max(0, (timer.endsAt - now) / 1000) : trackSecondsLeft;
+  }
+
+  const restoreVolume = useCallback(() => {
+    if (fadeFromRef.current === null) return;
+    changeVolume(fadeFromRef.current);
+    fadeFromRef.current = null;
+  }, [changeVolume]);
+
+  const finish = useCallback(() => {
+    pause();
+    restoreVolume();
+    setTimer(null);
+  }, [pause, restoreVolume]);
+
+  useEffect(() => {
+    if (!timer) return;
+
+    if (timer.mode === 'duration' && secondsLeft <= 0) {
+      finish();
+      return;
+    }
+    if (secondsLeft <= SLEEP_FADE_SECONDS && isPlaying && !isMuted) {
+      if (fadeFromRef.current === null) fadeFromRef.current = volume;
+      changeVolume(fadeFromRef.current * (secondsLeft / SLEEP_FADE_SECONDS));
+    }
+  }, [timer, secondsLeft, isPlaying, isMuted, volume, changeVolume, finish]);
+
+  /**
+   * Stops playback after the given time
+   * @param {number} minutes - Minutes from now
+   */
+  const startSleepTimer = useCallback((minutes) => {
+    restoreVolume();
+    setTimer({ mode: 'duration', endsAt: Date.now() + minutes * 60 * 1000 });
+  }, [restoreVolume]);
+
+  const stopAtEndOfTrack = useCallback(() => {
+    restoreVolume();
+    setTimer({ mode: 'endOfTrack' });
+  }, [restoreVolume]);
+
+  /**
+   * Pushes the stop back; a stop at the end of the track becomes a timer
+   * running that much past it
+   * @param {number} minutes - Minutes to add
+   */
+  const extendSleepTimer = useCallback((minutes) => {
+    restoreVolume();
+    setTimer(prev => {
+      if (!prev) return prev;
+      const base = prev.mode === 'duration'
+        ? Math.max(prev.endsAt, Date.now())
+        : Date.now() + (Number.isFinite(trackSecondsLeft) ? trackSecondsLeft * 1000 : 0);
+      return { mode: 'duration', endsAt: base + minutes * 60 * 1000 };
+    });
+  }, [restoreVolume, trackSecondsLeft]);
+
+  const cancelSleepTimer = useCallback(() => {
+    restoreVolume();
+    setTimer(null);
+  }, [restoreVolume]);
+
+  /**
+   * Called when a track plays to its end
+   * @returns {boolean} - True if the timer stopped playback there, so the
+   *   player should not move on
+   */
+  const handleTrackEnded = useCallback(() => {
+    if (!timer || timer.mode !== 'endOfTrack') return false;
+    finish();
+    return true;
+  }, [timer, finish]);
+
+  return {
+    sleepTimer: timer ? { mode: timer.mode, secondsLeft } : null,
+    startSleepTimer,
+    stopAtEndOfTrack,
+    extendSleepTimer,
+    cancelSleepTimer,
+    handleTrackEnded
+  };
+};
+
+export default useSleepTimer;
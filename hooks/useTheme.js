@@ -0,0 +1,17 @@
+import { useEffect } from 'react';
+import { applyTheme, watchSystemTheme } from '../utils/theme';
+
+/**
+ * Keeps the document in the chosen theme, following the OS in system mode
+ * @param {Object} theme - { mode, accent }, see DEFAULT_THEME
+ */
+const useTheme = ({ mode, accent }) => {
+  useEffect(() => {
+    applyTheme({ mode, accent });
+    if (mode !== 'system') return undefined;
+
+    return watchSystemTheme(() => applyTheme({ mode, accent }));
+  }, [mode, accent]);
+};
+
+export default useTheme;
@@ -0,0 +1,115 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+
+// Rows rendered beyond each edge of the viewport, so fast scrolling does not
+// show blank space before React catches up
+const OVERSCAN = 6;
+
+/**
+ * Renders only the rows of a long list that are in or near view. Rows can
+ * differ in height and change it (an expanded row, say): each rendered row
+ * is measured, and rows never rendered count as estimatedHeight. Place a
+ * spacer of paddingTop before the rows and one of paddingBottom after them.
+ * @param {Object} options - { ids, estimatedHeight, scrollRef }: row ids in
+ *   display order, a typical row height in pixels, and the scrolling container
+ * @returns {Object} - { items, paddingTop, paddingBottom, measureRow }: the
+ *   { id, index } pairs to render and a ref callback factory for their elements
+ */
+const useVirtualList = ({ ids, estimatedHeight, scrollRef }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+  const [heights, setHeights] = useState(() => new Map());
+  const observerRef = useRef(null);
+  const elementsRef = useRef(new Map());
+
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container) return undefined;
+
+    const handleScroll = () => setScrollTop(container.scrollTop);
+    const resizeObserver = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+
+    setViewportHeight(container.clientHeight);
+    container.addEventListener('scroll', handleScroll, { passive: true });
+    resizeObserver.observe(container);
+    return () => {
+      container.removeEventListener('scroll', handleScroll);
+      resizeObserver.disconnect();
+    };
+  }, [scrollRef]);
+
+  useEffect(() => {
+    const observer = new ResizeObserver(entries => {
+      setHeights(prev => {
+        let next = prev;
+        entries.forEach(({ target }) => {
+          const id = target.dataset.virtualId;
+          const height = target.offsetHeight;
+          if (id === undefined || prev.get(id) === height) return;
+          if (next === prev) next = new Map(prev);
+          next.set(id, height);
+        });
+        return next;
+      });
+    });
+    observerRef.current = observer;
+    elementsRef.current.forEach(element => observer.observe(element));
+
+    return () => {
+      observer.disconnect();
+      observerRef.current = null;
+    };
+  }, []);
+
+  const measureRow = useCallback((id) => (element) => {
+    const observer = observerRef.current;
+    const previous = elementsRef.current.get(id);
+    if (previous && previous !== element) {
+      if (observer) observer.unobserve(previous);
+      elementsRef.current.delete(id);
+    }
+    if (!element) return;
+
+    element.dataset.virtualId = id;
+    elementsRef.current.set(id, element);
+    if (observer) observer.observe(element);
+  }, []);
+
+  // Top edge of every row, plus the total height at the end
+  const offsets = useMemo(() => {
+    const result = new Array(ids.length + 1);
+    result[0] = 0;
+    ids.forEach((id, index) => {
+      result[index + 1] = result[index] + (heights.get(id) ?? estimatedHeight);
+    });
+    return result;
+  }, [ids, heights, estimatedHeight]);
+
+  // Last row starting at or above a position, by binary search
+  const findRow = (position) => {
+    let low = 0;
+    let high = ids.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (offsets[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  };
+
+  // Before the first measurement, show a screenful at the estimated height
+  const visibleHeight = viewportHeight || estimatedHeight * 10;
+  const start = ids.length === 0 ? 0 : Math.max(0, findRow(scrollTop) - OVERSCAN);
+  const end = ids.length === 0 ? 0 : Math.min(ids.length, findRow(scrollTop + visibleHeight) + 1 + OVERSCAN);
+
+  return {
+    items: ids.slice(start, end).map((id, offset) => ({ id, index: start + offset })),
+    paddingTop: offsets[start],
+    paddingBottom: offsets[ids.length] - offsets[end],
+    measureRow
+  };
+};
+
+export default useVirtualList;
@@ -0,0 +1,13 @@
+const nextJest = require('next/jest');
+
+// Compiles tests with the same SWC setup as the app and loads next.config.js
+const createJestConfig = nextJest({ dir: './' });
+
+/** @type {import('jest').Config} */
+const customJestConfig = {
+  // Pure modules run in Node; hook tests opt into jsdom with a docblock
+  testEnvironment: 'node',
+  testMatch: ['**/__tests__/**/*.test.js'],
+};
+
+module.exports = createJestConfig(customJestConfig);
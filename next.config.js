@@ -64,6 +64,16 @@ const nextConfig = {
           },
         ],
       },
+      {
+        // Browsers must always check for a new service worker
+        source: '/sw.js',
+        headers: [
+          {
+            key: 'Cache-Control',
+            value: 'no-cache',
+          },
+        ],
+      },
       {
         source: '/audio/:path*',
         headers: [
@@ -1,11 +1,23 @@
 import '../styles/globals.css';
+import { useEffect } from 'react';
 import { AnimatePresence } from 'framer-motion';
+import { PlayerProvider } from '../components/PlayerProvider';
+import { registerServiceWorker } from '../utils/pwa';
 
 function MyApp({ Component, pageProps, router }) {
+  // The development server's hot reloading does not mix with a caching worker
+  useEffect(() => {
+    if (process.env.NODE_ENV === 'production') {
+      registerServiceWorker();
+    }
+  }, []);
+
   return (
-    <AnimatePresence mode="wait" initial={false}>
-      <Component {...pageProps} key={router.route} />
-    </AnimatePresence>
+    <PlayerProvider>
+      <AnimatePresence mode="wait" initial={false}>
+        <Component {...pageProps} key={router.route} />
+      </AnimatePresence>
+    </PlayerProvider>
   );
 }
 
@@ -0,0 +1,26 @@
+import { Html, Head, Main, NextScript } from 'next/document';
+import { THEME_COLOR } from '../utils/pwa';
+import { SETTINGS_KEY } from '../utils/playerSettings';
+import { getThemeScript } from '../utils/theme';
+
+export default function Document() {
+  return (
+    <Html lang="en">
+      <Head>
+        <link rel="manifest" href="/manifest.json" />
+        <link rel="icon" href="/icons/icon.svg" type="image/svg+xml" />
+        <link rel="apple-touch-icon" href="/icons/icon.svg" />
+        <meta name="theme-color" content={THEME_COLOR} />
+        <meta name="mobile-web-app-capable" content="yes" />
+        <meta name="apple-mobile-web-app-capable" content="yes" />
+        <meta name="apple-mobile-web-app-status-bar-style" content="black-translucent" />
+      </Head>
+      <body>
+        {/* Runs before the first paint so the saved theme does not flash */}
+        <script dangerouslySetInnerHTML={{ __html: getThemeScript(SETTINGS_KEY) }} />
+        <Main />
+        <NextScript />
+      </body>
+    </Html>
+  );
+}
@@ -0,0 +1,71 @@
+// Web app manifest, served at /manifest.json through the rewrite in next.config.js
+
+import { THEME_COLOR, BACKGROUND_COLOR, SHARE_TARGET_PATH, SHARED_FILES_FIELD } from '../../utils/pwa';
+
+// Audio types the installed app offers to open from the OS and share sheet
+const AUDIO_FILE_TYPES = {
+  'audio/mpeg': ['.mp3', '.mp2'],
+  'audio/wav': ['.wav', '.wave'],
+  'audio/ogg': ['.ogg', '.oga', '.opus'],
+  'audio/aac': ['.aac'],
+  'audio/flac': ['.flac'],
+  'audio/mp4': ['.m4a', '.m4b'],
+  'audio/webm': ['.weba', '.webm']
+};
+
+const manifest = {
+  id: '/',
+  name: 'MP3 Player',
+  short_name: 'MP3 Player',
+  description: 'Simple & Clean Music Player',
+  start_url: '/',
+  scope: '/',
+  display: 'standalone',
+  orientation: 'portrait',
+  theme_color: THEME_COLOR,
+  background_color: BACKGROUND_COLOR,
+  categories: ['music', 'entertainment'],
+  icons: [
+    { src: '/icons/icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+    { src: '/icons/icon-maskable.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'maskable' }
+  ],
+  // Handled by the service worker, which hands the files to the open app
+  share_target: {
+    action: SHARE_TARGET_PATH,
+    method: 'POST',
+    enctype: 'multipart/form-data',
+    params: {
+      files: [
+        {
+          name: SHARED_FILES_FIELD,
+          accept: [
+            ...Object.keys(AUDIO_FILE_TYPES),
+            ...Object.values(AUDIO_FILE_TYPES).flat()
+          ]
+        }
+      ]
+    }
+  },
+  // Lets the OS open audio files with the installed app (launchQueue)
+  file_handlers: [
+    {
+      action: '/',
+      accept: AUDIO_FILE_TYPES
+    }
+  ],
+  launch_handler: {
+    client_mode: 'focus-existing'
+  }
+};
+
+export default function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    res.status(405).end();
+    return;
+  }
+
+  res.setHeader('Content-Type', 'application/manifest+json; charset=utf-8');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.status(200).send(JSON.stringify(manifest));
+}
@@ -0,0 +1,173 @@
+// Service worker: precaches the app shell so the player opens offline (the
+// library itself lives in IndexedDB), and receives files from the share sheet
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `mp3-player-shell-${CACHE_VERSION}`;
+// Build assets get a cache per Next.js build, named after its build id
+const STATIC_CACHE_PREFIX = 'mp3-player-static-';
+
+// Keep in sync with utils/pwa.js
+const SHARE_TARGET_PATH = '/share-target';
+const SHARED_FILES_FIELD = 'audio';
+const SHARED_FILES_CACHE = 'mp3-player-shared-files';
+const SHARED_FILES_PARAM = 'shared';
+
+const SHELL_URLS = ['/manifest.json', '/icons/icon.svg', '/icons/icon-maskable.svg'];
+
+// Scripts and styles the start page loads, found in its HTML
+const ASSET_PATTERN = /(?:src|href)="(\/_next\/static\/[^"]+)"/g;
+const BUILD_ID_PATTERN = /"buildId":"([^"]+)"/;
+
+/**
+ * The build assets cache currently in use. Older ones are deleted once a
+ * newer build's start page is cached, so at most two exist briefly.
+ * @returns {Promise<string>} - Cache name
+ */
+const findStaticCache = async () => {
+  const keys = await caches.keys();
+  return keys.filter(key => key.startsWith(STATIC_CACHE_PREFIX)).pop() || `${STATIC_CACHE_PREFIX}unknown`;
+};
+
+/**
+ * Caches a fresh start page. When it comes from a build not seen before,
+ * the assets it references are cached under that build and every earlier
+ * build's assets are dropped, so deploys do not pile up in the cache.
+ * @param {Response} response - Start page response, not yet read
+ */
+const cacheStartPage = async (response) => {
+  const html = await response.clone().text();
+  const buildId = (html.match(BUILD_ID_PATTERN) || [])[1] || 'unknown';
+  const staticCache = `${STATIC_CACHE_PREFIX}${buildId}`;
+
+  const shell = await caches.open(SHELL_CACHE);
+  await shell.put('/', response);
+  if (await caches.has(staticCache)) return;
+
+  const assets = [...new Set([...html.matchAll(ASSET_PATTERN)].map(match => match[1]))];
+  try {
+    await (await caches.open(staticCache)).addAll(assets);
+  } catch (err) {
+    // A half-filled cache would be taken for complete next time
+    await caches.delete(staticCache);
+    throw err;
+  }
+
+  const keys = await caches.keys();
+  await Promise.all(keys
+    .filter(key => key.startsWith(STATIC_CACHE_PREFIX) && key !== staticCache)
+    .map(key => caches.delete(key)));
+};
+
+/**
+ * Caches the start page, every build asset it references and the shell files
+ */
+const precacheShell = async () => {
+  const response = await fetch('/', { cache: 'reload' });
+  if (!response.ok) throw new Error(`Start page responded with ${response.status}`);
+
+  await cacheStartPage(response);
+  await (await caches.open(SHELL_CACHE)).addAll(SHELL_URLS);
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  const isCurrent = key => [SHELL_CACHE, SHARED_FILES_CACHE].includes(key) || key.startsWith(STATIC_CACHE_PREFIX);
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !isCurrent(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * Stores files posted by the share sheet and opens the app to collect them
+ * @param {Request} request - multipart/form-data POST
+ * @returns {Promise<Response>} - Redirect to the start page
+ */
+const receiveSharedFiles = async (request) => {
+  const formData = await request.formData();
+  const files = formData.getAll(SHARED_FILES_FIELD).filter(file => file instanceof File);
+  const cache = await caches.open(SHARED_FILES_CACHE);
+
+  await Promise.all(files.map((file, index) => cache.put(
+    `/shared-files/${Date.now()}-${index}`,
+    new Response(file, {
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'X-File-Name': encodeURIComponent(file.name)
+      }
+    })
+  )));
+
+  return Response.redirect(`/?${SHARED_FILES_PARAM}=1`, 303);
+};
+
+// Pages: network first, falling back to the cached start page
+const handleNavigation = async (request, event) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok && new URL(request.url).pathname === '/') {
+      event.waitUntil(cacheStartPage(response.clone()).catch((err) => {
+        console.error('Failed to cache the start page:', err);
+      }));
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match('/');
+    return cached || Response.error();
+  }
+};
+
+// Hashed build assets never change, so any cached copy is good
+const handleStaticAsset = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(await findStaticCache());
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Manifest and icons: serve the cached copy, refreshing it in the background
+const handleShellFile = async (request, event) => {
+  const cached = await caches.match(request);
+  const refresh = fetch(request).then(async (response) => {
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.method === 'POST' && url.pathname === SHARE_TARGET_PATH) {
+    event.respondWith(receiveSharedFiles(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request, event));
+  } else if (url.pathname.startsWith('/_next/static/')) {
+    event.respondWith(handleStaticAsset(request));
+  } else if (SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(handleShellFile(request, event));
+  }
+});
@@ -0,0 +1,40 @@
+import { MAX_ANALYSIS_SECONDS, computeWaveform, needsAnalysis } from '../audioAnalysis';
+
+const waveform = new Uint8Array(4);
+
+describe('needsAnalysis', () => {
+  it('queues tracks missing a loudness record or a waveform', () => {
+    expect(needsAnalysis({ url: 'blob:a', loudness: null, waveform })).toBe(true);
+    expect(needsAnalysis({ url: 'blob:a', loudness: { trackGain: 0 }, waveform: null })).toBe(true);
+  });
+
+  it('does not queue a track already analysed', () => {
+    expect(needsAnalysis({ url: 'blob:a', loudness: { trackGain: 0 }, waveform })).toBe(false);
+  });
+
+  it('does not queue again a track whose loudness could not be measured', () => {
+    expect(needsAnalysis({ url: 'blob:a', loudness: null, loudnessUnmeasurable: true, waveform })).toBe(false);
+  });
+
+  it('skips tracks without audio or too long to decode', () => {
+    expect(needsAnalysis({ url: null, loudness: null, waveform: null })).toBe(false);
+    expect(needsAnalysis({ url: 'blob:a', duration: MAX_ANALYSIS_SECONDS + 1, loudness: null })).toBe(false);
+  });
+});
+
+describe('computeWaveform', () => {
+  it('scales column peaks across channels to the loudest column', () => {
+    const left = Float32Array.from([0.1, 0.2, 0.4, 0.1]);
+    const right = Float32Array.from([0, 0.8, 0, 0.2]);
+    const buffer = { length: 4, numberOfChannels: 2, getChannelData: index => [left, right][index] };
+
+    expect(Array.from(computeWaveform(buffer, 2))).toEqual([255, 128]);
+  });
+
+  it('returns a flat line for silence', () => {
+    const silence = new Float32Array(8);
+    const buffer = { length: 8, numberOfChannels: 1, getChannelData: () => silence };
+
+    expect(Array.from(computeWaveform(buffer, 4))).toEqual([0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,80 @@
+import {
+  getId3TagLength,
+  sniffAudioFormat,
+  detectAudioFormat,
+  getDeclaredAudioFormat
+} from '../audioFormats';
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+const bytes = (...parts) => Uint8Array.from(parts.flat());
+
+const padded = (part, length = 64) => bytes(part, new Array(Math.max(0, length - part.length)).fill(0));
+
+// ID3v2 header for a tag body of the given size
+const id3Header = (size, flags = 0) => [
+  ...ascii('ID3'), 4, 0, flags,
+  (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f
+];
+
+describe('getId3TagLength', () => {
+  it('adds the header and any footer to the tag size', () => {
+    expect(getId3TagLength(bytes(id3Header(1000)))).toBe(1010);
+    expect(getId3TagLength(bytes(id3Header(1000, 0x10)))).toBe(1020);
+  });
+
+  it('returns 0 without a tag', () => {
+    expect(getId3TagLength(padded(ascii('fLaC')))).toBe(0);
+  });
+});
+
+describe('sniffAudioFormat', () => {
+  it('recognises each container by its magic bytes', () => {
+    expect(sniffAudioFormat(padded(ascii('fLaC')))).toBe('flac');
+    expect(sniffAudioFormat(padded([...ascii('RIFF'), 0, 0, 0, 0, ...ascii('WAVE')]))).toBe('wav');
+    expect(sniffAudioFormat(padded([0, 0, 0, 0x20, ...ascii('ftypM4A ')]))).toBe('m4a');
+    expect(sniffAudioFormat(padded([0x1a, 0x45, 0xdf, 0xa3]))).toBe('webm');
+  });
+
+  it('tells Opus from Vorbis in an Ogg stream', () => {
+    const page = ascii('OggS').concat(new Array(24).fill(0));
+    expect(sniffAudioFormat(padded([...page, ...ascii('OpusHead')]))).toBe('opus');
+    expect(sniffAudioFormat(padded([...page, 1, ...ascii('vorbis')]))).toBe('ogg');
+  });
+
+  it('tells MPEG audio from ADTS by the layer bits', () => {
+    expect(sniffAudioFormat(padded([0xff, 0xfb, 0x90]))).toBe('mp3');
+    expect(sniffAudioFormat(padded([0xff, 0xf1, 0x50]))).toBe('aac');
+  });
+
+  it('returns null for anything else', () => {
+    expect(sniffAudioFormat(padded(ascii('%PDF-1.7')))).toBeNull();
+    expect(sniffAudioFormat(new Uint8Array(0))).toBeNull();
+  });
+});
+
+describe('detectAudioFormat', () => {
+  it('looks past an ID3 tag to the audio it wraps', async () => {
+    const tag = [...id3Header(20), ...new Array(20).fill(0)];
+
+    expect(await detectAudioFormat(new Blob([bytes(tag, ascii('fLaC'), new Array(60).fill(0))]))).toBe('flac');
+    expect(await detectAudioFormat(new Blob([bytes(tag, [0xff, 0xfb, 0x90])]))).toBe('mp3');
+  });
+
+  it('takes a tag followed by nothing recognisable for an MP3', async () => {
+    expect(await detectAudioFormat(new Blob([bytes(id3Header(4), [0, 0, 0, 0])]))).toBe('mp3');
+  });
+
+  it('does not trust the extension', async () => {
+    const file = new File([padded(ascii('fLaC'))], 'song.mp3', { type: 'audio/mpeg' });
+    expect(await detectAudioFormat(file)).toBe('flac');
+  });
+});
+
+describe('getDeclaredAudioFormat', () => {
+  it('goes by the MIME type, then the extension', () => {
+    expect(getDeclaredAudioFormat({ name: 'a.bin', type: 'audio/x-flac' })).toBe('flac');
+    expect(getDeclaredAudioFormat({ name: 'a.OPUS', type: '' })).toBe('opus');
+    expect(getDeclaredAudioFormat({ name: 'notes.txt', type: 'text/plain' })).toBeNull();
+  });
+});
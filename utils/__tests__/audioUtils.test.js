@@ -0,0 +1,120 @@
+import { validateAudioFile } from '../audioUtils';
+import { DEFAULT_IMPORT_RULES } from '../importRules';
+
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+
+// A FLAC stream header and some padding, enough for the sniffer
+const flacFile = (name = 'song.flac', length = 1024) => new File(
+  [Uint8Array.from([...ascii('fLaC'), ...new Array(length - 4).fill(0)])],
+  name,
+  { type: 'audio/flac' }
+);
+
+// Stands in for the element readAudioDuration loads the file into
+let metadataDuration;
+class FakeAudio {
+  constructor() {
+    this.listeners = {};
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  set src(url) {
+    setTimeout(() => {
+      if (metadataDuration === null) {
+        this.listeners.error();
+      } else {
+        this.duration = metadataDuration;
+        this.listeners.loadedmetadata();
+      }
+    });
+  }
+}
+
+const rules = (fields) => ({ ...DEFAULT_IMPORT_RULES, ...fields });
+
+beforeEach(() => {
+  metadataDuration = 180;
+  global.Audio = jest.fn(() => new FakeAudio());
+  jest.spyOn(URL, 'createObjectURL').mockReturnValue('blob:test');
+  jest.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.Audio;
+  jest.restoreAllMocks();
+});
+
+describe('validateAudioFile', () => {
+  it('accepts a file within the rules and reports what it learned', async () => {
+    expect(await validateAudioFile(flacFile())).toEqual({
+      valid: true,
+      errors: [],
+      error: null,
+      duration: 180,
+      format: 'flac'
+    });
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:test');
+  });
+
+  it('refuses a file that is not audio', async () => {
+    const file = new File(['just some text'], 'notes.txt', { type: 'text/plain' });
+
+    expect(await validateAudioFile(file)).toMatchObject({
+      valid: false,
+      error: 'Not a recognised audio file',
+      format: null
+    });
+  });
+
+  it('refuses a turned off format and an oversized file without decoding', async () => {
+    const result = await validateAudioFile(flacFile(), rules({
+      allowedFormats: ['mp3'],
+      maxFileSizeMb: 0.0005
+    }));
+
+    expect(result.valid).toBe(false);
+    expect(result.format).toBe('flac');
+    expect(result.errors).toEqual([
+      'FLAC files are turned off in the import settings',
+      expect.stringMatching(/^File too large/)
+    ]);
+    expect(result.error).toBe(result.errors[0]);
+    expect(global.Audio).not.toHaveBeenCalled();
+  });
+
+  it('lifts the size limit at 0', async () => {
+    expect((await validateAudioFile(flacFile(), rules({ maxFileSizeMb: 0 }))).valid).toBe(true);
+  });
+
+  it('holds the duration to the limits', async () => {
+    expect(await validateAudioFile(flacFile(), rules({ minDuration: 300 }))).toMatchObject({
+      valid: false,
+      error: 'Too short (3:00, min 5:00)',
+      duration: 180
+    });
+    expect(await validateAudioFile(flacFile(), rules({ maxDuration: 120 }))).toMatchObject({
+      valid: false,
+      error: 'Too long (3:00, max 2:00)',
+      duration: 180
+    });
+  });
+
+  it('does not hold a stream of unknown length to the duration limits', async () => {
+    metadataDuration = Infinity;
+
+    expect((await validateAudioFile(flacFile(), rules({ minDuration: 300, maxDuration: 120 }))).valid).toBe(true);
+  });
+
+  it('refuses a file the browser cannot load', async () => {
+    metadataDuration = null;
+
+    expect(await validateAudioFile(flacFile())).toMatchObject({
+      valid: false,
+      error: 'Could not load audio file',
+      format: 'flac'
+    });
+  });
+});
@@ -0,0 +1,76 @@
+import { createBookmark, normalizeBookmarks, serializeBookmarks } from '../bookmarks';
+import { formatPreciseTime, parseTime } from '../audioUtils';
+
+const track = { title: 'Lecture', artist: 'Prof', fileName: 'lecture.mp3' };
+
+describe('createBookmark', () => {
+  it('names a bookmark after its position unless given a name', () => {
+    expect(createBookmark(65).name).toBe('Bookmark at 1:05');
+    expect(createBookmark(65, '  Intro ').name).toBe('Intro');
+  });
+
+  it('never places a bookmark before the start', () => {
+    expect(createBookmark(-3).time).toBe(0);
+  });
+
+  it('gives every bookmark its own id', () => {
+    expect(createBookmark(1).id).not.toBe(createBookmark(1).id);
+  });
+});
+
+describe('normalizeBookmarks', () => {
+  it('drops malformed entries and sorts by time', () => {
+    const valid = [{ id: 'b', name: 'Two', time: 20 }, { id: 'a', name: 'One', time: 5 }];
+    const stored = [valid[0], null, { id: 'c', name: 'Bad', time: 'x' }, { id: 1, name: 'No id', time: 1 }, valid[1]];
+
+    expect(normalizeBookmarks(stored)).toEqual([valid[1], valid[0]]);
+  });
+
+  it('returns an empty list for anything but an array', () => {
+    expect(normalizeBookmarks(undefined)).toEqual([]);
+    expect(normalizeBookmarks({})).toEqual([]);
+  });
+});
+
+describe('serializeBookmarks', () => {
+  const bookmarks = [{ id: 'a', name: 'Intro', time: 0 }, { id: 'b', name: 'Part 2', time: 754.6 }];
+
+  it('writes a chapter list', () => {
+    expect(serializeBookmarks('txt', track, bookmarks)).toBe('0:00 Intro\n12:34 Part 2');
+  });
+
+  it('writes JSON with the track and its bookmarks', () => {
+    expect(JSON.parse(serializeBookmarks('json', track, bookmarks))).toEqual({
+      title: 'Lecture',
+      artist: 'Prof',
+      fileName: 'lecture.mp3',
+      bookmarks: [{ name: 'Intro', time: 0 }, { name: 'Part 2', time: 754.6 }]
+    });
+  });
+});
+
+describe('formatPreciseTime', () => {
+  it('shows tenths of a second', () => {
+    expect(formatPreciseTime(65.34)).toBe('1:05.3');
+    expect(formatPreciseTime(59.96)).toBe('1:00.0');
+    expect(formatPreciseTime(-1)).toBe('0:00.0');
+  });
+});
+
+describe('parseTime', () => {
+  it('reads seconds, M:SS and H:MM:SS', () => {
+    expect(parseTime('90')).toBe(90);
+    expect(parseTime(' 1:05.5 ')).toBe(65.5);
+    expect(parseTime('1:02:03')).toBe(3723);
+  });
+
+  it('reads back what formatPreciseTime writes', () => {
+    expect(parseTime(formatPreciseTime(123.4))).toBeCloseTo(123.4);
+  });
+
+  it('rejects text that is not a position', () => {
+    ['', 'abc', '1:60', '1.5:00', '-3', '1:2:3:4', '1::2'].forEach(text => {
+      expect(parseTime(text)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import { readId3Tags, readId3v1, readId3v2, resolveGenre } from '../id3Parser';
+
+const latin1 = (text) => Array.from(text, char => char.charCodeAt(0));
+
+const synchsafe = (size) => [(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f];
+
+const uint32 = (size) => [(size >>> 24) & 0xff, (size >> 16) & 0xff, (size >> 8) & 0xff, size & 0xff];
+
+// A v2.3 or v2.4 frame; v2.4 sizes are synchsafe
+const frame = (id, body, version = 3) => [
+  ...latin1(id),
+  ...(version === 4 ? synchsafe(body.length) : uint32(body.length)),
+  0, 0,
+  ...body
+];
+
+const textFrame = (id, text, version = 3) => frame(id, [0, ...latin1(text)], version);
+
+const id3v2 = (frames, version = 3, padding = 0) => {
+  const body = [...frames.flat(), ...new Array(padding).fill(0)];
+  return [...latin1('ID3'), version, 0, 0, ...synchsafe(body.length), ...body];
+};
+
+const id3v1 = ({ title = '', artist = '', album = '', year = '', track = 0, genre = 255 }) => {
+  const field = (text, length) => [...latin1(text), ...new Array(length - text.length).fill(0)];
+  return [
+    ...latin1('TAG'),
+    ...field(title, 30),
+    ...field(artist, 30),
+    ...field(album, 30),
+    ...field(year, 4),
+    ...new Array(28).fill(0),
+    0,
+    track,
+    genre
+  ];
+};
+
+const toBlob = (...parts) => new Blob(parts.map(part => new Uint8Array(part)));
+
+// Stand-in for MPEG audio between the tags
+const AUDIO = new Array(64).fill(0xaa);
+
+describe('resolveGenre', () => {
+  it('resolves numeric references to genre names', () => {
+    expect(resolveGenre('(17)')).toBe('Rock');
+    expect(resolveGenre('17')).toBe('Rock');
+  });
+
+  it('prefers the refinement after a reference', () => {
+    expect(resolveGenre('(17)Indie Rock')).toBe('Indie Rock');
+  });
+
+  it('expands RX and CR and drops repeated genres', () => {
+    expect(resolveGenre('RX / CR')).toBe('Remix, Cover');
+    expect(resolveGenre('Rock / (17)')).toBe('Rock');
+  });
+
+  it('returns an empty string for no value', () => {
+    expect(resolveGenre('')).toBe('');
+    expect(resolveGenre(undefined)).toBe('');
+  });
+});
+
+describe('readId3v2', () => {
+  it('returns null when the file has no tag', async () => {
+    expect(await readId3v2(toBlob(AUDIO))).toBeNull();
+  });
+
+  it('reads v2.3 text frames and stops at padding', async () => {
+    const tag = id3v2([
+      textFrame('TIT2', 'Song'),
+      textFrame('TPE1', 'Band'),
+      textFrame('TRCK', '3/12')
+    ], 3, 32);
+
+    const result = await readId3v2(toBlob(tag, AUDIO));
+    expect(result.version).toBe(3);
+    expect(result.fields).toEqual({ title: 'Song', artist: 'Band', track: '3/12' });
+  });
+
+  it('joins the null-separated values of a v2.4 frame', async () => {
+    const tag = id3v2([frame('TPE1', [3, ...latin1('One'), 0, ...latin1('Two')], 4)], 4);
+
+    const result = await readId3v2(toBlob(tag));
+    expect(result.fields.artist).toBe('One / Two');
+  });
+
+  it('decodes UTF-16 text with a byte order mark', async () => {
+    const utf16le = [0xff, 0xfe, ...Array.from('Café').flatMap(char => [char.charCodeAt(0), 0])];
+    const tag = id3v2([frame('TIT2', [1, ...utf16le])]);
+
+    const result = await readId3v2(toBlob(tag));
+    expect(result.fields.title).toBe('Café');
+  });
+
+  it('collects TXXX values by upper-cased description', async () => {
+    const tag = id3v2([frame('TXXX', [0, ...latin1('replaygain_track_gain'), 0, ...latin1('-6.5 dB')])]);
+
+    const result = await readId3v2(toBlob(tag));
+    expect(result.userText).toEqual({ REPLAYGAIN_TRACK_GAIN: '-6.5 dB' });
+  });
+
+  it('reads an attached picture', async () => {
+    const imageBytes = [0xff, 0xd8, 0xff, 0xe0];
+    const tag = id3v2([frame('APIC', [0, ...latin1('image/jpg'), 0, 3, ...latin1('Front'), 0, ...imageBytes])]);
+
+    const [picture] = (await readId3v2(toBlob(tag))).pictures;
+    expect(picture.mimeType).toBe('image/jpeg');
+    expect(picture.type).toBe(3);
+    expect(picture.description).toBe('Front');
+    expect(Array.from(picture.data)).toEqual(imageBytes);
+  });
+});
+
+describe('readId3v1', () => {
+  it('reads the fields and a v1.1 track number', async () => {
+    const tag = id3v1({ title: 'Old Song', artist: 'Old Band', album: 'Record', year: '1999', track: 7, genre: 17 });
+
+    expect(await readId3v1(toBlob(AUDIO, tag))).toEqual({
+      title: 'Old Song',
+      artist: 'Old Band',
+      album: 'Record',
+      year: '1999',
+      track: '7',
+      genre: 'Rock'
+    });
+  });
+
+  it('returns null without a TAG block', async () => {
+    expect(await readId3v1(toBlob(new Array(200).fill(0)))).toBeNull();
+  });
+});
+
+describe('readId3Tags', () => {
+  it('lets ID3v2 values win and fills gaps from ID3v1', async () => {
+    const v2 = id3v2([textFrame('TIT2', 'New Title'), textFrame('TRCK', '2/9'), textFrame('TYER', '2004')]);
+    const v1 = id3v1({ title: 'Old Title', artist: 'Band', genre: 8 });
+
+    const tags = await readId3Tags(toBlob(v2, AUDIO, v1));
+    expect(tags).toMatchObject({
+      title: 'New Title',
+      artist: 'Band',
+      trackNumber: 2,
+      trackTotal: 9,
+      year: 2004,
+      genre: 'Jazz',
+      picture: null,
+      replayGain: null
+    });
+  });
+
+  it('reads ReplayGain values as numbers', async () => {
+    const v2 = id3v2([
+      frame('TXXX', [0, ...latin1('REPLAYGAIN_TRACK_GAIN'), 0, ...latin1('-7.25 dB')]),
+      frame('TXXX', [0, ...latin1('REPLAYGAIN_TRACK_PEAK'), 0, ...latin1('0.988')])
+    ]);
+
+    const { replayGain } = await readId3Tags(toBlob(v2, AUDIO));
+    expect(replayGain).toEqual({ trackGain: -7.25, trackPeak: 0.988, albumGain: null, albumPeak: null });
+  });
+
+  it('returns empty fields for an untagged file', async () => {
+    const tags = await readId3Tags(toBlob(AUDIO));
+    expect(tags).toMatchObject({ title: '', artist: '', trackNumber: null, year: null, genre: '' });
+  });
+});
@@ -0,0 +1,113 @@
+import {
+  DEFAULT_KEYMAP,
+  getEventKey,
+  formatKey,
+  isTextEntryTarget,
+  isHandledByTarget,
+  normalizeKeymap,
+  rebindKey,
+  findActionForKey
+} from '../keymap';
+
+// Just enough of a DOM element for the target checks
+const element = (tagName, fields = {}) => ({
+  tagName,
+  isContentEditable: false,
+  getAttribute: name => (fields.attributes || {})[name] ?? null,
+  ...fields
+});
+
+describe('getEventKey', () => {
+  it('names printable keys in lower case and Space by name', () => {
+    expect(getEventKey({ key: 'N' })).toBe('n');
+    expect(getEventKey({ key: ' ' })).toBe('Space');
+    expect(getEventKey({ key: 'ArrowLeft' })).toBe('ArrowLeft');
+  });
+
+  it('refuses modified keys and keys that cannot be bound', () => {
+    expect(getEventKey({ key: 'n', ctrlKey: true })).toBeNull();
+    expect(getEventKey({ key: 'n', metaKey: true })).toBeNull();
+    expect(getEventKey({ key: 'Tab' })).toBeNull();
+    expect(getEventKey({ key: 'Shift' })).toBeNull();
+    expect(getEventKey({ key: 'Escape' })).toBeNull();
+  });
+});
+
+describe('formatKey', () => {
+  it('labels named keys and upper-cases letters', () => {
+    expect(formatKey('ArrowUp')).toBe('↑');
+    expect(formatKey('m')).toBe('M');
+    expect(formatKey('F2')).toBe('F2');
+  });
+});
+
+describe('isTextEntryTarget', () => {
+  it('is true where typing happens', () => {
+    expect(isTextEntryTarget(element('INPUT', { type: 'text' }))).toBe(true);
+    expect(isTextEntryTarget(element('INPUT', { type: 'search' }))).toBe(true);
+    expect(isTextEntryTarget(element('INPUT'))).toBe(true);
+    expect(isTextEntryTarget(element('TEXTAREA'))).toBe(true);
+    expect(isTextEntryTarget(element('SELECT'))).toBe(true);
+    expect(isTextEntryTarget(element('DIV', { isContentEditable: true }))).toBe(true);
+  });
+
+  it('is false for controls that take no text', () => {
+    expect(isTextEntryTarget(element('INPUT', { type: 'range' }))).toBe(false);
+    expect(isTextEntryTarget(element('INPUT', { type: 'checkbox' }))).toBe(false);
+    expect(isTextEntryTarget(element('BUTTON'))).toBe(false);
+    expect(isTextEntryTarget(null)).toBe(false);
+    expect(isTextEntryTarget({})).toBe(false);
+  });
+});
+
+describe('isHandledByTarget', () => {
+  it('leaves Space and Enter to buttons and checkboxes', () => {
+    expect(isHandledByTarget(element('BUTTON'), 'Space')).toBe(true);
+    expect(isHandledByTarget(element('DIV', { attributes: { role: 'button' } }), 'Enter')).toBe(true);
+    expect(isHandledByTarget(element('INPUT', { type: 'checkbox' }), 'Space')).toBe(true);
+    expect(isHandledByTarget(element('DIV'), 'Space')).toBe(false);
+  });
+
+  it('leaves arrow keys to sliders', () => {
+    expect(isHandledByTarget(element('INPUT', { type: 'range' }), 'ArrowLeft')).toBe(true);
+    expect(isHandledByTarget(element('SPAN', { attributes: { role: 'slider' } }), 'Home')).toBe(true);
+    expect(isHandledByTarget(element('BUTTON'), 'ArrowLeft')).toBe(false);
+  });
+});
+
+describe('normalizeKeymap', () => {
+  it('fills in defaults and drops unknown actions and empty keys', () => {
+    expect(normalizeKeymap({ togglePlay: 'k', nextTrack: '', dance: 'd' })).toEqual({
+      ...DEFAULT_KEYMAP,
+      togglePlay: 'k'
+    });
+    expect(normalizeKeymap(null)).toEqual(DEFAULT_KEYMAP);
+  });
+
+  it('drops digit keys, which belong to seeking', () => {
+    expect(normalizeKeymap({ nextTrack: '5' })).toEqual(DEFAULT_KEYMAP);
+  });
+});
+
+describe('rebindKey', () => {
+  it('binds a free key', () => {
+    expect(rebindKey(DEFAULT_KEYMAP, 'toggleMute', 'x')).toEqual({ ...DEFAULT_KEYMAP, toggleMute: 'x' });
+  });
+
+  it('swaps keys with the action that had the key', () => {
+    const keymap = rebindKey(DEFAULT_KEYMAP, 'nextTrack', 'p');
+    expect(keymap.nextTrack).toBe('p');
+    expect(keymap.previousTrack).toBe('n');
+  });
+
+  it('refuses digit keys, which belong to seeking', () => {
+    expect(rebindKey(DEFAULT_KEYMAP, 'nextTrack', '3')).toBe(DEFAULT_KEYMAP);
+  });
+});
+
+describe('findActionForKey', () => {
+  it('finds the action bound to a key', () => {
+    expect(findActionForKey(DEFAULT_KEYMAP, 'Space')).toBe('togglePlay');
+    expect(findActionForKey(DEFAULT_KEYMAP, 'z')).toBeUndefined();
+  });
+});
@@ -0,0 +1,125 @@
+import {
+  REFERENCE_LOUDNESS,
+  analyzeLoudness,
+  measureLoudness,
+  loudnessFromTags,
+  computeAlbumGains,
+  getNormalizationGain
+} from '../loudness';
+
+const SAMPLE_RATE = 48000;
+
+// Enough of an AudioBuffer for the analysis
+const createBuffer = (channels) => ({
+  sampleRate: SAMPLE_RATE,
+  numberOfChannels: channels.length,
+  length: channels[0].length,
+  getChannelData: index => channels[index]
+});
+
+const sine = (frequency, level, seconds) => {
+  const amplitude = Math.pow(10, level / 20);
+  return Float32Array.from(
+    { length: SAMPLE_RATE * seconds },
+    (_, n) => amplitude * Math.sin(2 * Math.PI * frequency * n / SAMPLE_RATE)
+  );
+};
+
+const track = (loudness, fields = {}) => ({ id: 't', duration: 180, loudness, ...fields });
+
+describe('analyzeLoudness', () => {
+  // EBU Tech 3341 case 1: stereo 1 kHz at -23 dBFS measures -23 LUFS
+  it('measures a stereo 1 kHz sine at its level', async () => {
+    const channel = sine(1000, -23, 3);
+    const { integrated, truePeak } = await analyzeLoudness(createBuffer([channel, channel]));
+
+    expect(integrated).toBeCloseTo(-23, 1);
+    expect(truePeak).toBeCloseTo(-23, 1);
+  });
+
+  it('reports silence as -Infinity', async () => {
+    const silence = new Float32Array(SAMPLE_RATE * 2);
+    const { integrated } = await analyzeLoudness(createBuffer([silence]));
+
+    expect(integrated).toBe(-Infinity);
+  });
+});
+
+describe('measureLoudness', () => {
+  it('turns the measurement into a gain towards the reference level', async () => {
+    const channel = sine(1000, -23, 3);
+    const loudness = await measureLoudness(createBuffer([channel, channel]));
+
+    expect(loudness.source).toBe('analysis');
+    expect(loudness.trackGain).toBeCloseTo(REFERENCE_LOUDNESS + 23, 1);
+    expect(loudness.trackPeak).toBeCloseTo(Math.pow(10, -23 / 20), 2);
+  });
+
+  it('returns null for silence', async () => {
+    expect(await measureLoudness(createBuffer([new Float32Array(SAMPLE_RATE)]))).toBeNull();
+  });
+});
+
+describe('loudnessFromTags', () => {
+  it('builds a record from ReplayGain tags', () => {
+    expect(loudnessFromTags({ trackGain: -4, trackPeak: 1, albumGain: -5, albumPeak: null })).toEqual({
+      source: 'tags',
+      integrated: REFERENCE_LOUDNESS + 4,
+      truePeak: 0,
+      trackGain: -4,
+      trackPeak: 1,
+      albumGain: -5,
+      albumPeak: null
+    });
+  });
+
+  it('needs a track gain', () => {
+    expect(loudnessFromTags(null)).toBeNull();
+    expect(loudnessFromTags({ trackGain: null, albumGain: -5 })).toBeNull();
+  });
+});
+
+describe('computeAlbumGains', () => {
+  it('averages the energy of an album weighted by duration', () => {
+    const gains = computeAlbumGains([
+      track({ integrated: -10, trackPeak: 0.5 }, { artist: 'A', album: 'X', duration: 100 }),
+      track({ integrated: -10, trackPeak: 0.9 }, { artist: 'a', album: 'x', duration: 300 }),
+      track({ integrated: -30, trackPeak: 0.1 }, { artist: 'B', album: 'Y', duration: 60 }),
+      track({ integrated: -30, trackPeak: 0.1 }, { artist: 'B', album: '' })
+    ]);
+
+    expect(gains.size).toBe(2);
+    expect(gains.get('a\u0000x')).toEqual({ gain: REFERENCE_LOUDNESS + 10, peak: 0.9 });
+    expect(gains.get('b\u0000y').gain).toBeCloseTo(REFERENCE_LOUDNESS + 30);
+  });
+
+  it('keeps a tagged album gain', () => {
+    const gains = computeAlbumGains([
+      track({ integrated: -10, trackPeak: 0.5, albumGain: -3, albumPeak: 0.7 }, { album: 'X' })
+    ]);
+
+    expect(gains.get('\u0000x')).toEqual({ gain: -3, peak: 0.7 });
+  });
+});
+
+describe('getNormalizationGain', () => {
+  it('applies the track gain as a linear factor', () => {
+    expect(getNormalizationGain(track({ trackGain: -6, trackPeak: 0.5 }), 'track')).toBeCloseTo(0.501, 3);
+  });
+
+  it('limits the gain so the peak stays below full scale', () => {
+    expect(getNormalizationGain(track({ trackGain: 12, trackPeak: 0.5 }), 'track')).toBe(2);
+  });
+
+  it('uses the album gain in album mode', () => {
+    const albumTrack = track({ trackGain: -6, trackPeak: 0.1 }, { album: 'X' });
+    const albumGains = new Map([['\u0000x', { gain: 0, peak: 0.1 }]]);
+
+    expect(getNormalizationGain(albumTrack, 'album', albumGains)).toBe(1);
+  });
+
+  it('leaves tracks alone when off or unmeasured', () => {
+    expect(getNormalizationGain(track({ trackGain: -6, trackPeak: 0.5 }), 'off')).toBe(1);
+    expect(getNormalizationGain(track(null), 'track')).toBe(1);
+  });
+});
@@ -0,0 +1,47 @@
+import {
+  MIN_PLAYBACK_RATE,
+  MAX_PLAYBACK_RATE,
+  normalizePlaybackRate,
+  resolvePlaybackRate,
+  formatPlaybackRate
+} from '../playbackRate';
+
+describe('normalizePlaybackRate', () => {
+  it('rounds to the nearest 0.05', () => {
+    expect(normalizePlaybackRate(1.23)).toBe(1.25);
+    expect(normalizePlaybackRate('0.81')).toBe(0.8);
+  });
+
+  it('clamps to the supported range', () => {
+    expect(normalizePlaybackRate(0.1)).toBe(MIN_PLAYBACK_RATE);
+    expect(normalizePlaybackRate(16)).toBe(MAX_PLAYBACK_RATE);
+  });
+
+  it('treats missing and unusable values as unset', () => {
+    [null, undefined, 0, -1, 'fast', NaN, Infinity].forEach(value => {
+      expect(normalizePlaybackRate(value)).toBeNull();
+    });
+  });
+});
+
+describe('resolvePlaybackRate', () => {
+  it('prefers the track, then the playlist, then the library default', () => {
+    expect(resolvePlaybackRate({ playbackRate: 1.5 }, { playbackRate: 2 }, 0.75)).toBe(1.5);
+    expect(resolvePlaybackRate({ playbackRate: null }, { playbackRate: 2 }, 0.75)).toBe(2);
+    expect(resolvePlaybackRate({}, { playbackRate: null }, 0.75)).toBe(0.75);
+    expect(resolvePlaybackRate({}, null, 0.75)).toBe(0.75);
+  });
+
+  it('falls back to normal speed', () => {
+    expect(resolvePlaybackRate(null, null)).toBe(1);
+    expect(resolvePlaybackRate(null, null, null)).toBe(1);
+  });
+});
+
+describe('formatPlaybackRate', () => {
+  it('drops trailing zeros', () => {
+    expect(formatPlaybackRate(1)).toBe('1×');
+    expect(formatPlaybackRate(1.5)).toBe('1.5×');
+    expect(formatPlaybackRate(1.25)).toBe('1.25×');
+  });
+});
@@ -0,0 +1,113 @@
+import {
+  SESSION_VERSION,
+  DEFAULT_SESSION,
+  LONG_TRACK_SECONDS,
+  normalizeSession,
+  isLongTrack,
+  updateResumePoint,
+  pruneResumePoints
+} from '../playerSession';
+
+describe('normalizeSession', () => {
+  it('returns the default session for missing or corrupt records', () => {
+    [null, undefined, 'session', [], 42].forEach(stored => {
+      expect(normalizeSession(stored)).toBe(DEFAULT_SESSION);
+    });
+  });
+
+  it('drops a record from another version', () => {
+    expect(normalizeSession({ version: SESSION_VERSION + 1, currentTrackId: 't1' })).toBe(DEFAULT_SESSION);
+    expect(normalizeSession({ currentTrackId: 't1' })).toBe(DEFAULT_SESSION);
+  });
+
+  it('keeps valid values', () => {
+    const stored = {
+      version: SESSION_VERSION,
+      currentTrackId: 't1',
+      activePlaylistId: 'p1',
+      position: 42.5,
+      volume: 0.4,
+      isMuted: true,
+      repeatMode: 'all',
+      isShuffled: true,
+      queue: ['t2', 't3'],
+      resumePoints: { t1: { position: 100, updatedAt: '2024-01-01T00:00:00.000Z' } }
+    };
+
+    expect(normalizeSession(stored)).toEqual(stored);
+  });
+
+  it('replaces values of the wrong type or out of range', () => {
+    expect(normalizeSession({
+      version: SESSION_VERSION,
+      currentTrackId: 7,
+      activePlaylistId: {},
+      position: -5,
+      volume: 3,
+      isMuted: 'yes',
+      repeatMode: 'forever',
+      isShuffled: 1,
+      queue: ['t2', null, 5, 't3'],
+      resumePoints: ['t1']
+    })).toEqual({
+      ...DEFAULT_SESSION,
+      volume: 1,
+      queue: ['t2', 't3']
+    });
+  });
+
+  it('fills in fields a record lacks', () => {
+    expect(normalizeSession({ version: SESSION_VERSION, volume: 'loud', position: 'NaN' })).toEqual(DEFAULT_SESSION);
+  });
+});
+
+describe('isLongTrack', () => {
+  it('is true from the long track length on', () => {
+    expect(isLongTrack(LONG_TRACK_SECONDS)).toBe(true);
+    expect(isLongTrack(LONG_TRACK_SECONDS - 1)).toBe(false);
+    expect(isLongTrack(Infinity)).toBe(false);
+    expect(isLongTrack(undefined)).toBe(false);
+  });
+});
+
+describe('updateResumePoint', () => {
+  const duration = 3600;
+
+  it('records a position well inside the track', () => {
+    const points = updateResumePoint({}, 't1', 600, duration);
+    expect(points.t1.position).toBe(600);
+    expect(typeof points.t1.updatedAt).toBe('string');
+  });
+
+  it('clears the point near the start or the end', () => {
+    const points = { t1: { position: 600, updatedAt: 'x' }, t2: { position: 60, updatedAt: 'y' } };
+
+    expect(updateResumePoint(points, 't1', 5, duration)).toEqual({ t2: points.t2 });
+    expect(updateResumePoint(points, 't1', duration - 5, duration)).toEqual({ t2: points.t2 });
+  });
+
+  it('returns the same object when there was nothing to clear', () => {
+    const points = { t2: { position: 60, updatedAt: 'y' } };
+    expect(updateResumePoint(points, 't1', 5, duration)).toBe(points);
+  });
+
+  it('keeps only the most recently updated points', () => {
+    const points = Object.fromEntries(Array.from({ length: 60 }, (_, index) => [
+      `t${index}`,
+      { position: 100, updatedAt: new Date(Date.UTC(2024, 0, 1, 0, index)).toISOString() }
+    ]));
+
+    const updated = updateResumePoint(points, 'new', 100, duration);
+    expect(Object.keys(updated)).toHaveLength(50);
+    expect(updated.new).toBeDefined();
+    expect(updated.t59).toBeDefined();
+    expect(updated.t10).toBeUndefined();
+  });
+});
+
+describe('pruneResumePoints', () => {
+  it('drops points of tracks no longer in the library', () => {
+    const points = { t1: { position: 1 }, t2: { position: 2 } };
+    expect(pruneResumePoints(points, new Set(['t2', 't3']))).toEqual({ t2: { position: 2 } });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * @jest-environment jsdom
+ */
+import {
+  toM3U8,
+  toPLS,
+  toXSPF,
+  parseM3U,
+  parsePLS,
+  parseXSPF,
+  parsePlaylist,
+  serializePlaylist,
+  getFileNameFromLocation,
+  matchPlaylistEntries
+} from '../playlistFormats';
+
+const tracks = [
+  { id: '1', fileName: 'song one.mp3', title: 'Song One', artist: 'Band', album: 'LP', duration: 181.4, size: 1000 },
+  { id: '2', fileName: 'b&w.mp3', title: 'Black & White', artist: '', album: '', duration: 60, size: 2000 }
+];
+
+describe('getFileNameFromLocation', () => {
+  it('takes the decoded last path segment', () => {
+    expect(getFileNameFromLocation('C:\\Music\\a.mp3')).toBe('a.mp3');
+    expect(getFileNameFromLocation('file:///home/me/My%20Song.mp3')).toBe('My Song.mp3');
+    expect(getFileNameFromLocation('https://host/x/y.mp3?token=1#t')).toBe('y.mp3');
+  });
+
+  it('keeps a name that is not valid percent-encoding', () => {
+    expect(getFileNameFromLocation('file:///music/100%.mp3')).toBe('100%.mp3');
+  });
+
+  it('takes a plain path literally', () => {
+    expect(getFileNameFromLocation('/music/Track #1.mp3')).toBe('Track #1.mp3');
+    expect(getFileNameFromLocation('What?.mp3')).toBe('What?.mp3');
+    expect(getFileNameFromLocation('50%20off.mp3')).toBe('50%20off.mp3');
+  });
+
+  it('reads a location without a scheme as a URL when told to', () => {
+    expect(getFileNameFromLocation('Track%20%231.mp3#t=10', true)).toBe('Track #1.mp3');
+  });
+});
+
+describe('M3U', () => {
+  it('writes extended M3U with titles, sizes and file names', () => {
+    expect(toM3U8(tracks, 'Mix')).toBe([
+      '#EXTM3U',
+      '#PLAYLIST:Mix',
+      '#EXTINF:181,Band - Song One',
+      '#EXTBYT:1000',
+      'song one.mp3',
+      '#EXTINF:60,Black & White',
+      '#EXTBYT:2000',
+      'b&w.mp3',
+      ''
+    ].join('\n'));
+  });
+
+  it('reads back what it writes', () => {
+    expect(parseM3U(toM3U8(tracks, 'Mix'))).toEqual([
+      { title: 'Song One', artist: 'Band', duration: 181, size: 1000, location: 'song one.mp3', fileName: 'song one.mp3' },
+      { title: 'Black & White', artist: '', duration: 60, size: 2000, location: 'b&w.mp3', fileName: 'b&w.mp3' }
+    ]);
+  });
+
+  it('reads plain M3U and EXTINF attributes', () => {
+    const text = '#EXTM3U\r\n#EXTINF:-1 tvg-id="x",Radio\r\nhttp://host/stream.mp3\r\n\r\n/music/plain.mp3\r\n';
+    const [stream, plain] = parseM3U(text);
+
+    expect(stream).toMatchObject({ title: 'Radio', duration: null, fileName: 'stream.mp3' });
+    expect(plain).toMatchObject({ title: '', duration: null, fileName: 'plain.mp3' });
+  });
+});
+
+describe('PLS', () => {
+  it('reads back what it writes, in entry number order', () => {
+    const text = toPLS(tracks);
+    expect(text).toContain('NumberOfEntries=2');
+
+    expect(parsePLS(text).map(entry => entry.fileName)).toEqual(['song one.mp3', 'b&w.mp3']);
+    expect(parsePLS('[playlist]\nFile2=b.mp3\nFile1=a.mp3\nLength1=-1\n')).toEqual([
+      { artist: '', title: '', duration: null, size: null, location: 'a.mp3', fileName: 'a.mp3' },
+      { artist: '', title: '', duration: null, size: null, location: 'b.mp3', fileName: 'b.mp3' }
+    ]);
+  });
+});
+
+describe('XSPF', () => {
+  it('escapes names and reads back what it writes', () => {
+    const text = toXSPF(tracks, 'Rock & Roll');
+    expect(text).toContain('<title>Rock &amp; Roll</title>');
+    expect(text).toContain('<location>song%20one.mp3</location>');
+
+    expect(parseXSPF(text)).toEqual([
+      { title: 'Song One', artist: 'Band', duration: 181.4, size: 1000, location: 'song%20one.mp3', fileName: 'song one.mp3' },
+      { title: 'Black & White', artist: '', duration: 60, size: 2000, location: 'b%26w.mp3', fileName: 'b&w.mp3' }
+    ]);
+  });
+
+  it('rejects a document that is not XML', () => {
+    expect(() => parseXSPF('<playlist><trackList>')).toThrow('not valid XML');
+  });
+});
+
+describe('parsePlaylist', () => {
+  it('picks the format from the extension or the contents', () => {
+    expect(parsePlaylist('File1=a.mp3', 'list.pls')).toHaveLength(1);
+    expect(parsePlaylist('\uFEFF[playlist]\nFile1=a.mp3', 'list.txt')[0].fileName).toBe('a.mp3');
+    expect(parsePlaylist(toXSPF(tracks, 'Mix'), 'list')).toHaveLength(2);
+    expect(parsePlaylist('a.mp3\nb.mp3', 'list.m3u8')).toHaveLength(2);
+  });
+});
+
+describe('serializePlaylist', () => {
+  const library = ['Track #1.mp3', 'What?.mp3', '100% Pure.mp3', '50%20off.mp3', 'a b & c.mp3']
+    .map((fileName, index) => ({ id: String(index), fileName, title: `Song ${index}`, artist: '', duration: 100, size: 1000 }));
+
+  it.each(['m3u8', 'pls', 'xspf'])('writes %s that reads back to the same tracks', (format) => {
+    const entries = parsePlaylist(serializePlaylist(format, library, 'Mix'), `Mix.${format}`);
+    const { matched, unresolved } = matchPlaylistEntries(entries, library);
+
+    expect(entries.map(entry => entry.fileName)).toEqual(library.map(track => track.fileName));
+    expect(matched.map(({ track }) => track.id)).toEqual(['0', '1', '2', '3', '4']);
+    expect(unresolved).toEqual([]);
+  });
+});
+
+describe('matchPlaylistEntries', () => {
+  const library = [
+    { id: 'a', fileName: 'Song.mp3', title: 'Song', artist: 'Band', duration: 200, size: 500 },
+    { id: 'b', fileName: 'other.mp3', title: 'Shared Title', artist: 'Band', duration: 120, size: 700 }
+  ];
+  const entry = fields => ({ title: '', artist: '', duration: null, size: null, location: '', fileName: '', ...fields });
+
+  it('matches file names case-insensitively', () => {
+    const { matched, unresolved } = matchPlaylistEntries([entry({ fileName: 'song.MP3' })], library);
+
+    expect(matched.map(({ track }) => track.id)).toEqual(['a']);
+    expect(unresolved).toEqual([]);
+  });
+
+  it('rejects a file name match that the size or duration contradicts', () => {
+    const entries = [entry({ fileName: 'Song.mp3', size: 999 }), entry({ fileName: 'Song.mp3', duration: 100 })];
+
+    expect(matchPlaylistEntries(entries, library).unresolved).toHaveLength(2);
+  });
+
+  it('does not bind a named file it cannot find to another file with the same title', () => {
+    const missing = entry({ fileName: 'renamed.mp3', title: 'Shared Title', artist: 'Band', duration: 120 });
+    const { matched, unresolved } = matchPlaylistEntries([missing], library);
+
+    expect(matched).toEqual([]);
+    expect(unresolved).toEqual([missing]);
+  });
+
+  it('matches entries without a file name on title, artist and duration', () => {
+    const { matched } = matchPlaylistEntries([
+      entry({ title: 'shared title', artist: 'band', duration: 121 }),
+      entry({ title: 'Shared Title', duration: 200 })
+    ], library);
+
+    expect(matched.map(({ track }) => track.id)).toEqual(['b']);
+  });
+});
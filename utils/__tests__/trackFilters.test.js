@@ -0,0 +1,97 @@
+import {
+  DEFAULT_TRACK_FILTERS,
+  getTrackFormat,
+  getTrackSearchText,
+  filterTracks,
+  sortTracks,
+  getTrackFormats,
+  hasActiveFilters
+} from '../trackFilters';
+
+const tracks = [
+  { id: '1', title: 'Track 10', artist: 'Band', album: 'B Side', fileName: 'ten.mp3', type: 'audio/mpeg', duration: 200, addedAt: '2024-01-03', playCount: 2 },
+  { id: '2', title: 'track 2', artist: '', album: '', fileName: 'two.flac', type: '', duration: 100, addedAt: '2024-01-01', playCount: 0 },
+  { id: '3', title: 'Épilogue', artist: 'band', album: 'A Side', fileName: 'epi.ogg', type: 'audio/ogg', duration: 700, addedAt: '2024-01-02', playCount: 5, trackNumber: 2 },
+  { id: '4', title: 'Intro', artist: 'Band', album: 'A Side', fileName: 'intro.mp3', type: 'audio/mpeg', duration: 180, addedAt: '2024-01-04', playCount: 2, trackNumber: 1 }
+];
+
+const ids = list => list.map(track => track.id);
+
+const filter = (changes) => filterTracks(tracks, { ...DEFAULT_TRACK_FILTERS, ...changes }, new Map());
+
+describe('getTrackFormat', () => {
+  it('uses the MIME type, then the file name', () => {
+    expect(getTrackFormat(tracks[0])).toBe('mp3');
+    expect(getTrackFormat(tracks[1])).toBe('flac');
+    expect(getTrackFormat({ fileName: 'notes.txt' })).toBeNull();
+  });
+});
+
+describe('filterTracks', () => {
+  it('returns the same list when nothing narrows it', () => {
+    const list = filterTracks(tracks, DEFAULT_TRACK_FILTERS, new Map());
+    expect(list).toBe(tracks);
+  });
+
+  it('needs every word of the query, in any field and case', () => {
+    expect(ids(filter({ query: 'band side' }))).toEqual(['1', '3', '4']);
+    expect(ids(filter({ query: '  A   SIDE intro ' }))).toEqual(['4']);
+    expect(ids(filter({ query: 'two.flac' }))).toEqual(['2']);
+  });
+
+  it('reads the search text from the prepared map when it has it', () => {
+    const searchText = new Map([['2', getTrackSearchText({ title: 'renamed' })]]);
+    expect(ids(filterTracks(tracks, { ...DEFAULT_TRACK_FILTERS, query: 'renamed' }, searchText))).toEqual(['2']);
+  });
+
+  it('keeps tracks matching any picked format', () => {
+    expect(ids(filter({ formats: ['flac', 'ogg'] }))).toEqual(['2', '3']);
+  });
+
+  it('keeps tracks in any picked duration range, lower bound inclusive', () => {
+    expect(ids(filter({ durationRanges: ['short'] }))).toEqual(['2']);
+    expect(ids(filter({ durationRanges: ['medium', 'long'] }))).toEqual(['1', '3', '4']);
+  });
+
+  it('combines search and filter groups', () => {
+    expect(ids(filter({ query: 'band', formats: ['mp3'], durationRanges: ['medium'] }))).toEqual(['1', '4']);
+  });
+});
+
+describe('sortTracks', () => {
+  it('keeps the custom order for manual sorting', () => {
+    expect(sortTracks(tracks, 'manual', 'asc')).toBe(tracks);
+  });
+
+  it('sorts titles naturally, ignoring case and accents', () => {
+    expect(ids(sortTracks(tracks, 'title', 'asc'))).toEqual(['3', '4', '2', '1']);
+    expect(ids(sortTracks(tracks, 'title', 'desc'))).toEqual(['1', '2', '4', '3']);
+  });
+
+  it('sorts by artist, album and track number, with no artist last', () => {
+    expect(ids(sortTracks(tracks, 'artist', 'asc'))).toEqual(['4', '3', '1', '2']);
+  });
+
+  it('keeps the custom order for ties', () => {
+    expect(ids(sortTracks(tracks, 'playCount', 'asc'))).toEqual(['2', '1', '4', '3']);
+  });
+
+  it('sorts by duration and date added', () => {
+    expect(ids(sortTracks(tracks, 'duration', 'desc'))).toEqual(['3', '1', '4', '2']);
+    expect(ids(sortTracks(tracks, 'addedAt', 'asc'))).toEqual(['2', '3', '1', '4']);
+  });
+});
+
+describe('getTrackFormats', () => {
+  it('lists the formats present in declared order', () => {
+    expect(getTrackFormats(tracks)).toEqual(['mp3', 'flac', 'ogg']);
+  });
+});
+
+describe('hasActiveFilters', () => {
+  it('ignores a blank query and the sort order', () => {
+    expect(hasActiveFilters({ ...DEFAULT_TRACK_FILTERS, query: '   ', sortKey: 'title' })).toBe(false);
+    expect(hasActiveFilters({ ...DEFAULT_TRACK_FILTERS, query: 'a' })).toBe(true);
+    expect(hasActiveFilters({ ...DEFAULT_TRACK_FILTERS, durationRanges: ['long'] })).toBe(true);
+  });
+});
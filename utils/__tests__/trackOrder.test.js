@@ -0,0 +1,55 @@
+import { moveIdsTo, moveIdsBy, getIdRange } from '../trackOrder';
+
+const ids = ['a', 'b', 'c', 'd', 'e'];
+
+describe('moveIdsTo', () => {
+  it('moves one id before the item at the target index', () => {
+    expect(moveIdsTo(ids, ['d'], 1)).toEqual(['a', 'd', 'b', 'c', 'e']);
+    expect(moveIdsTo(ids, ['a'], 3)).toEqual(['b', 'c', 'a', 'd', 'e']);
+  });
+
+  it('moves to the end with the list length as target', () => {
+    expect(moveIdsTo(ids, ['b'], ids.length)).toEqual(['a', 'c', 'd', 'e', 'b']);
+  });
+
+  it('gathers scattered ids into one block in list order', () => {
+    expect(moveIdsTo(ids, ['e', 'b'], 0)).toEqual(['b', 'e', 'a', 'c', 'd']);
+    expect(moveIdsTo(ids, ['a', 'c'], 4)).toEqual(['b', 'd', 'a', 'c', 'e']);
+  });
+
+  it('leaves the order alone when dropped onto the block itself', () => {
+    expect(moveIdsTo(ids, ['b', 'c'], 2)).toEqual(ids);
+  });
+
+  it('ignores ids that are not in the list', () => {
+    expect(moveIdsTo(ids, ['x', 'c'], 0)).toEqual(['c', 'a', 'b', 'd', 'e']);
+  });
+});
+
+describe('moveIdsBy', () => {
+  it('moves ids one place up or down', () => {
+    expect(moveIdsBy(ids, ['c'], -1)).toEqual(['a', 'c', 'b', 'd', 'e']);
+    expect(moveIdsBy(ids, ['c'], 1)).toEqual(['a', 'b', 'd', 'c', 'e']);
+  });
+
+  it('moves every selected id, keeping adjacent ones together', () => {
+    expect(moveIdsBy(ids, ['b', 'c'], 1)).toEqual(['a', 'd', 'b', 'c', 'e']);
+    expect(moveIdsBy(ids, ['b', 'd'], -1)).toEqual(['b', 'a', 'd', 'c', 'e']);
+  });
+
+  it('keeps ids stacked against an edge where they are', () => {
+    expect(moveIdsBy(ids, ['a', 'b', 'd'], -1)).toEqual(['a', 'b', 'd', 'c', 'e']);
+    expect(moveIdsBy(ids, ['e'], 1)).toEqual(ids);
+  });
+});
+
+describe('getIdRange', () => {
+  it('returns the ids between anchor and click in either direction', () => {
+    expect(getIdRange(ids, 'b', 'd')).toEqual(['b', 'c', 'd']);
+    expect(getIdRange(ids, 'd', 'b')).toEqual(['b', 'c', 'd']);
+  });
+
+  it('falls back to the clicked id when the anchor is gone', () => {
+    expect(getIdRange(ids, 'x', 'c')).toEqual(['c']);
+  });
+});
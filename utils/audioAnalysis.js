@@ -0,0 +1,105 @@
+// Offline analysis of stored tracks: decoded once, measured for loudness
+// and reduced to a waveform overview, with the results cached on the track
+
+import { measureLoudness } from './loudness';
+
+// Decoding a whole file holds it in memory as 32-bit floats, so very long
+// recordings (audiobooks, DJ mixes) are left unanalysed
+export const MAX_ANALYSIS_SECONDS = 30 * 60;
+
+// Number of columns in a waveform overview
+export const WAVEFORM_POINTS = 200;
+
+// Rate files are decoded at for analysis; BS.1770 is specified at 48 kHz
+const ANALYSIS_SAMPLE_RATE = 48000;
+
+const getOfflineContextClass = () => {
+  if (typeof window === 'undefined') return null;
+  return window.OfflineAudioContext || window.webkitOfflineAudioContext || null;
+};
+
+/**
+ * Decodes a stored track's audio
+ * @param {Object} track - Track with a playable url
+ * @returns {Promise<AudioBuffer>} - Decoded audio
+ */
+export const decodeTrackAudio = async (track) => {
+  const OfflineContextClass = getOfflineContextClass();
+  if (!OfflineContextClass) throw new Error('Web Audio is not available');
+
+  const response = await fetch(track.url);
+  const encoded = await response.arrayBuffer();
+  const context = new OfflineContextClass(2, 1, ANALYSIS_SAMPLE_RATE);
+  return context.decodeAudioData(encoded);
+};
+
+/**
+ * Reduces decoded audio to peak levels per column, scaled so the loudest
+ * column is full height
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @param {number} [points] - Number of columns
+ * @returns {Uint8Array} - Column peaks from 0 to 255
+ */
+export const computeWaveform = (buffer, points = WAVEFORM_POINTS) => {
+  const peaks = new Float32Array(points);
+  const columnLength = buffer.length / points;
+
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    for (let column = 0; column < points; column++) {
+      const start = Math.floor(column * columnLength);
+      const end = Math.min(data.length, Math.floor((column + 1) * columnLength));
+      let peak = peaks[column];
+      for (let i = start; i < end; i++) {
+        const magnitude = Math.abs(data[i]);
+        if (magnitude > peak) peak = magnitude;
+      }
+      peaks[column] = peak;
+    }
+  }
+
+  const loudest = Math.max(...peaks);
+  return Uint8Array.from(peaks, peak => (loudest > 0 ? Math.round((peak / loudest) * 255) : 0));
+};
+
+// Silent or very short audio has no loudness to measure; loudnessUnmeasurable
+// records that it was tried, so the track is not decoded again on every load
+const needsLoudness = (track) => !track.loudness && !track.loudnessUnmeasurable;
+
+/**
+ * Works out whatever a track is still missing from analysis
+ * @param {Object} track - Track object
+ * @returns {boolean} - Whether the track should be analysed
+ */
+export const needsAnalysis = (track) => Boolean(
+  track.url &&
+  (needsLoudness(track) || !track.waveform) &&
+  !(track.duration > MAX_ANALYSIS_SECONDS)
+);
+
+/**
+ * Decodes a track once and computes the loudness record and waveform it
+ * does not have yet
+ * @param {Object} track - Track with a playable url
+ * @returns {Promise<Object>} - Track fields to store; empty if none
+ */
+export const analyzeTrack = async (track) => {
+  if (!needsAnalysis(track)) return {};
+
+  const buffer = await decodeTrackAudio(track);
+  const changes = {};
+
+  if (!track.waveform) {
+    changes.waveform = computeWaveform(buffer);
+  }
+  if (needsLoudness(track)) {
+    const loudness = await measureLoudness(buffer);
+    if (loudness) {
+      changes.loudness = loudness;
+    } else {
+      changes.loudnessUnmeasurable = true;
+    }
+  }
+
+  return changes;
+};
@@ -0,0 +1,614 @@
+// Dual-deck playback engine: two media elements routed through Web Audio so
+// the next track can be preloaded and handed over gaplessly or crossfaded
+
+import { EQ_FREQUENCIES, EQ_Q, DEFAULT_EQUALIZER, dbToGain } from './equalizer';
+
+export const MAX_CROSSFADE_SECONDS = 12;
+
+// Fade-out / fade-in gain pairs for a position t in [0, 1] of the crossfade
+export const CROSSFADE_CURVES = {
+  'equal-power': {
+    label: 'Equal power',
+    gains: (t) => [Math.cos(t * Math.PI / 2), Math.sin(t * Math.PI / 2)]
+  },
+  linear: {
+    label: 'Linear',
+    gains: (t) => [1 - t, t]
+  },
+  's-curve': {
+    label: 'S-curve',
+    gains: (t) => {
+      const eased = (1 - Math.cos(t * Math.PI)) / 2;
+      return [1 - eased, eased];
+    }
+  }
+};
+
+const CURVE_STEPS = 128;
+// How often the active deck is checked for an upcoming transition
+const SCHEDULER_INTERVAL_MS = 50;
+// Gapless handovers are timed with setTimeout once the end is this close
+const GAPLESS_WINDOW_SECONDS = 0.25;
+// Typical delay between play() and audible output on the incoming deck
+const PLAY_START_LATENCY_SECONDS = 0.01;
+
+const getAudioContextClass = () => {
+  if (typeof window === 'undefined') return null;
+  return window.AudioContext || window.webkitAudioContext || null;
+};
+
+/**
+ * Lists the ranges of a media element that have been buffered
+ * @param {HTMLMediaElement} audio - Media element
+ * @returns {Array<Array<number>>} - [start, end] pairs in seconds
+ */
+const readBuffered = (audio) => {
+  const ranges = [];
+  for (let i = 0; i < audio.buffered.length; i++) {
+    ranges.push([audio.buffered.start(i), audio.buffered.end(i)]);
+  }
+  return ranges;
+};
+
+const buildCurve = (curveName, index) => {
+  const curve = CROSSFADE_CURVES[curveName] || CROSSFADE_CURVES['equal-power'];
+  const values = new Float32Array(CURVE_STEPS);
+  for (let i = 0; i < CURVE_STEPS; i++) {
+    values[i] = curve.gains(i / (CURVE_STEPS - 1))[index];
+  }
+  return values;
+};
+
+/**
+ * Creates the playback engine. Events are only reported for the deck that
+ * is currently audible.
+ * @param {Object} handlers - Callbacks: onPlay, onPause, onTimeUpdate(time),
+ *   onDurationChange(duration), onLoadStart, onCanPlay, onError(message),
+ *   onEnded(), onAdvance(trackId), onBufferedChange(ranges)
+ * @returns {Object} - Engine API
+ */
+export const createAudioEngine = (handlers = {}) => {
+  const emit = (name, ...args) => {
+    if (handlers[name]) handlers[name](...args);
+  };
+
+  const decks = [0, 1].map(() => ({
+    audio: new Audio(),
+    trackId: null,
+    source: null,
+    // Loudness normalization for the loaded track, then the crossfade gain
+    normalization: 1,
+    normalizationGain: null,
+    gain: null,
+    playbackRate: 1
+  }));
+  decks.forEach(deck => {
+    deck.audio.preload = 'auto';
+  });
+
+  let activeIndex = 0;
+  let context = null;
+  let masterGain = null;
+  let analyser = null;
+  let preampGain = null;
+  let eqFilters = [];
+  let equalizer = DEFAULT_EQUALIZER;
+  let volume = 1;
+  let muted = false;
+  let preservesPitch = true;
+  let transition = { crossfadeDuration: 0, crossfadeCurve: 'equal-power' };
+  let transitionTimer = null;
+  let finishTimer = null;
+  let schedulerTimer = null;
+  let isTransitioning = false;
+  // A preload requested mid-transition waits until the outgoing deck is free
+  let pendingPreload;
+
+  const activeDeck = () => decks[activeIndex];
+  const standbyDeck = () => decks[1 - activeIndex];
+
+  const applyVolume = () => {
+    const level = muted ? 0 : volume;
+    if (masterGain) {
+      masterGain.gain.setTargetAtTime(level, context.currentTime, 0.01);
+    } else {
+      // Without Web Audio, element volume can only attenuate
+      decks.forEach(deck => {
+        deck.audio.volume = level * Math.min(deck.normalization, 1);
+      });
+    }
+  };
+
+  /**
+   * Applies a deck's normalization gain; a smooth change avoids a click
+   * when the level of a track that is already playing is adjusted
+   * @param {Object} deck - Deck to update
+   * @param {boolean} [smooth] - Glide to the new level instead of jumping
+   */
+  const applyNormalization = (deck, smooth = false) => {
+    if (deck.normalizationGain) {
+      const { gain } = deck.normalizationGain;
+      gain.cancelScheduledValues(context.currentTime);
+      if (smooth) {
+        gain.setTargetAtTime(deck.normalization, context.currentTime, 0.05);
+      } else {
+        gain.setValueAtTime(deck.normalization, context.currentTime);
+      }
+    } else {
+      applyVolume();
+    }
+  };
+
+  /**
+   * Sets a deck's speed. The default rate is set too because loading a new
+   * source resets the element to it.
+   * @param {Object} deck - Deck to update
+   */
+  const applyPlaybackRate = (deck) => {
+    const { audio } = deck;
+    audio.defaultPlaybackRate = deck.playbackRate;
+    audio.playbackRate = deck.playbackRate;
+    audio.preservesPitch = preservesPitch;
+    // Safari before 17 only knows the prefixed property
+    if ('webkitPreservesPitch' in audio) audio.webkitPreservesPitch = preservesPitch;
+  };
+
+  /**
+   * Records which track a deck holds and the gain and speed it should be
+   * played at
+   * @param {Object} deck - Deck to update
+   * @param {Object} track - Track with id, optional linear gain and playbackRate
+   */
+  const assignTrack = (deck, track) => {
+    const isSameTrack = deck.trackId === track.id;
+    deck.trackId = track.id;
+    deck.normalization = track.gain ?? 1;
+    deck.playbackRate = track.playbackRate ?? 1;
+    applyNormalization(deck, isSameTrack);
+    applyPlaybackRate(deck);
+  };
+
+  const applyEqualizer = () => {
+    if (!context) return;
+    const { enabled, preamp, gains } = equalizer;
+    const now = context.currentTime;
+
+    preampGain.gain.setTargetAtTime(enabled ? dbToGain(preamp) : 1, now, 0.02);
+    eqFilters.forEach((filter, index) => {
+      filter.gain.setTargetAtTime(enabled ? gains[index] : 0, now, 0.02);
+    });
+  };
+
+  /**
+   * Builds the Web Audio graph on first playback. Browsers only allow an
+   * AudioContext to start from a user gesture, so this is not done eagerly.
+   */
+  const ensureGraph = () => {
+    if (context) return context;
+
+    const AudioContextClass = getAudioContextClass();
+    if (!AudioContextClass) return null;
+
+    // deck normalization -> deck fade -> preamp -> EQ bands -> master volume -> output
+    context = new AudioContextClass();
+    preampGain = context.createGain();
+    eqFilters = EQ_FREQUENCIES.map((frequency) => {
+      const filter = context.createBiquadFilter();
+      filter.type = 'peaking';
+      filter.frequency.value = frequency;
+      filter.Q.value = EQ_Q;
+      filter.gain.value = 0;
+      return filter;
+    });
+    masterGain = context.createGain();
+
+    [preampGain, ...eqFilters, masterGain].reduce((from, to) => {
+      from.connect(to);
+      return to;
+    });
+    masterGain.connect(context.destination);
+
+    // Visualizers tap the signal after the EQ but before the volume control
+    analyser = context.createAnalyser();
+    analyser.fftSize = 2048;
+    analyser.smoothingTimeConstant = 0.8;
+    eqFilters[eqFilters.length - 1].connect(analyser);
+
+    decks.forEach(deck => {
+      deck.audio.volume = 1;
+      deck.source = context.createMediaElementSource(deck.audio);
+      deck.normalizationGain = context.createGain();
+      deck.normalizationGain.gain.value = deck.normalization;
+      deck.gain = context.createGain();
+      deck.source.connect(deck.normalizationGain);
+      deck.normalizationGain.connect(deck.gain);
+      deck.gain.connect(preampGain);
+    });
+
+    applyVolume();
+    applyEqualizer();
+    return context;
+  };
+
+  const setDeckGain = (deck, value) => {
+    if (!deck.gain) return;
+    deck.gain.gain.cancelScheduledValues(context.currentTime);
+    deck.gain.gain.setValueAtTime(value, context.currentTime);
+  };
+
+  const clearTimers = () => {
+    clearTimeout(transitionTimer);
+    clearTimeout(finishTimer);
+    transitionTimer = null;
+    finishTimer = null;
+  };
+
+  const resetDeck = (deck) => {
+    deck.audio.pause();
+    deck.audio.removeAttribute('src');
+    deck.audio.load();
+    deck.trackId = null;
+    setDeckGain(deck, 1);
+  };
+
+  /**
+   * Ends any transition in progress, silencing the outgoing deck at once
+   */
+  const finishTransition = () => {
+    clearTimers();
+    if (!isTransitioning) return;
+
+    isTransitioning = false;
+    resetDeck(standbyDeck());
+    setDeckGain(activeDeck(), 1);
+
+    if (pendingPreload !== undefined) {
+      const track = pendingPreload;
+      pendingPreload = undefined;
+      preloadTrack(track);
+    }
+  };
+
+  /**
+   * Loads the track expected to play next on the standby deck
+   * @param {Object|null} track - Next track, or null to clear the standby deck
+   */
+  function preloadTrack(track) {
+    if (isTransitioning) {
+      pendingPreload = track;
+      return;
+    }
+    const deck = standbyDeck();
+
+    if (!track || !track.url) {
+      if (deck.trackId) resetDeck(deck);
+      return;
+    }
+    if (deck.trackId === track.id && deck.audio.getAttribute('src') === track.url) {
+      assignTrack(deck, track);
+      return;
+    }
+
+    assignTrack(deck, track);
+    deck.audio.src = track.url;
+    deck.audio.load();
+  }
+
+  /**
+   * Hands playback to the standby deck, which must already hold the next track
+   * @param {number} remaining - Seconds left on the outgoing deck at its speed
+   */
+  const startTransition = (remaining) => {
+    const outgoing = activeDeck();
+    const incoming = standbyDeck();
+    if (!incoming.trackId) return;
+
+    clearTimers();
+    isTransitioning = true;
+
+    const fadeLength = Math.min(transition.crossfadeDuration, Math.max(remaining, 0));
+    const canFade = Boolean(context && fadeLength > 0);
+
+    incoming.audio.currentTime = 0;
+    if (context) {
+      const now = context.currentTime;
+      incoming.gain.gain.cancelScheduledValues(now);
+      outgoing.gain.gain.cancelScheduledValues(now);
+
+      if (canFade) {
+        incoming.gain.gain.setValueCurveAtTime(buildCurve(transition.crossfadeCurve, 1), now, fadeLength);
+        outgoing.gain.gain.setValueCurveAtTime(buildCurve(transition.crossfadeCurve, 0), now, fadeLength);
+      } else {
+        incoming.gain.gain.setValueAtTime(1, now);
+        outgoing.gain.gain.setValueAtTime(0, now + Math.max(remaining, 0));
+      }
+    }
+
+    incoming.audio.play().catch(() => emit('onError', 'Failed to play audio'));
+    activeIndex = 1 - activeIndex;
+
+    emit('onDurationChange', incoming.audio.duration || 0);
+    emit('onTimeUpdate', 0);
+    emit('onBufferedChange', readBuffered(incoming.audio));
+    emit('onAdvance', incoming.trackId);
+
+    finishTimer = setTimeout(finishTransition, (canFade ? fadeLength : Math.max(remaining, 0)) * 1000 + 50);
+  };
+
+  /**
+   * Watches the active deck and starts the handover to the standby deck
+   * once the crossfade window, or the gapless window, is reached
+   */
+  const checkTransition = () => {
+    const deck = activeDeck();
+    if (isTransitioning || transitionTimer || deck.audio.paused || !standbyDeck().trackId) return;
+
+    const { duration, currentTime, playbackRate } = deck.audio;
+    if (!Number.isFinite(duration) || duration <= 0) return;
+
+    // In real seconds, which differ from media seconds away from 1x speed
+    const remaining = (duration - currentTime) / playbackRate;
+    const fadeLength = context ? Math.min(transition.crossfadeDuration, duration / playbackRate / 2) : 0;
+
+    if (fadeLength > 0) {
+      if (remaining <= fadeLength) startTransition(remaining);
+    } else if (remaining <= GAPLESS_WINDOW_SECONDS) {
+      // Time the handover more finely than the polling interval allows
+      const delay = Math.max(remaining - PLAY_START_LATENCY_SECONDS, 0);
+      transitionTimer = setTimeout(() => {
+        transitionTimer = null;
+        const left = (deck.audio.duration - deck.audio.currentTime) / deck.audio.playbackRate;
+        startTransition(Number.isFinite(left) ? left : 0);
+      }, delay * 1000);
+    }
+  };
+
+  const startScheduler = () => {
+    if (!schedulerTimer) {
+      schedulerTimer = setInterval(checkTransition, SCHEDULER_INTERVAL_MS);
+    }
+  };
+
+  const stopScheduler = () => {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+    clearTimeout(transitionTimer);
+    transitionTimer = null;
+  };
+
+  // Forward element events, but only from the deck that is audible
+  const listeners = decks.map((deck) => {
+    const isActive = () => deck === activeDeck();
+    const events = {
+      loadstart: () => isActive() && emit('onLoadStart'),
+      canplay: () => isActive() && emit('onCanPlay'),
+      loadedmetadata: () => isActive() && emit('onDurationChange', deck.audio.duration),
+      durationchange: () => isActive() && emit('onDurationChange', deck.audio.duration),
+      timeupdate: () => isActive() && emit('onTimeUpdate', deck.audio.currentTime),
+      progress: () => isActive() && emit('onBufferedChange', readBuffered(deck.audio)),
+      play: () => {
+        if (!isActive()) return;
+        startScheduler();
+        emit('onPlay');
+      },
+      pause: () => {
+        if (!isActive() || deck.audio.ended) return;
+        stopScheduler();
+        emit('onPause');
+      },
+      ended: () => {
+        if (!isActive()) return;
+        // The gapless handover was missed (e.g. a throttled background tab)
+        if (standbyDeck().trackId) {
+          startTransition(0);
+          return;
+        }
+        stopScheduler();
+        emit('onPause');
+        emit('onEnded');
+      },
+      error: () => {
+        // Clearing the source also fires an error event; ignore that one
+        if (!deck.audio.getAttribute('src')) return;
+        if (isActive()) {
+          emit('onError', 'Failed to load audio file');
+        } else {
+          deck.trackId = null;
+        }
+      }
+    };
+
+    Object.entries(events).forEach(([type, listener]) => {
+      deck.audio.addEventListener(type, listener);
+    });
+    return events;
+  });
+
+  return {
+    /**
+     * Makes a track the current one. If the standby deck already holds it,
+     * the decks are swapped so it starts without loading again.
+     * @param {Object} track - Track with id, url and optional linear gain
+     * @param {Object} [options] - { autoPlay, startAt }: startAt is a position
+     *   in seconds to begin from; a track that is already audible ignores it
+     * @returns {Promise<void>} - Settles once playback has started, if requested
+     */
+    load(track, { autoPlay = false, startAt = 0 } = {}) {
+      const current = activeDeck();
+
+      // Already audible, e.g. after the engine advanced to it by itself
+      if (current.trackId === track.id && current.audio.getAttribute('src') === track.url) {
+        assignTrack(current, track);
+        return autoPlay ? this.play() : Promise.resolve();
+      }
+
+      finishTransition();
+      const standby = standbyDeck();
+
+      const wasPlaying = !current.audio.paused;
+      current.audio.pause();
+
+      if (standby.trackId === track.id && standby.audio.getAttribute('src') === track.url) {
+        activeIndex = 1 - activeIndex;
+        resetDeck(current);
+        const deck = activeDeck();
+        assignTrack(deck, track);
+        deck.audio.currentTime = startAt;
+        setDeckGain(deck, 1);
+        emit('onDurationChange', deck.audio.duration || 0);
+        emit('onTimeUpdate', startAt);
+        emit('onBufferedChange', readBuffered(deck.audio));
+        if (deck.audio.readyState >= 3) emit('onCanPlay');
+      } else {
+        assignTrack(current, track);
+        current.audio.src = track.url;
+        if (startAt > 0) {
+          // Seeking has to wait for the metadata; skip it if another track took the deck meanwhile
+          current.audio.addEventListener('loadedmetadata', () => {
+            if (current.trackId === track.id) current.audio.currentTime = startAt;
+          }, { once: true });
+        }
+        setDeckGain(current, 1);
+        emit('onTimeUpdate', startAt);
+        emit('onBufferedChange', []);
+      }
+
+      if (autoPlay) return this.play();
+      if (wasPlaying) emit('onPause');
+      return Promise.resolve();
+    },
+
+    preload: preloadTrack,
+
+    async play() {
+      const ctx = ensureGraph();
+      if (ctx && ctx.state === 'suspended') {
+        await ctx.resume();
+      }
+      await activeDeck().audio.play();
+    },
+
+    pause() {
+      finishTransition();
+      activeDeck().audio.pause();
+    },
+
+    seek(time) {
+      finishTransition();
+      activeDeck().audio.currentTime = time;
+    },
+
+    /**
+     * Restarts the current track from the beginning
+     */
+    restart() {
+      this.seek(0);
+    },
+
+    /**
+     * Unloads both decks
+     */
+    stop() {
+      stopScheduler();
+      finishTransition();
+      decks.forEach(resetDeck);
+      emit('onBufferedChange', []);
+      emit('onPause');
+    },
+
+    setVolume(level) {
+      volume = level;
+      applyVolume();
+    },
+
+    setMuted(value) {
+      muted = value;
+      applyVolume();
+    },
+
+    /**
+     * Updates the crossfade settings; a duration of 0 means a gapless handover
+     * @param {Object} options - { crossfadeDuration, crossfadeCurve }
+     */
+    setTransition(options) {
+      transition = {
+        ...transition,
+        ...options,
+        crossfadeDuration: Math.max(0, Math.min(MAX_CROSSFADE_SECONDS, options.crossfadeDuration ?? transition.crossfadeDuration))
+      };
+    },
+
+    /**
+     * Updates the graphic equalizer; takes effect once the graph exists
+     * @param {Object} settings - { enabled, preamp, gains } in dB
+     */
+    setEqualizer(settings) {
+      equalizer = { ...equalizer, ...settings };
+      applyEqualizer();
+    },
+
+    /**
+     * Changes the normalization gain of a track on either deck, e.g. when
+     * its analysis finishes or the normalization mode changes
+     * @param {string} trackId - Track ID
+     * @param {number} gain - Linear gain factor
+     */
+    setTrackGain(trackId, gain) {
+      decks.forEach(deck => {
+        if (deck.trackId !== trackId || deck.normalization === gain) return;
+        deck.normalization = gain;
+        applyNormalization(deck, true);
+      });
+    },
+
+    /**
+     * Changes the speed of a track on either deck
+     * @param {string} trackId - Track ID
+     * @param {number} rate - Playback rate, 1 being normal speed
+     */
+    setTrackPlaybackRate(trackId, rate) {
+      decks.forEach(deck => {
+        if (deck.trackId !== trackId || deck.playbackRate === rate) return;
+        deck.playbackRate = rate;
+        applyPlaybackRate(deck);
+      });
+    },
+
+    /**
+     * Whether sped-up or slowed-down audio keeps its pitch
+     * @param {boolean} value - True to keep the pitch
+     */
+    setPreservesPitch(value) {
+      preservesPitch = value;
+      decks.forEach(applyPlaybackRate);
+    },
+
+    /**
+     * The analyser fed by the output, once the audio graph has been built
+     * @returns {AnalyserNode|null} - Analyser, or null before first playback
+     */
+    getAnalyser() {
+      return analyser;
+    },
+
+    getCurrentTime() {
+      return activeDeck().audio.currentTime;
+    },
+
+    isPaused() {
+      return activeDeck().audio.paused;
+    },
+
+    destroy() {
+      stopScheduler();
+      clearTimers();
+      decks.forEach((deck, index) => {
+        Object.entries(listeners[index]).forEach(([type, listener]) => {
+          deck.audio.removeEventListener(type, listener);
+        });
+        deck.audio.pause();
+      });
+      if (context) context.close();
+    }
+  };
+};
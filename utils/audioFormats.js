@@ -0,0 +1,190 @@
+// Audio format detection: magic-byte sniffing and browser playback support
+
+/**
+ * Formats the player knows how to recognise. canPlayType is what gets asked
+ * of the browser; codecs are spelled out where a container alone says little.
+ */
+export const AUDIO_FORMATS = {
+  mp3: {
+    label: 'MP3',
+    mimeTypes: ['audio/mpeg', 'audio/mp3'],
+    extensions: ['mp3', 'mp2'],
+    canPlayType: 'audio/mpeg'
+  },
+  aac: {
+    label: 'AAC',
+    mimeTypes: ['audio/aac', 'audio/x-aac', 'audio/aacp'],
+    extensions: ['aac'],
+    canPlayType: 'audio/aac'
+  },
+  m4a: {
+    label: 'M4A',
+    mimeTypes: ['audio/mp4', 'audio/x-m4a', 'audio/m4a'],
+    extensions: ['m4a', 'm4b', 'mp4'],
+    canPlayType: 'audio/mp4; codecs="mp4a.40.2"'
+  },
+  flac: {
+    label: 'FLAC',
+    mimeTypes: ['audio/flac', 'audio/x-flac'],
+    extensions: ['flac'],
+    canPlayType: 'audio/flac'
+  },
+  ogg: {
+    label: 'Ogg Vorbis',
+    mimeTypes: ['audio/ogg', 'audio/vorbis', 'application/ogg'],
+    extensions: ['ogg', 'oga'],
+    canPlayType: 'audio/ogg; codecs="vorbis"'
+  },
+  opus: {
+    label: 'Opus',
+    mimeTypes: ['audio/opus'],
+    extensions: ['opus'],
+    canPlayType: 'audio/ogg; codecs="opus"'
+  },
+  wav: {
+    label: 'WAV',
+    mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+    extensions: ['wav', 'wave'],
+    canPlayType: 'audio/wav'
+  },
+  webm: {
+    label: 'WebM audio',
+    mimeTypes: ['audio/webm'],
+    extensions: ['webm', 'weba'],
+    canPlayType: 'audio/webm'
+  }
+};
+
+export const AUDIO_EXTENSIONS = Object.values(AUDIO_FORMATS).flatMap(format => format.extensions);
+
+// For file inputs: some platforms leave the type of FLAC or Opus files empty
+export const AUDIO_FILE_ACCEPT = ['audio/*', ...AUDIO_EXTENSIONS.map(extension => `.${extension}`)].join(',');
+
+// Enough of the file to recognise every format below
+const SNIFF_LENGTH = 64;
+
+const matchesAscii = (bytes, offset, text) => (
+  bytes.length >= offset + text.length &&
+  Array.from(text).every((char, index) => bytes[offset + index] === char.charCodeAt(0))
+);
+
+/**
+ * Size of an ID3v2 tag at the start of a file, header and footer included
+ * @param {Uint8Array} bytes - First bytes of the file
+ * @returns {number} - Tag length in bytes, 0 if there is no tag
+ */
+export const getId3TagLength = (bytes) => {
+  if (!matchesAscii(bytes, 0, 'ID3') || bytes.length < 10) return 0;
+
+  // Syncsafe integer: 7 bits per byte
+  const size = ((bytes[6] & 0x7f) << 21) | ((bytes[7] & 0x7f) << 14) | ((bytes[8] & 0x7f) << 7) | (bytes[9] & 0x7f);
+  const hasFooter = (bytes[5] & 0x10) !== 0;
+  return 10 + size + (hasFooter ? 10 : 0);
+};
+
+/**
+ * Recognises an audio format from a file's leading bytes. An ID3 tag is not
+ * a format by itself; pass the bytes after it to find what it wraps.
+ * @param {Uint8Array} bytes - First bytes of the file, or of the audio after an ID3 tag
+ * @returns {string|null} - Key of AUDIO_FORMATS, or null if unrecognised
+ */
+export const sniffAudioFormat = (bytes) => {
+  if (matchesAscii(bytes, 0, 'fLaC')) return 'flac';
+  if (matchesAscii(bytes, 0, 'OggS')) {
+    // The first page of an Opus stream carries the OpusHead packet
+    return matchesAscii(bytes, 28, 'OpusHead') ? 'opus' : 'ogg';
+  }
+  if (matchesAscii(bytes, 0, 'RIFF') && matchesAscii(bytes, 8, 'WAVE')) return 'wav';
+  if (matchesAscii(bytes, 4, 'ftyp')) return 'm4a';
+  if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) return 'webm';
+
+  // MPEG frame sync: 11 set bits. ADTS (AAC) frames have layer bits 00.
+  if (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) {
+    return (bytes[1] & 0x06) === 0 ? 'aac' : 'mp3';
+  }
+  return null;
+};
+
+const readBytes = async (file, start, length) => (
+  new Uint8Array(await file.slice(start, start + length).arrayBuffer())
+);
+
+/**
+ * Sniffs a file's format, looking past a leading ID3 tag
+ * @param {Blob} file - File to inspect
+ * @returns {Promise<string|null>} - Key of AUDIO_FORMATS, or null if unrecognised
+ */
+export const detectAudioFormat = async (file) => {
+  const head = await readBytes(file, 0, SNIFF_LENGTH);
+  const tagLength = getId3TagLength(head);
+  if (tagLength === 0) return sniffAudioFormat(head);
+
+  const format = sniffAudioFormat(await readBytes(file, tagLength, SNIFF_LENGTH));
+  // A tag followed by something unexpected (padding, a truncated file) is still most likely an MP3
+  return format || 'mp3';
+};
+
+const getExtension = (fileName = '') => {
+  const match = /\.([^./]+)$/.exec(fileName);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * Guesses a format from a file's declared type or extension, without reading it
+ * @param {File} file - File to check
+ * @returns {string|null} - Key of AUDIO_FORMATS, or null if neither is known
+ */
+export const getDeclaredAudioFormat = (file) => {
+  const type = (file.type || '').split(';')[0].trim().toLowerCase();
+  const extension = getExtension(file.name);
+  const entries = Object.entries(AUDIO_FORMATS);
+
+  const byType = entries.find(([, format]) => format.mimeTypes.includes(type));
+  if (byType) return byType[0];
+  const byExtension = entries.find(([, format]) => format.extensions.includes(extension));
+  return byExtension ? byExtension[0] : null;
+};
+
+const playbackSupport = new Map();
+
+/**
+ * Whether the current browser can play a format. canPlayType answers
+ * "probably", "maybe" or ""; either of the first two counts.
+ * @param {string} formatId - Key of AUDIO_FORMATS
+ * @returns {boolean} - True if the browser expects to play it
+ */
+export const canPlayAudioFormat = (formatId) => {
+  const format = AUDIO_FORMATS[formatId];
+  if (!format) return false;
+  if (typeof document === 'undefined') return true;
+
+  if (!playbackSupport.has(formatId)) {
+    const audio = document.createElement('audio');
+    playbackSupport.set(formatId, audio.canPlayType(format.canPlayType) !== '');
+  }
+  return playbackSupport.get(formatId);
+};
+
+/**
+ * Works out what a file contains and whether this browser can play it. The
+ * bytes decide; the declared type and extension are only a fallback for
+ * content the sniffer does not know.
+ * @param {File} file - File to inspect
+ * @returns {Promise<Object>} - { format, error }: format key (or null) and a
+ *   reason the file cannot be imported (or null)
+ */
+export const inspectAudioFile = async (file) => {
+  let format = null;
+  try {
+    format = await detectAudioFormat(file);
+  } catch (err) {
+    console.error(`Failed to read "${file.name}":`, err);
+  }
+  format = format || getDeclaredAudioFormat(file);
+
+  if (!format) return { format: null, error: 'Not a recognised audio file' };
+  if (!canPlayAudioFormat(format)) {
+    return { format, error: `${AUDIO_FORMATS[format].label} is not supported by this browser` };
+  }
+  return { format, error: null };
+};
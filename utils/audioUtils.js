@@ -1,25 +1,19 @@
 // Utility functions for audio file handling and validation
 
+import { loudnessFromTags } from './loudness';
+import { AUDIO_FORMATS, getDeclaredAudioFormat, inspectAudioFile } from './audioFormats';
+import { DEFAULT_IMPORT_RULES } from './importRules';
+
 /**
- * Validates if a file is an audio file
- * @param {File} file - The file to validate
- * @returns {boolean} - True if file is audio
+ * Whether a file looks like audio by its declared type or extension. Cheap
+ * enough to filter a dropped folder; validateAudioFile checks the content.
+ * @param {File} file - The file to check
+ * @returns {boolean} - True if file may be audio
  */
 export const isAudioFile = (file) => {
-  if (!file || !file.type) return false;
-  
-  const audioTypes = [
-    'audio/mpeg',
-    'audio/mp3',
-    'audio/wav',
-    'audio/ogg',
-    'audio/aac',
-    'audio/flac',
-    'audio/m4a',
-    'audio/webm'
-  ];
-  
-  return audioTypes.includes(file.type) || file.name.toLowerCase().endsWith('.mp3');
+  if (!file) return false;
+
+  return (file.type || '').startsWith('audio/') || getDeclaredAudioFormat(file) !== null;
 };
 
 /**
@@ -36,6 +30,31 @@ export const formatTime = (seconds) => {
   return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
 };
 
+/**
+ * Formats a position to the tenth of a second, for loop points and bookmarks
+ * @param {number} seconds - Position in seconds
+ * @returns {string} - e.g. "1:05.3"
+ */
+export const formatPreciseTime = (seconds) => {
+  const tenths = Math.round((Number.isFinite(seconds) && seconds > 0 ? seconds : 0) * 10);
+  return `${formatTime(Math.floor(tenths / 10))}.${tenths % 10}`;
+};
+
+/**
+ * Reads a position typed as seconds, M:SS or H:MM:SS, with optional decimals
+ * @param {string} text - Typed position
+ * @returns {number|null} - Seconds, or null if it cannot be read
+ */
+export const parseTime = (text) => {
+  const parts = String(text).trim().split(':');
+  if (parts.length > 3 || parts.some(part => !/^\d+(\.\d*)?$/.test(part))) return null;
+  // Only the last part may have decimals, and minutes and seconds stay under 60
+  if (parts.slice(0, -1).some(part => part.includes('.'))) return null;
+  if (parts.slice(1).some(part => parseFloat(part) >= 60)) return null;
+
+  return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+};
+
 /**
  * Extracts file name without extension
  * @param {string} fileName - Full file name
@@ -48,89 +67,153 @@ export const getTrackTitle = (fileName) => {
 };
 
 /**
- * Creates a unique ID for audio tracks
+ * Creates a unique ID for audio tracks. With a content hash the id is stable,
+ * so the same recording always gets the same id.
  * @param {string} fileName - File name
  * @param {number} fileSize - File size in bytes
+ * @param {string|null} [contentHash] - SHA-256 of the file's bytes
  * @returns {string} - Unique track ID
  */
-export const generateTrackId = (fileName, fileSize) => {
-  const timestamp = Date.now();
-  const hash = btoa(`${fileName}-${fileSize}-${timestamp}`).slice(0, 8);
-  return `track-${hash}`;
+export const generateTrackId = (fileName, fileSize, contentHash = null) => {
+  if (contentHash) return `track-${contentHash.slice(0, 32)}`;
+
+  // djb2 over name and size; works for any Unicode file name, unlike btoa
+  const source = `${fileName}-${fileSize}`;
+  let hash = 5381;
+  for (let i = 0; i < source.length; i++) {
+    hash = ((hash << 5) + hash + source.charCodeAt(i)) >>> 0;
+  }
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).slice(2, 6);
+  return `track-${hash.toString(36)}-${timestamp}${random}`;
 };
 
 /**
- * Validates audio duration and file size
+ * Reads a file's duration through an audio element
  * @param {File} file - Audio file
- * @returns {Promise<Object>} - Validation result with duration
+ * @returns {Promise<number|null>} - Duration in seconds, or null if the browser cannot load it
  */
-export const validateAudioFile = async (file) => {
-  return new Promise((resolve) => {
-    if (!isAudioFile(file)) {
-      resolve({ 
-        valid: false, 
-        error: 'Invalid audio file format',
-        duration: 0 
-      });
-      return;
-    }
+const readAudioDuration = (file) => new Promise((resolve) => {
+  const audio = new Audio();
+  const url = URL.createObjectURL(file);
 
-    // Check file size (max 50MB)
-    const maxSize = 50 * 1024 * 1024;
-    if (file.size > maxSize) {
-      resolve({ 
-        valid: false, 
-        error: 'File too large (max 50MB)',
-        duration: 0 
-      });
-      return;
-    }
+  audio.addEventListener('loadedmetadata', () => {
+    URL.revokeObjectURL(url);
+    resolve(audio.duration || 0);
+  });
 
-    // Create audio element to get duration
-    const audio = new Audio();
-    const url = URL.createObjectURL(file);
-    
-    audio.addEventListener('loadedmetadata', () => {
-      URL.revokeObjectURL(url);
-      resolve({
-        valid: true,
-        duration: audio.duration || 0,
-        error: null
-      });
-    });
-
-    audio.addEventListener('error', () => {
-      URL.revokeObjectURL(url);
-      resolve({
-        valid: false,
-        error: 'Could not load audio file',
-        duration: 0
-      });
-    });
-
-    audio.src = url;
+  audio.addEventListener('error', () => {
+    URL.revokeObjectURL(url);
+    resolve(null);
   });
+
+  audio.src = url;
+});
+
+/**
+ * Validates a file against the import rules: format, size, and a duration
+ * the browser can read within the configured limits
+ * @param {File} file - Audio file
+ * @param {Object} [rules] - Import rules, see DEFAULT_IMPORT_RULES
+ * @returns {Promise<Object>} - { valid, errors, error, duration, format }:
+ *   every reason the file was refused, the first of them, and what was learned
+ */
+export const validateAudioFile = async (file, rules = DEFAULT_IMPORT_RULES) => {
+  const reject = (errors, duration = 0, format = null) => ({
+    valid: false,
+    errors,
+    error: errors[0],
+    duration,
+    format
+  });
+
+  const { format, error } = await inspectAudioFile(file);
+  if (error) return reject([error], 0, format);
+
+  const errors = [];
+  if (!rules.allowedFormats.includes(format)) {
+    errors.push(`${AUDIO_FORMATS[format].label} files are turned off in the import settings`);
+  }
+  if (rules.maxFileSizeMb > 0 && file.size > rules.maxFileSizeMb * 1024 * 1024) {
+    errors.push(`File too large (${formatFileSize(file.size)}, max ${rules.maxFileSizeMb} MB)`);
+  }
+  // No point decoding a file that is already refused
+  if (errors.length > 0) return reject(errors, 0, format);
+
+  const duration = await readAudioDuration(file);
+  if (duration === null) return reject(['Could not load audio file'], 0, format);
+
+  // Streams without a known length cannot be held to the limits
+  if (Number.isFinite(duration) && duration > 0) {
+    if (rules.minDuration > 0 && duration < rules.minDuration) {
+      errors.push(`Too short (${formatTime(duration)}, min ${formatTime(rules.minDuration)})`);
+    }
+    if (rules.maxDuration > 0 && duration > rules.maxDuration) {
+      errors.push(`Too long (${formatTime(duration)}, max ${formatTime(rules.maxDuration)})`);
+    }
+  }
+  if (errors.length > 0) return reject(errors, duration, format);
+
+  return { valid: true, errors: [], error: null, duration, format };
 };
 
 /**
  * Creates audio track object from file
  * @param {File} file - Audio file
  * @param {number} duration - Track duration in seconds
+ * @param {Object} [tags] - Fields read by readId3Tags
+ * @param {string|null} [contentHash] - SHA-256 of the file's bytes
  * @returns {Object} - Track object
  */
-export const createTrackObject = (file, duration = 0) => {
+export const createTrackObject = (file, duration = 0, tags = {}, contentHash = null) => {
+  const artwork = tags.picture
+    ? new Blob([tags.picture.data], { type: tags.picture.mimeType })
+    : null;
+
   return {
-    id: generateTrackId(file.name, file.size),
-    title: getTrackTitle(file.name),
+    id: generateTrackId(file.name, file.size, contentHash),
+    title: tags.title || getTrackTitle(file.name),
+    artist: tags.artist || '',
+    album: tags.album || '',
+    trackNumber: tags.trackNumber ?? null,
+    year: tags.year ?? null,
+    genre: tags.genre || '',
+    // Filled in from REPLAYGAIN_* tags here, or by analysis after import
+    loudness: loudnessFromTags(tags.replayGain),
+    // Peak overview for the seek bar, computed by analysis after import
+    waveform: null,
+    artwork,
+    artworkUrl: artwork ? URL.createObjectURL(artwork) : null,
     fileName: file.name,
     duration: duration,
     url: URL.createObjectURL(file),
     size: file.size,
     type: file.type,
-    addedAt: new Date().toISOString()
+    contentHash,
+    addedAt: new Date().toISOString(),
+    // Listens counted by the player, for sorting by play count
+    playCount: 0,
+    lastPlayedAt: null,
+    // Speed saved for this track, or null to follow the playlist
+    playbackRate: null,
+    // Named positions, see createBookmark in bookmarks.js
+    bookmarks: []
   };
 };
 
+/**
+ * Builds the secondary line shown under a track title
+ * @param {Object} track - Track object
+ * @returns {string} - "Artist • Album (Year)", or an empty string
+ */
+export const getTrackSubtitle = (track) => {
+  if (!track) return '';
+
+  const album = track.album && track.year ? `${track.album} (${track.year})` : track.album;
+  return [track.artist, album].filter(Boolean).join(' • ');
+};
+
 /**
  * Shuffles array using Fisher-Yates algorithm
  * @param {Array} array - Array to shuffle
@@ -145,6 +228,9 @@ export const shuffleArray = (array) => {
   return shuffled;
 };
 
+// Repeat modes in the order the repeat button cycles through them
+export const REPEAT_MODES = ['none', 'all', 'one'];
+
 /**
  * Gets next track index based on current index and mode
  * @param {number} currentIndex - Current track index
@@ -195,6 +281,9 @@ export const cleanupTrackUrls = (tracks) => {
     if (track.url && track.url.startsWith('blob:')) {
       URL.revokeObjectURL(track.url);
     }
+    if (track.artworkUrl && track.artworkUrl.startsWith('blob:')) {
+      URL.revokeObjectURL(track.artworkUrl);
+    }
   });
 };
 
@@ -0,0 +1,64 @@
+// Named positions inside a track, saved with the track record
+
+import { formatTime } from './audioUtils';
+
+export const BOOKMARK_EXPORT_FORMATS = {
+  txt: { label: 'Chapter list', extension: 'txt', mimeType: 'text/plain' },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json' }
+};
+
+const generateBookmarkId = () => (
+  `bookmark-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`
+);
+
+/**
+ * Creates a bookmark
+ * @param {number} time - Position in seconds
+ * @param {string} [name] - Name; defaults to the position
+ * @returns {Object} - { id, name, time, createdAt }
+ */
+export const createBookmark = (time, name = '') => ({
+  id: generateBookmarkId(),
+  name: name.trim() || `Bookmark at ${formatTime(time)}`,
+  time: Math.max(0, time),
+  createdAt: new Date().toISOString()
+});
+
+/**
+ * Reads a track's stored bookmarks, dropping malformed ones
+ * @param {Array} bookmarks - Bookmarks from the track record
+ * @returns {Array<Object>} - Bookmarks in track order
+ */
+export const normalizeBookmarks = (bookmarks) => {
+  if (!Array.isArray(bookmarks)) return [];
+
+  return bookmarks
+    .filter(bookmark => (
+      bookmark
+      && typeof bookmark.id === 'string'
+      && typeof bookmark.name === 'string'
+      && Number.isFinite(bookmark.time)
+    ))
+    .sort((a, b) => a.time - b.time);
+};
+
+/**
+ * Writes a track's bookmarks as a file
+ * @param {string} format - Key of BOOKMARK_EXPORT_FORMATS
+ * @param {Object} track - Track the bookmarks belong to
+ * @param {Array<Object>} bookmarks - Bookmarks in track order
+ * @returns {string} - File contents
+ */
+export const serializeBookmarks = (format, track, bookmarks) => {
+  if (format === 'json') {
+    return JSON.stringify({
+      title: track.title,
+      artist: track.artist || '',
+      fileName: track.fileName,
+      bookmarks: bookmarks.map(({ name, time }) => ({ name, time }))
+    }, null, 2);
+  }
+
+  // One "M:SS Name" line per bookmark, as used for chapter lists
+  return bookmarks.map(({ name, time }) => `${formatTime(time)} ${name}`).join('\n');
+};
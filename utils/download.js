@@ -0,0 +1,18 @@
+// Saving generated files through the browser's download prompt
+
+/**
+ * Offers text as a file download
+ * @param {string} text - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type without charset
+ */
+export const downloadText = (text, fileName, mimeType) => {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,65 @@
+// Graphic equalizer bands and presets
+
+// Centre frequencies of the ten octave bands, in Hz
+export const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+// Q of a one-octave-wide peaking filter
+export const EQ_Q = 1.41;
+
+export const EQ_GAIN_LIMIT = 12;
+export const PREAMP_LIMIT = 12;
+
+export const FLAT_GAINS = EQ_FREQUENCIES.map(() => 0);
+
+export const BUILT_IN_EQ_PRESETS = [
+  { id: 'flat', name: 'Flat', preamp: 0, gains: FLAT_GAINS },
+  { id: 'bass-boost', name: 'Bass Boost', preamp: -4, gains: [6, 5, 4, 2.5, 1, 0, 0, 0, 0, 0] },
+  { id: 'treble-boost', name: 'Treble Boost', preamp: -4, gains: [0, 0, 0, 0, 0, 1, 2.5, 4, 5, 6] },
+  { id: 'vocal', name: 'Vocal', preamp: -2, gains: [-2, -2, -1, 1, 3, 3.5, 3, 1.5, 0, -1] },
+  { id: 'classical', name: 'Classical', preamp: 0, gains: [4, 3, 2, 1, -1, -1, 0, 2, 3, 3.5] },
+  { id: 'rock', name: 'Rock', preamp: -3, gains: [4.5, 3.5, 2, 0, -1, -0.5, 1.5, 3, 3.5, 4] },
+  { id: 'pop', name: 'Pop', preamp: -2, gains: [-1, 0, 1.5, 3, 3.5, 2.5, 1, 0, -0.5, -1] },
+  { id: 'jazz', name: 'Jazz', preamp: -1, gains: [3, 2, 1, 1.5, -1, -1, 0, 1, 2, 2.5] },
+  { id: 'electronic', name: 'Electronic', preamp: -4, gains: [5, 4, 1, 0, -2, 1.5, 0.5, 1, 4, 5] },
+  { id: 'podcast', name: 'Spoken Word', preamp: -1, gains: [-4, -3, -1, 0, 2, 3.5, 3.5, 2, 0, -2] }
+];
+
+export const DEFAULT_EQUALIZER = {
+  enabled: false,
+  presetId: 'flat',
+  preamp: 0,
+  gains: FLAT_GAINS
+};
+
+/**
+ * Formats a band's centre frequency for a slider label
+ * @param {number} frequency - Frequency in Hz
+ * @returns {string} - e.g. "125" or "2k"
+ */
+export const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${frequency / 1000}k` : String(frequency)
+);
+
+/**
+ * Converts a gain in decibels to a linear amplitude factor
+ * @param {number} decibels - Gain in dB
+ * @returns {number} - Linear gain
+ */
+export const dbToGain = (decibels) => Math.pow(10, decibels / 20);
+
+/**
+ * Clamps equalizer settings into the supported ranges
+ * @param {Object} equalizer - Possibly incomplete equalizer settings
+ * @returns {Object} - Complete equalizer settings
+ */
+export const normalizeEqualizer = (equalizer) => {
+  const source = { ...DEFAULT_EQUALIZER, ...(equalizer || {}) };
+  const clamp = (value, limit) => Math.max(-limit, Math.min(limit, Number(value) || 0));
+
+  return {
+    enabled: Boolean(source.enabled),
+    presetId: source.presetId || null,
+    preamp: clamp(source.preamp, PREAMP_LIMIT),
+    gains: EQ_FREQUENCIES.map((_, index) => clamp(source.gains[index], EQ_GAIN_LIMIT))
+  };
+};
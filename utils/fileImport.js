@@ -0,0 +1,90 @@
+// Gathering files to import: dropped folders, folder pickers and content hashes
+
+/**
+ * Sorts files by their path inside the picked folder, so albums import in
+ * track order
+ * @param {Array<File>} files - Files, possibly with webkitRelativePath set
+ * @returns {Array<File>} - Sorted copy
+ */
+export const sortFilesByPath = (files) => {
+  const getPath = (file) => file.webkitRelativePath || file.name;
+  return [...files].sort((a, b) => getPath(a).localeCompare(getPath(b), undefined, { numeric: true }));
+};
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+/**
+ * Lists every entry in a directory; readEntries hands them out in batches
+ * @param {FileSystemDirectoryEntry} directory - Directory entry
+ * @returns {Promise<Array<FileSystemEntry>>} - Entries sorted by name
+ */
+const readDirectoryEntries = async (directory) => {
+  const reader = directory.createReader();
+  const entries = [];
+
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    entries.push(...batch);
+  }
+
+  return entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+};
+
+/**
+ * Collects the files under a dropped entry, descending into folders
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @returns {Promise<Array<File>>} - Files found
+ */
+export const readEntryRecursively = async (entry) => {
+  if (entry.isFile) {
+    try {
+      return [await readEntryFile(entry)];
+    } catch (err) {
+      console.error(`Failed to read dropped file "${entry.fullPath}":`, err);
+      return [];
+    }
+  }
+  if (!entry.isDirectory) return [];
+
+  const files = [];
+  for (const child of await readDirectoryEntries(entry)) {
+    files.push(...await readEntryRecursively(child));
+  }
+  return files;
+};
+
+/**
+ * Collects the files from a drop, including everything inside dropped
+ * folders. Entries must be taken from the DataTransfer before the drop
+ * handler returns, so call this synchronously from it.
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<Array<File>>} - Dropped files
+ */
+export const collectDroppedFiles = (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+    .map(item => item.webkitGetAsEntry())
+    .filter(Boolean);
+
+  if (entries.length === 0) return Promise.resolve(Array.from(dataTransfer.files || []));
+
+  return entries.reduce(
+    (promise, entry) => promise.then(async files => [...files, ...await readEntryRecursively(entry)]),
+    Promise.resolve([])
+  );
+};
+
+/**
+ * SHA-256 of a file's bytes; identical recordings hash the same whatever
+ * their name or when they were added
+ * @param {Blob} file - File to hash
+ * @returns {Promise<string|null>} - Hex digest, or null where Web Crypto is unavailable
+ */
+export const hashFile = async (file) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
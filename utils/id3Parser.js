@@ -0,0 +1,424 @@
+// Pure-JS ID3v1 / ID3v2 (2.2, 2.3, 2.4) tag reader for uploaded files
+
+const ID3V1_SIZE = 128;
+const ID3V2_HEADER_SIZE = 10;
+
+// Standard ID3v1 genres plus the Winamp extensions (indices 0-191)
+export const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+  'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+  'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+  'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock', 'Folk',
+  'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebop', 'Latin', 'Revival',
+  'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+  'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+  'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+  'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+  'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A Cappella', 'Euro-House', 'Dance Hall',
+  'Goa', 'Drum & Bass', 'Club-House', 'Hardcore Techno', 'Terror', 'Indie', 'BritPop',
+  'Negerpunk', 'Polsk Punk', 'Beat', 'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal',
+  'Crossover', 'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa',
+  'Thrash Metal', 'Anime', 'JPop', 'Synthpop', 'Abstract', 'Art Rock', 'Baroque',
+  'Bhangra', 'Big Beat', 'Breakbeat', 'Chillout', 'Downtempo', 'Dub', 'EBM', 'Eclectic',
+  'Electro', 'Electroclash', 'Emo', 'Experimental', 'Garage', 'Global', 'IDM',
+  'Illbient', 'Industro-Goth', 'Jam Band', 'Krautrock', 'Leftfield', 'Lounge', 'Math Rock',
+  'New Romantic', 'Nu-Breakz', 'Post-Punk', 'Post-Rock', 'Psytrance', 'Shoegaze',
+  'Space Rock', 'Trop Rock', 'World Music', 'Neoclassical', 'Audiobook', 'Audio Theatre',
+  'Neue Deutsche Welle', 'Podcast', 'Indie Rock', 'G-Funk', 'Dubstep', 'Garage Rock',
+  'Psybient'
+];
+
+// Frame ids per tag version mapped to the track fields they fill
+const TEXT_FRAMES = {
+  2: { TT2: 'title', TP1: 'artist', TAL: 'album', TRK: 'track', TYE: 'year', TCO: 'genre' },
+  3: { TIT2: 'title', TPE1: 'artist', TALB: 'album', TRCK: 'track', TYER: 'year', TCON: 'genre' },
+  4: { TIT2: 'title', TPE1: 'artist', TALB: 'album', TRCK: 'track', TDRC: 'year', TCON: 'genre' }
+};
+
+const PICTURE_FORMATS = { JPG: 'image/jpeg', PNG: 'image/png', GIF: 'image/gif', BMP: 'image/bmp' };
+
+// Picture type 3 is "Cover (front)"
+const FRONT_COVER = 3;
+
+const readBytes = async (file, start, end) => {
+  const buffer = await file.slice(start, end).arrayBuffer();
+  return new Uint8Array(buffer);
+};
+
+const readSynchsafe = (bytes, offset) => (
+  ((bytes[offset] & 0x7f) << 21) |
+  ((bytes[offset + 1] & 0x7f) << 14) |
+  ((bytes[offset + 2] & 0x7f) << 7) |
+  (bytes[offset + 3] & 0x7f)
+);
+
+const readUint32 = (bytes, offset) => (
+  ((bytes[offset] << 24) >>> 0) +
+  (bytes[offset + 1] << 16) +
+  (bytes[offset + 2] << 8) +
+  bytes[offset + 3]
+);
+
+const readUint24 = (bytes, offset) => (
+  (bytes[offset] << 16) + (bytes[offset + 1] << 8) + bytes[offset + 2]
+);
+
+const readAscii = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+/**
+ * Reverses ID3 unsynchronisation (every 0xFF 0x00 pair becomes 0xFF)
+ * @param {Uint8Array} bytes - Unsynchronised bytes
+ * @returns {Uint8Array} - Original bytes
+ */
+const removeUnsynchronisation = (bytes) => {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return output.subarray(0, length);
+};
+
+/**
+ * Decodes text in one of the four ID3 encodings
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {number} encoding - 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+ * @returns {string} - Decoded text
+ */
+const decodeText = (bytes, encoding) => {
+  if (bytes.length === 0) return '';
+
+  let label = 'iso-8859-1';
+  let data = bytes;
+
+  if (encoding === 1) {
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      label = 'utf-16be';
+      data = bytes.subarray(2);
+    } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      label = 'utf-16le';
+      data = bytes.subarray(2);
+    } else {
+      label = 'utf-16le';
+    }
+  } else if (encoding === 2) {
+    label = 'utf-16be';
+  } else if (encoding === 3) {
+    label = 'utf-8';
+  }
+
+  return new TextDecoder(label).decode(data);
+};
+
+const isWideEncoding = (encoding) => encoding === 1 || encoding === 2;
+
+/**
+ * Finds the end of a null-terminated string in the given encoding
+ * @returns {number} - Offset of the terminator, or bytes.length if none
+ */
+const findTerminator = (bytes, offset, encoding) => {
+  if (isWideEncoding(encoding)) {
+    for (let i = offset; i + 1 < bytes.length; i += 2) {
+      if (bytes[i] === 0 && bytes[i + 1] === 0) return i;
+    }
+    return bytes.length;
+  }
+
+  const index = bytes.indexOf(0, offset);
+  return index === -1 ? bytes.length : index;
+};
+
+/**
+ * Reads a text frame; v2.4 allows several null-separated values
+ * @param {Uint8Array} data - Frame body
+ * @returns {string} - Values joined with " / "
+ */
+const parseTextFrame = (data) => {
+  const encoding = data[0];
+  const values = [];
+  const step = isWideEncoding(encoding) ? 2 : 1;
+  let offset = 1;
+
+  while (offset < data.length) {
+    const end = findTerminator(data, offset, encoding);
+    const value = decodeText(data.subarray(offset, end), encoding).trim();
+    if (value) values.push(value);
+    offset = end + step;
+  }
+
+  return values.join(' / ');
+};
+
+/**
+ * Reads a user-defined text frame (TXXX, or TXX in v2.2)
+ * @param {Uint8Array} data - Frame body
+ * @returns {Object} - { description, value }
+ */
+const parseUserTextFrame = (data) => {
+  const encoding = data[0];
+  const descriptionEnd = findTerminator(data, 1, encoding);
+  const description = decodeText(data.subarray(1, descriptionEnd), encoding).trim();
+  const valueStart = descriptionEnd + (isWideEncoding(encoding) ? 2 : 1);
+  const value = decodeText(data.subarray(valueStart), encoding).replace(/\0+$/, '').trim();
+  return { description, value };
+};
+
+/**
+ * Reads an APIC (v2.3/2.4) or PIC (v2.2) frame
+ * @param {Uint8Array} data - Frame body
+ * @param {number} version - Tag major version
+ * @returns {Object|null} - { mimeType, type, description, data }
+ */
+const parsePictureFrame = (data, version) => {
+  const encoding = data[0];
+  let offset = 1;
+  let mimeType;
+
+  if (version === 2) {
+    const format = readAscii(data, 1, 4).toUpperCase();
+    mimeType = PICTURE_FORMATS[format] || `image/${format.toLowerCase()}`;
+    offset = 4;
+  } else {
+    const mimeEnd = findTerminator(data, offset, 0);
+    mimeType = readAscii(data, offset, mimeEnd).toLowerCase() || 'image/jpeg';
+    if (!mimeType.includes('/')) mimeType = `image/${mimeType}`;
+    offset = mimeEnd + 1;
+  }
+
+  const type = data[offset];
+  offset += 1;
+
+  const descriptionEnd = findTerminator(data, offset, encoding);
+  const description = decodeText(data.subarray(offset, descriptionEnd), encoding);
+  offset = descriptionEnd + (isWideEncoding(encoding) ? 2 : 1);
+
+  if (offset >= data.length) return null;
+
+  return {
+    mimeType: mimeType === 'image/jpg' ? 'image/jpeg' : mimeType,
+    type,
+    description,
+    data: data.slice(offset)
+  };
+};
+
+/**
+ * Resolves ID3 genre references such as "(17)", "17" or "(17)Rock"
+ * @param {string} value - Raw TCON value
+ * @returns {string} - Genre name
+ */
+export const resolveGenre = (value) => {
+  if (!value) return '';
+
+  const resolved = value
+    .split(' / ')
+    .map((part) => {
+      const refined = part.replace(/^\((\d+)\)(.+)$/, '$2');
+      const match = refined.match(/^\(?(\d+)\)?$/);
+      if (match) return ID3_GENRES[Number(match[1])] || '';
+      if (refined === 'RX') return 'Remix';
+      if (refined === 'CR') return 'Cover';
+      return refined;
+    })
+    .filter(Boolean);
+
+  return [...new Set(resolved)].join(', ');
+};
+
+/**
+ * Walks the frames of an ID3v2 tag body
+ * @param {Uint8Array} body - Tag bytes after the header
+ * @param {number} version - Tag major version (2, 3 or 4)
+ * @param {boolean} tagUnsynchronised - Whether the tag header's unsync flag is set
+ * @returns {Object} - Parsed text fields, user-defined text and pictures
+ */
+const parseFrames = (body, version, tagUnsynchronised) => {
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const textFrames = TEXT_FRAMES[version];
+  const fields = {};
+  // TXXX values keyed by upper-cased description
+  const userText = {};
+  const pictures = [];
+  let offset = 0;
+
+  while (offset + headerLength <= body.length) {
+    // Padding starts with a zero byte where the next frame id would be
+    if (body[offset] === 0) break;
+
+    const id = readAscii(body, offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break;
+
+    let size;
+    if (version === 2) {
+      size = readUint24(body, offset + 3);
+    } else if (version === 4) {
+      size = readSynchsafe(body, offset + 4);
+    } else {
+      size = readUint32(body, offset + 4);
+    }
+
+    const formatFlags = version === 2 ? 0 : body[offset + 9];
+    const frameStart = offset + headerLength;
+    offset = frameStart + size;
+    if (offset > body.length) break;
+    if (size === 0) continue;
+
+    let data = body.subarray(frameStart, frameStart + size);
+
+    if (version === 3) {
+      // Compressed (0x80) or encrypted (0x40) frames cannot be read here
+      if (formatFlags & 0xc0) continue;
+      if (formatFlags & 0x20) data = data.subarray(1);
+    } else if (version === 4) {
+      if (formatFlags & 0x0c) continue;
+      if (formatFlags & 0x40) data = data.subarray(1);
+      if (formatFlags & 0x01) data = data.subarray(4);
+      if ((formatFlags & 0x02) || tagUnsynchronised) data = removeUnsynchronisation(data);
+    }
+
+    if (data.length === 0) continue;
+
+    if (textFrames[id]) {
+      fields[textFrames[id]] = parseTextFrame(data);
+    } else if (id === 'TXXX' || id === 'TXX') {
+      const { description, value } = parseUserTextFrame(data);
+      if (description) userText[description.toUpperCase()] = value;
+    } else if (id === 'APIC' || id === 'PIC') {
+      const picture = parsePictureFrame(data, version);
+      if (picture) pictures.push(picture);
+    }
+  }
+
+  return { fields, userText, pictures };
+};
+
+/**
+ * Reads the ID3v2 tag at the start of a file
+ * @param {Blob} file - Audio file
+ * @returns {Promise<Object|null>} - Parsed tag, or null if none
+ */
+export const readId3v2 = async (file) => {
+  const header = await readBytes(file, 0, ID3V2_HEADER_SIZE);
+  if (header.length < ID3V2_HEADER_SIZE || readAscii(header, 0, 3) !== 'ID3') return null;
+
+  const version = header[3];
+  if (version < 2 || version > 4) return null;
+
+  const flags = header[5];
+  const tagSize = readSynchsafe(header, 6);
+  let body = await readBytes(file, ID3V2_HEADER_SIZE, ID3V2_HEADER_SIZE + tagSize);
+
+  const tagUnsynchronised = Boolean(flags & 0x80);
+  // Before v2.4 unsynchronisation applies to the whole tag at once
+  if (tagUnsynchronised && version < 4) {
+    body = removeUnsynchronisation(body);
+  }
+
+  if (flags & 0x40 && version > 2) {
+    const extendedSize = version === 4
+      ? readSynchsafe(body, 0)
+      : readUint32(body, 0) + 4;
+    body = body.subarray(extendedSize);
+  }
+
+  return { version, ...parseFrames(body, version, tagUnsynchronised) };
+};
+
+/**
+ * Reads the 128-byte ID3v1 / v1.1 tag at the end of a file
+ * @param {Blob} file - Audio file
+ * @returns {Promise<Object|null>} - Parsed fields, or null if none
+ */
+export const readId3v1 = async (file) => {
+  if (file.size < ID3V1_SIZE) return null;
+
+  const bytes = await readBytes(file, file.size - ID3V1_SIZE, file.size);
+  if (readAscii(bytes, 0, 3) !== 'TAG') return null;
+
+  const readField = (start, length) => {
+    const field = bytes.subarray(start, start + length);
+    const end = field.indexOf(0);
+    return decodeText(end === -1 ? field : field.subarray(0, end), 0).trim();
+  };
+
+  // v1.1 stores the track number in the last comment byte after a zero
+  const hasTrack = bytes[125] === 0 && bytes[126] !== 0;
+
+  return {
+    title: readField(3, 30),
+    artist: readField(33, 30),
+    album: readField(63, 30),
+    year: readField(93, 4),
+    track: hasTrack ? String(bytes[126]) : '',
+    genre: ID3_GENRES[bytes[127]] || ''
+  };
+};
+
+const parseReplayGainValue = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Picks the REPLAYGAIN_* values out of a tag's user-defined text frames
+ * @param {Object} userText - TXXX values keyed by upper-cased description
+ * @returns {Object|null} - { trackGain, trackPeak, albumGain, albumPeak }
+ *   with gains in dB and linear peaks, or null if the tag has none
+ */
+const readReplayGain = (userText) => {
+  const replayGain = {
+    trackGain: parseReplayGainValue(userText.REPLAYGAIN_TRACK_GAIN),
+    trackPeak: parseReplayGainValue(userText.REPLAYGAIN_TRACK_PEAK),
+    albumGain: parseReplayGainValue(userText.REPLAYGAIN_ALBUM_GAIN),
+    albumPeak: parseReplayGainValue(userText.REPLAYGAIN_ALBUM_PEAK)
+  };
+  return Object.values(replayGain).some(value => value !== null) ? replayGain : null;
+};
+
+/**
+ * Reads title, artist, album, track number, year, genre, artwork and
+ * ReplayGain values from a file's ID3 tags. ID3v2 values win; ID3v1 fills in whatever is missing.
+ * @param {Blob} file - Audio file
+ * @returns {Promise<Object>} - Tag fields; missing values are left empty
+ */
+export const readId3Tags = async (file) => {
+  const [v2, v1] = await Promise.all([
+    readId3v2(file).catch(() => null),
+    readId3v1(file).catch(() => null)
+  ]);
+
+  const fields = { ...(v1 || {}) };
+  if (v2) {
+    Object.entries(v2.fields).forEach(([key, value]) => {
+      if (value) fields[key] = value;
+    });
+  }
+
+  const [trackNumber, trackTotal] = (fields.track || '').split('/').map(part => parseInt(part, 10));
+  const yearMatch = (fields.year || '').match(/\d{4}/);
+
+  const pictures = v2 ? v2.pictures : [];
+  const picture = pictures.find(item => item.type === FRONT_COVER) || pictures[0] || null;
+
+  return {
+    title: fields.title || '',
+    artist: fields.artist || '',
+    album: fields.album || '',
+    trackNumber: Number.isNaN(trackNumber) || trackNumber === undefined ? null : trackNumber,
+    trackTotal: Number.isNaN(trackTotal) || trackTotal === undefined ? null : trackTotal,
+    year: yearMatch ? Number(yearMatch[0]) : null,
+    genre: resolveGenre(fields.genre),
+    picture,
+    replayGain: v2 ? readReplayGain(v2.userText) : null
+  };
+};
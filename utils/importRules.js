@@ -0,0 +1,50 @@
+// User-configurable rules deciding which files an import accepts
+
+import { AUDIO_FORMATS } from './audioFormats';
+
+// What happens to a file whose recording is already in the library
+export const DUPLICATE_POLICIES = {
+  skip: { label: 'Skip it' },
+  replace: { label: 'Replace the existing track' },
+  'keep-both': { label: 'Keep both' }
+};
+
+export const DEFAULT_IMPORT_RULES = {
+  // Megabytes; 0 lifts the limit
+  maxFileSizeMb: 50,
+  // Seconds; 0 lifts the limit
+  minDuration: 0,
+  maxDuration: 0,
+  // Keys of AUDIO_FORMATS
+  allowedFormats: Object.keys(AUDIO_FORMATS),
+  duplicatePolicy: 'skip'
+};
+
+const toLimit = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * Fills in and sanitises import rules saved by an older version of the app
+ * @param {Object} stored - Rules read from settings
+ * @returns {Object} - Complete rules object
+ */
+export const normalizeImportRules = (stored) => {
+  const rules = {
+    ...DEFAULT_IMPORT_RULES,
+    ...(stored && typeof stored === 'object' ? stored : {})
+  };
+
+  return {
+    maxFileSizeMb: toLimit(rules.maxFileSizeMb, DEFAULT_IMPORT_RULES.maxFileSizeMb),
+    minDuration: toLimit(rules.minDuration, DEFAULT_IMPORT_RULES.minDuration),
+    maxDuration: toLimit(rules.maxDuration, DEFAULT_IMPORT_RULES.maxDuration),
+    allowedFormats: Array.isArray(rules.allowedFormats)
+      ? rules.allowedFormats.filter(format => AUDIO_FORMATS[format])
+      : DEFAULT_IMPORT_RULES.allowedFormats,
+    duplicatePolicy: DUPLICATE_POLICIES[rules.duplicatePolicy]
+      ? rules.duplicatePolicy
+      : DEFAULT_IMPORT_RULES.duplicatePolicy
+  };
+};
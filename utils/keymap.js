@@ -0,0 +1,155 @@
+// Keyboard shortcut definitions and key handling helpers
+
+// Seconds moved by the seek shortcuts
+export const SEEK_STEP_SECONDS = 5;
+// Volume change per press of the volume shortcuts
+export const VOLUME_STEP = 0.05;
+
+// Rebindable actions in the order they are listed
+export const SHORTCUT_ACTIONS = [
+  { id: 'togglePlay', label: 'Play / pause' },
+  { id: 'seekForward', label: `Forward ${SEEK_STEP_SECONDS} seconds` },
+  { id: 'seekBackward', label: `Back ${SEEK_STEP_SECONDS} seconds` },
+  { id: 'volumeUp', label: 'Volume up' },
+  { id: 'volumeDown', label: 'Volume down' },
+  { id: 'nextTrack', label: 'Next track' },
+  { id: 'previousTrack', label: 'Previous track' },
+  { id: 'toggleMute', label: 'Mute / unmute' },
+  { id: 'toggleShuffle', label: 'Shuffle on / off' },
+  { id: 'cycleRepeat', label: 'Cycle repeat mode' },
+  { id: 'showHelp', label: 'Show keyboard shortcuts' }
+];
+
+export const DEFAULT_KEYMAP = {
+  togglePlay: 'Space',
+  seekForward: 'ArrowRight',
+  seekBackward: 'ArrowLeft',
+  volumeUp: 'ArrowUp',
+  volumeDown: 'ArrowDown',
+  nextTrack: 'n',
+  previousTrack: 'p',
+  toggleMute: 'm',
+  toggleShuffle: 's',
+  cycleRepeat: 'r',
+  showHelp: '?'
+};
+
+// Digits jump to a tenth of the track and cannot be rebound
+export const DIGIT_KEYS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+const KEY_LABELS = {
+  Space: 'Space',
+  ArrowRight: '→',
+  ArrowLeft: '←',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Enter: 'Enter',
+  Backspace: 'Backspace',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'Page Up',
+  PageDown: 'Page Down'
+};
+
+/**
+ * Turns a keyboard event into the key name used in keymaps
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {string|null} - Key name, or null for keys that cannot be bound
+ */
+export const getEventKey = (event) => {
+  if (event.ctrlKey || event.metaKey || event.altKey) return null;
+  if (['Shift', 'Control', 'Alt', 'Meta', 'Tab', 'Escape', 'CapsLock'].includes(event.key)) return null;
+  if (event.key === ' ' || event.key === 'Spacebar') return 'Space';
+  return event.key.length === 1 ? event.key.toLowerCase() : event.key;
+};
+
+/**
+ * Formats a key name for display
+ * @param {string} key - Key name from a keymap
+ * @returns {string} - Human-readable label
+ */
+export const formatKey = (key) => KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+
+/**
+ * Checks whether typing is going on in the element a key event came from
+ * @param {EventTarget} target - Event target
+ * @returns {boolean} - True for text inputs, text areas, selects and
+ *   contenteditable elements
+ */
+export const isTextEntryTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  if (target.isContentEditable) return true;
+
+  const tagName = target.tagName.toLowerCase();
+  if (tagName === 'textarea' || tagName === 'select') return true;
+  if (tagName !== 'input') return false;
+
+  const nonTextTypes = ['button', 'checkbox', 'radio', 'range', 'submit', 'reset', 'file', 'color', 'image'];
+  return !nonTextTypes.includes((target.type || 'text').toLowerCase());
+};
+
+/**
+ * Checks whether a key already does something on the focused element, so
+ * the global shortcut should leave it alone (e.g. Space on a button)
+ * @param {EventTarget} target - Event target
+ * @param {string} key - Key name
+ * @returns {boolean} - True if the element handles the key itself
+ */
+export const isHandledByTarget = (target, key) => {
+  if (!target || !target.tagName) return false;
+  const tagName = target.tagName.toLowerCase();
+  const role = target.getAttribute && target.getAttribute('role');
+
+  if (key === 'Space' || key === 'Enter') {
+    return ['button', 'a', 'summary'].includes(tagName) || role === 'button' ||
+      (tagName === 'input' && ['checkbox', 'radio', 'button', 'submit'].includes(target.type));
+  }
+  if (key.startsWith('Arrow') || key === 'Home' || key === 'End' || key.startsWith('Page')) {
+    return (tagName === 'input' && target.type === 'range') || role === 'slider';
+  }
+  return false;
+};
+
+/**
+ * Fills in defaults and drops unknown actions and digit keys from a stored keymap
+ * @param {Object} keymap - Keymap read from settings
+ * @returns {Object} - Complete keymap
+ */
+export const normalizeKeymap = (keymap) => {
+  const source = keymap && typeof keymap === 'object' ? keymap : {};
+  return Object.fromEntries(
+    Object.entries(DEFAULT_KEYMAP).map(([action, key]) => [
+      action,
+      typeof source[action] === 'string' && source[action] && !DIGIT_KEYS.includes(source[action])
+        ? source[action]
+        : key
+    ])
+  );
+};
+
+/**
+ * Binds a key to an action. An action that already used the key takes the
+ * rebound action's old key, so no two actions share a key. Digit keys are
+ * refused, leaving the keymap as it was.
+ * @param {Object} keymap - Current keymap
+ * @param {string} action - Action ID
+ * @param {string} key - New key name
+ * @returns {Object} - Updated keymap
+ */
+export const rebindKey = (keymap, action, key) => {
+  if (DIGIT_KEYS.includes(key)) return keymap;
+  const previousOwner = Object.keys(keymap).find(id => id !== action && keymap[id] === key);
+  const updated = { ...keymap, [action]: key };
+  if (previousOwner) updated[previousOwner] = keymap[action];
+  return updated;
+};
+
+/**
+ * Looks up the action bound to a key
+ * @param {Object} keymap - Keymap
+ * @param {string} key - Key name
+ * @returns {string|undefined} - Action ID
+ */
+export const findActionForKey = (keymap, key) => (
+  Object.keys(keymap).find(action => keymap[action] === key)
+);
@@ -0,0 +1,375 @@
+// Local library store: track records and audio bytes persisted in IndexedDB
+
+import { getTrackTitle } from './audioUtils';
+
+const DB_NAME = 'mp3-player-library';
+const DB_VERSION = 1;
+
+const TRACKS_STORE = 'tracks';
+const AUDIO_STORE = 'audio';
+const PLAYLISTS_STORE = 'playlists';
+
+// The library's own track order; named playlists share the same store
+export const DEFAULT_PLAYLIST_ID = 'default';
+
+// Keys the old localStorage-only implementations wrote their playlists to
+const LEGACY_PLAYLIST_KEYS = ['mp3-player-playlist', 'mp3-playlist'];
+
+// Runtime-only fields that must never be written to the database
+const RUNTIME_FIELDS = ['url', 'artworkUrl', 'file', 'missing'];
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Opens (and upgrades if needed) the library database
+ * @returns {Promise<IDBDatabase>} - Open database connection
+ */
+export const openLibrary = () => {
+  if (typeof window === 'undefined' || !window.indexedDB) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(TRACKS_STORE)) {
+          db.createObjectStore(TRACKS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          // Audio blobs are keyed out-of-line by track id
+          db.createObjectStore(AUDIO_STORE);
+        }
+        if (!db.objectStoreNames.contains(PLAYLISTS_STORE)) {
+          db.createObjectStore(PLAYLISTS_STORE, { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Strips runtime-only fields from a track before it is persisted
+ * @param {Object} track - Track object
+ * @returns {Object} - Serializable track record
+ */
+export const toTrackRecord = (track) => {
+  const record = { ...track };
+  RUNTIME_FIELDS.forEach(field => delete record[field]);
+  return record;
+};
+
+/**
+ * Turns a stored record into a playable track with a fresh object URL
+ * @param {Object} record - Stored track record
+ * @param {Blob} [blob] - Stored audio bytes
+ * @returns {Object} - Track object
+ */
+const hydrateTrack = (record, blob) => ({
+  ...record,
+  url: blob ? URL.createObjectURL(blob) : null,
+  artworkUrl: record.artwork ? URL.createObjectURL(record.artwork) : null,
+  missing: !blob
+});
+
+/**
+ * Converts a track saved by the old localStorage implementations
+ * @param {Object} legacyTrack - Track parsed from localStorage
+ * @returns {Object|null} - Track record, or null if unusable
+ */
+const fromLegacyTrack = (legacyTrack) => {
+  if (!legacyTrack || legacyTrack.id === undefined) return null;
+
+  const fileName = legacyTrack.fileName || legacyTrack.name || '';
+  return {
+    id: String(legacyTrack.id),
+    title: legacyTrack.title || legacyTrack.name || getTrackTitle(fileName),
+    fileName,
+    duration: legacyTrack.duration || 0,
+    size: legacyTrack.size || 0,
+    type: legacyTrack.type || '',
+    addedAt: legacyTrack.addedAt || new Date().toISOString()
+  };
+};
+
+/**
+ * Moves playlists saved in localStorage into the library. Their blob: URLs
+ * died with the page that created them, so the tracks come back as missing
+ * until the same file is added again.
+ * @returns {Promise<number>} - Number of migrated tracks
+ */
+export const migrateLegacyPlaylists = async () => {
+  const legacyTracks = [];
+
+  LEGACY_PLAYLIST_KEYS.forEach(key => {
+    const saved = window.localStorage.getItem(key);
+    if (!saved) return;
+
+    try {
+      const parsed = JSON.parse(saved);
+      if (Array.isArray(parsed)) {
+        legacyTracks.push(...parsed.map(fromLegacyTrack).filter(Boolean));
+      }
+    } catch (error) {
+      console.error(`Error parsing legacy playlist "${key}":`, error);
+    }
+  });
+
+  if (legacyTracks.length > 0) {
+    const db = await openLibrary();
+    const transaction = db.transaction([TRACKS_STORE, PLAYLISTS_STORE], 'readwrite');
+    const tracksStore = transaction.objectStore(TRACKS_STORE);
+    const playlistsStore = transaction.objectStore(PLAYLISTS_STORE);
+
+    const playlist = await requestToPromise(playlistsStore.get(DEFAULT_PLAYLIST_ID));
+    const trackIds = playlist ? [...playlist.trackIds] : [];
+
+    legacyTracks.forEach(record => {
+      if (trackIds.includes(record.id)) return;
+      tracksStore.put(record);
+      trackIds.push(record.id);
+    });
+    playlistsStore.put({ id: DEFAULT_PLAYLIST_ID, trackIds });
+
+    await transactionDone(transaction);
+  }
+
+  LEGACY_PLAYLIST_KEYS.forEach(key => window.localStorage.removeItem(key));
+  return legacyTracks.length;
+};
+
+/**
+ * Loads the playlist from the library, minting fresh object URLs
+ * @returns {Promise<Array>} - Playlist tracks in saved order
+ */
+export const loadLibrary = async () => {
+  await migrateLegacyPlaylists();
+
+  const db = await openLibrary();
+  const transaction = db.transaction([TRACKS_STORE, AUDIO_STORE, PLAYLISTS_STORE], 'readonly');
+  const audioStore = transaction.objectStore(AUDIO_STORE);
+
+  const [records, audioKeys, audioBlobs, playlist] = await Promise.all([
+    requestToPromise(transaction.objectStore(TRACKS_STORE).getAll()),
+    requestToPromise(audioStore.getAllKeys()),
+    requestToPromise(audioStore.getAll()),
+    requestToPromise(transaction.objectStore(PLAYLISTS_STORE).get(DEFAULT_PLAYLIST_ID))
+  ]);
+
+  const blobsById = new Map(audioKeys.map((key, index) => [key, audioBlobs[index]]));
+  const recordsById = new Map(records.map(record => [record.id, record]));
+
+  // Saved order first, then any records the playlist lost track of
+  const orderedIds = playlist ? playlist.trackIds.filter(id => recordsById.has(id)) : [];
+  records.forEach(record => {
+    if (!orderedIds.includes(record.id)) orderedIds.push(record.id);
+  });
+
+  return orderedIds.map(id => hydrateTrack(recordsById.get(id), blobsById.get(id)));
+};
+
+/**
+ * Loads the named playlists, dropping ids whose tracks no longer exist
+ * @returns {Promise<Array>} - Playlists ({ id, name, trackIds, createdAt }) in saved order
+ */
+export const loadPlaylists = async () => {
+  const db = await openLibrary();
+  const transaction = db.transaction([TRACKS_STORE, PLAYLISTS_STORE], 'readonly');
+
+  const [trackKeys, records] = await Promise.all([
+    requestToPromise(transaction.objectStore(TRACKS_STORE).getAllKeys()),
+    requestToPromise(transaction.objectStore(PLAYLISTS_STORE).getAll())
+  ]);
+  const trackIds = new Set(trackKeys);
+
+  return records
+    .filter(record => record.id !== DEFAULT_PLAYLIST_ID)
+    .sort((a, b) => a.position - b.position)
+    .map(({ position, ...playlist }) => ({
+      ...playlist,
+      trackIds: playlist.trackIds.filter(id => trackIds.has(id))
+    }));
+};
+
+/**
+ * Replaces the stored named playlists, keeping their order
+ * @param {Array} playlists - Every named playlist, in display order
+ * @returns {Promise<void>}
+ */
+export const savePlaylists = async (playlists) => {
+  const db = await openLibrary();
+  const transaction = db.transaction(PLAYLISTS_STORE, 'readwrite');
+  const playlistsStore = transaction.objectStore(PLAYLISTS_STORE);
+
+  const keys = await requestToPromise(playlistsStore.getAllKeys());
+  const keptIds = new Set(playlists.map(playlist => playlist.id));
+  keys
+    .filter(key => key !== DEFAULT_PLAYLIST_ID && !keptIds.has(key))
+    .forEach(key => playlistsStore.delete(key));
+  playlists.forEach((playlist, position) => playlistsStore.put({ ...playlist, position }));
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Persists new tracks and their audio bytes, appending them to the playlist
+ * @param {Array<{track: Object, file: Blob}>} entries - Tracks with their files
+ * @returns {Promise<void>}
+ */
+export const addTracksToLibrary = async (entries) => {
+  if (!entries || entries.length === 0) return;
+
+  const db = await openLibrary();
+  const transaction = db.transaction([TRACKS_STORE, AUDIO_STORE, PLAYLISTS_STORE], 'readwrite');
+  const tracksStore = transaction.objectStore(TRACKS_STORE);
+  const audioStore = transaction.objectStore(AUDIO_STORE);
+  const playlistsStore = transaction.objectStore(PLAYLISTS_STORE);
+
+  const playlist = await requestToPromise(playlistsStore.get(DEFAULT_PLAYLIST_ID));
+  const trackIds = playlist ? [...playlist.trackIds] : [];
+
+  entries.forEach(({ track, file }) => {
+    tracksStore.put(toTrackRecord(track));
+    audioStore.put(file, track.id);
+    if (!trackIds.includes(track.id)) trackIds.push(track.id);
+  });
+  playlistsStore.put({ id: DEFAULT_PLAYLIST_ID, trackIds });
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Merges changes into a stored track record, e.g. analysis results
+ * @param {string} trackId - Track ID
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<void>}
+ */
+export const updateTrackInLibrary = async (trackId, changes) => {
+  const db = await openLibrary();
+  const transaction = db.transaction(TRACKS_STORE, 'readwrite');
+  const tracksStore = transaction.objectStore(TRACKS_STORE);
+
+  const record = await requestToPromise(tracksStore.get(trackId));
+  if (record) {
+    tracksStore.put(toTrackRecord({ ...record, ...changes }));
+  }
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Saves the playlist's track order
+ * @param {Array<string>} trackIds - Track IDs in play order
+ * @returns {Promise<void>}
+ */
+export const saveTrackOrder = async (trackIds) => {
+  const db = await openLibrary();
+  const transaction = db.transaction(PLAYLISTS_STORE, 'readwrite');
+  transaction.objectStore(PLAYLISTS_STORE).put({ id: DEFAULT_PLAYLIST_ID, trackIds });
+  await transactionDone(transaction);
+};
+
+/**
+ * Deletes a track record and its audio bytes, and takes it out of every playlist
+ * @param {string} trackId - Track ID
+ * @returns {Promise<void>}
+ */
+export const removeTrackFromLibrary = async (trackId) => {
+  const db = await openLibrary();
+  const transaction = db.transaction([TRACKS_STORE, AUDIO_STORE, PLAYLISTS_STORE], 'readwrite');
+  const playlistsStore = transaction.objectStore(PLAYLISTS_STORE);
+
+  transaction.objectStore(TRACKS_STORE).delete(trackId);
+  transaction.objectStore(AUDIO_STORE).delete(trackId);
+
+  const playlists = await requestToPromise(playlistsStore.getAll());
+  playlists
+    .filter(playlist => playlist.trackIds.includes(trackId))
+    .forEach(playlist => playlistsStore.put({
+      ...playlist,
+      trackIds: playlist.trackIds.filter(id => id !== trackId)
+    }));
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Removes every track and audio blob from the library. Named playlists are
+ * kept, emptied of their tracks.
+ * @returns {Promise<void>}
+ */
+export const clearLibrary = async () => {
+  const db = await openLibrary();
+  const transaction = db.transaction([TRACKS_STORE, AUDIO_STORE, PLAYLISTS_STORE], 'readwrite');
+  const playlistsStore = transaction.objectStore(PLAYLISTS_STORE);
+
+  transaction.objectStore(TRACKS_STORE).clear();
+  transaction.objectStore(AUDIO_STORE).clear();
+
+  const playlists = await requestToPromise(playlistsStore.getAll());
+  playlists.forEach(playlist => {
+    if (playlist.id === DEFAULT_PLAYLIST_ID) {
+      playlistsStore.delete(playlist.id);
+    } else {
+      playlistsStore.put({ ...playlist, trackIds: [] });
+    }
+  });
+
+  await transactionDone(transaction);
+};
+
+/**
+ * Finds a track whose audio went missing that matches a newly added file
+ * @param {Array} tracks - Current playlist
+ * @param {File} file - Newly added file
+ * @param {string|null} [contentHash] - SHA-256 of the file
+ * @returns {Object|undefined} - Matching missing track
+ */
+export const findMissingTrackForFile = (tracks, file, contentHash = null) => {
+  return tracks.find(track => {
+    if (!track.missing) return false;
+    if (contentHash && track.contentHash) return track.contentHash === contentHash;
+    if (track.size) {
+      return track.fileName === file.name && track.size === file.size;
+    }
+    // Legacy records only kept the name without its extension
+    return track.fileName === file.name || track.title === getTrackTitle(file.name);
+  });
+};
+
+/**
+ * Finds a playable library track holding the same recording as a file.
+ * Tracks imported before content hashing are compared by name and size.
+ * @param {Array} tracks - Library tracks
+ * @param {File} file - Newly added file
+ * @param {string|null} contentHash - SHA-256 of the file
+ * @returns {Object|undefined} - Existing track
+ */
+export const findDuplicateTrack = (tracks, file, contentHash) => {
+  return tracks.find(track => {
+    if (track.missing) return false;
+    if (contentHash && track.contentHash) return track.contentHash === contentHash;
+    return track.fileName === file.name && track.size === file.size;
+  });
+};
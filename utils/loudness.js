@@ -0,0 +1,315 @@
+// Loudness measurement (ITU-R BS.1770-4 / EBU R128) and ReplayGain helpers
+
+// ReplayGain 2.0 reference level
+export const REFERENCE_LOUDNESS = -18;
+
+export const NORMALIZATION_MODES = ['off', 'track', 'album'];
+
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+
+// True-peak interpolation: 4x oversampling with a Hann-windowed sinc
+const OVERSAMPLING = 4;
+const INTERPOLATION_HALF_WIDTH = 6;
+
+// Samples processed between yields to the event loop
+const YIELD_EVERY_SAMPLES = 1 << 18;
+
+const yieldToMain = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * K-weighting filter coefficients (pre-filter shelf and RLB high-pass)
+ * for an arbitrary sample rate
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array<Object>} - Two biquads as { b: [b0, b1, b2], a: [a1, a2] }
+ */
+const getKWeightingFilters = (sampleRate) => {
+  let f0 = 1681.974450955533;
+  const G = 3.999843853973347;
+  let Q = 0.7071752369554196;
+
+  let K = Math.tan(Math.PI * f0 / sampleRate);
+  const Vh = Math.pow(10, G / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan(Math.PI * f0 / sampleRate);
+  a0 = 1 + K / Q + K * K;
+
+  const highPass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+
+  return [shelf, highPass];
+};
+
+// BS.1770 channel weights for 1.0, 2.0 and 5.1 (L R C LFE Ls Rs) layouts
+const getChannelWeights = (channelCount) => {
+  if (channelCount === 6) return [1, 1, 1, 0, 1.41, 1.41];
+  return Array.from({ length: channelCount }, () => 1);
+};
+
+const interpolationTaps = (() => {
+  const taps = [];
+  for (let phase = 1; phase < OVERSAMPLING; phase++) {
+    const fraction = phase / OVERSAMPLING;
+    const row = [];
+    for (let k = -INTERPOLATION_HALF_WIDTH + 1; k <= INTERPOLATION_HALF_WIDTH; k++) {
+      const t = fraction - k;
+      const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+      const window = 0.5 * (1 + Math.cos(Math.PI * t / INTERPOLATION_HALF_WIDTH));
+      row.push(sinc * window);
+    }
+    taps.push(row);
+  }
+  return taps;
+})();
+
+/**
+ * Measures the true peak of one channel. Only stretches near the sample
+ * peak are oversampled; quieter passages cannot produce the maximum.
+ * @param {Float32Array} samples - Channel data
+ * @param {number} samplePeak - Largest absolute sample value in the file
+ * @returns {number} - Linear true peak of the channel
+ */
+const measureTruePeak = (samples, samplePeak) => {
+  const threshold = samplePeak / 2;
+  const lastIndex = samples.length - 1;
+  let peak = 0;
+
+  for (let n = 0; n < samples.length; n++) {
+    const current = Math.abs(samples[n]);
+    if (current > peak) peak = current;
+    if (current < threshold && Math.abs(samples[Math.min(n + 1, lastIndex)]) < threshold) continue;
+
+    for (let phase = 0; phase < interpolationTaps.length; phase++) {
+      const row = interpolationTaps[phase];
+      let value = 0;
+      for (let i = 0; i < row.length; i++) {
+        const index = n + i - INTERPOLATION_HALF_WIDTH + 1;
+        if (index >= 0 && index <= lastIndex) value += samples[index] * row[i];
+      }
+      const magnitude = Math.abs(value);
+      if (magnitude > peak) peak = magnitude;
+    }
+  }
+
+  return peak;
+};
+
+const toDecibels = (value) => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+/**
+ * Measures integrated loudness and true peak of a decoded buffer
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @returns {Promise<Object>} - { integrated (LUFS), truePeak (dBTP) }
+ */
+export const analyzeLoudness = async (buffer) => {
+  const { sampleRate, numberOfChannels, length } = buffer;
+  const filters = getKWeightingFilters(sampleRate);
+  const weights = getChannelWeights(numberOfChannels);
+  const stepLength = Math.round(sampleRate * STEP_SECONDS);
+  const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const stepCount = Math.floor(length / stepLength);
+
+  // Weighted K-filtered energy per 100 ms step, summed over channels
+  const stepEnergy = new Float64Array(stepCount);
+  const channels = [];
+  let samplePeak = 0;
+  let processed = 0;
+
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    channels.push(data);
+    const weight = weights[channel];
+
+    const state = filters.map(() => ({ x1: 0, x2: 0, y1: 0, y2: 0 }));
+    let sum = 0;
+    let step = 0;
+    let inStep = 0;
+
+    for (let n = 0; n < length; n++) {
+      const sample = data[n];
+      const magnitude = Math.abs(sample);
+      if (magnitude > samplePeak) samplePeak = magnitude;
+
+      let value = sample;
+      for (let f = 0; f < filters.length; f++) {
+        const { b, a } = filters[f];
+        const s = state[f];
+        const output = b[0] * value + b[1] * s.x1 + b[2] * s.x2 - a[0] * s.y1 - a[1] * s.y2;
+        s.x2 = s.x1;
+        s.x1 = value;
+        s.y2 = s.y1;
+        s.y1 = output;
+        value = output;
+      }
+
+      sum += value * value;
+      if (++inStep === stepLength) {
+        if (step < stepCount && weight > 0) stepEnergy[step] += weight * sum;
+        step++;
+        sum = 0;
+        inStep = 0;
+      }
+
+      if (++processed % YIELD_EVERY_SAMPLES === 0) await yieldToMain();
+    }
+  }
+
+  // 400 ms blocks overlapping by 75%
+  const blockLoudness = [];
+  const blockEnergy = [];
+  for (let start = 0; start + stepsPerBlock <= stepCount; start++) {
+    let energy = 0;
+    for (let i = 0; i < stepsPerBlock; i++) energy += stepEnergy[start + i];
+    energy /= stepLength * stepsPerBlock;
+    blockEnergy.push(energy);
+    blockLoudness.push(-0.691 + 10 * Math.log10(energy));
+  }
+
+  const gatedMean = (threshold) => {
+    let total = 0;
+    let count = 0;
+    blockLoudness.forEach((loudness, index) => {
+      if (loudness > threshold) {
+        total += blockEnergy[index];
+        count++;
+      }
+    });
+    return count > 0 ? total / count : 0;
+  };
+
+  const absoluteMean = gatedMean(ABSOLUTE_GATE);
+  const relativeThreshold = -0.691 + 10 * Math.log10(absoluteMean) + RELATIVE_GATE;
+  const relativeMean = gatedMean(Math.max(ABSOLUTE_GATE, relativeThreshold));
+  const integrated = relativeMean > 0 ? -0.691 + 10 * Math.log10(relativeMean) : -Infinity;
+
+  let truePeak = 0;
+  for (const data of channels) {
+    truePeak = Math.max(truePeak, measureTruePeak(data, samplePeak));
+    await yieldToMain();
+  }
+
+  return { integrated, truePeak: toDecibels(truePeak) };
+};
+
+/**
+ * Measures a decoded track, producing the loudness record cached on it
+ * @param {AudioBuffer} buffer - Decoded audio
+ * @returns {Promise<Object|null>} - Loudness record, or null for silence
+ */
+export const measureLoudness = async (buffer) => {
+  const { integrated, truePeak } = await analyzeLoudness(buffer);
+  if (!Number.isFinite(integrated)) return null;
+
+  return {
+    source: 'analysis',
+    integrated,
+    truePeak,
+    trackGain: REFERENCE_LOUDNESS - integrated,
+    trackPeak: Math.pow(10, truePeak / 20),
+    albumGain: null,
+    albumPeak: null
+  };
+};
+
+/**
+ * Builds a loudness record from REPLAYGAIN_* tags
+ * @param {Object} replayGain - { trackGain, trackPeak, albumGain, albumPeak }
+ * @returns {Object|null} - Loudness record, or null without a track gain
+ */
+export const loudnessFromTags = (replayGain) => {
+  if (!replayGain || replayGain.trackGain === null || replayGain.trackGain === undefined) return null;
+
+  return {
+    source: 'tags',
+    integrated: REFERENCE_LOUDNESS - replayGain.trackGain,
+    truePeak: replayGain.trackPeak ? toDecibels(replayGain.trackPeak) : null,
+    trackGain: replayGain.trackGain,
+    trackPeak: replayGain.trackPeak ?? null,
+    albumGain: replayGain.albumGain ?? null,
+    albumPeak: replayGain.albumPeak ?? null
+  };
+};
+
+const getAlbumKey = (track) => (
+  track.album ? `${(track.artist || '').toLowerCase()}\u0000${track.album.toLowerCase()}` : null
+);
+
+/**
+ * Derives album gain and peak for every album in the library. Tagged album
+ * gains are used as-is; otherwise the album level is the duration-weighted
+ * energy mean of its tracks' measured loudness.
+ * @param {Array} tracks - Library tracks
+ * @returns {Map<string, Object>} - Album key to { gain, peak }
+ */
+export const computeAlbumGains = (tracks) => {
+  const albums = new Map();
+
+  tracks.forEach(track => {
+    const key = getAlbumKey(track);
+    if (!key || !track.loudness) return;
+
+    const album = albums.get(key) || { energy: 0, duration: 0, peak: 0, taggedGain: null };
+    const { loudness } = track;
+    const weight = track.duration || 1;
+
+    album.energy += weight * Math.pow(10, loudness.integrated / 10);
+    album.duration += weight;
+    album.peak = Math.max(album.peak, loudness.albumPeak ?? loudness.trackPeak ?? 0);
+    if (loudness.albumGain !== null && loudness.albumGain !== undefined) {
+      album.taggedGain = loudness.albumGain;
+    }
+    albums.set(key, album);
+  });
+
+  const result = new Map();
+  albums.forEach((album, key) => {
+    const integrated = 10 * Math.log10(album.energy / album.duration);
+    result.set(key, {
+      gain: album.taggedGain ?? REFERENCE_LOUDNESS - integrated,
+      peak: album.peak || null
+    });
+  });
+  return result;
+};
+
+/**
+ * Works out the linear gain to apply to a track, limited so that its peak
+ * never goes above full scale
+ * @param {Object} track - Track with a loudness record
+ * @param {string} mode - 'off', 'track' or 'album'
+ * @param {Map} albumGains - Result of computeAlbumGains
+ * @returns {number} - Linear gain factor
+ */
+export const getNormalizationGain = (track, mode, albumGains) => {
+  if (!track || !track.loudness || mode === 'off') return 1;
+
+  let gainDb = track.loudness.trackGain;
+  let peak = track.loudness.trackPeak;
+
+  if (mode === 'album') {
+    const album = albumGains && albumGains.get(getAlbumKey(track));
+    if (album) {
+      gainDb = album.gain;
+      peak = album.peak;
+    }
+  }
+
+  if (gainDb === null || gainDb === undefined || !Number.isFinite(gainDb)) return 1;
+
+  const gain = Math.pow(10, gainDb / 20);
+  // Clipping protection: keep the (true) peak at or below 0 dBFS
+  return peak > 0 ? Math.min(gain, 1 / peak) : gain;
+};
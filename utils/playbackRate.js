@@ -0,0 +1,41 @@
+// Playback speed: the range offered, and which saved speed applies to a track
+
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 3;
+// Speeds offered by the selector
+export const PLAYBACK_RATE_STEPS = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+
+/**
+ * Reads a stored speed
+ * @param {*} value - Speed from settings, a track or a playlist
+ * @returns {number|null} - Speed within range rounded to 0.05, or null if none is set
+ */
+export const normalizePlaybackRate = (value) => {
+  const rate = Number(value);
+  if (value === null || value === undefined || !Number.isFinite(rate) || rate <= 0) return null;
+
+  const rounded = Math.round(rate * 20) / 20;
+  return Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rounded));
+};
+
+/**
+ * Picks the speed a track starts at: its own saved speed, else the default
+ * of the playlist it is played from, else the library default
+ * @param {Object|null} track - Track object
+ * @param {Object|null} playlist - Active named playlist, or null for the library
+ * @param {number} libraryRate - Default speed from the settings
+ * @returns {number} - Playback rate
+ */
+export const resolvePlaybackRate = (track, playlist, libraryRate = 1) => (
+  normalizePlaybackRate(track && track.playbackRate)
+  ?? normalizePlaybackRate(playlist && playlist.playbackRate)
+  ?? normalizePlaybackRate(libraryRate)
+  ?? 1
+);
+
+/**
+ * Formats a speed for display
+ * @param {number} rate - Playback rate
+ * @returns {string} - e.g. "1×" or "1.25×"
+ */
+export const formatPlaybackRate = (rate) => `${Number(rate.toFixed(2))}×`;
@@ -0,0 +1,130 @@
+// The listening session saved across reloads: what was playing, where, and how
+
+import { REPEAT_MODES } from './audioUtils';
+
+export const SESSION_KEY = 'mp3-player-session';
+// Bump when the shape changes; older records are dropped rather than misread
+export const SESSION_VERSION = 1;
+
+// Tracks at least this long (audiobooks, DJ mixes) keep their own resume point
+export const LONG_TRACK_SECONDS = 20 * 60;
+// Positions this close to either end are not worth resuming from
+const RESUME_MARGIN_SECONDS = 15;
+// Resume points kept, most recently listened first
+const MAX_RESUME_POINTS = 50;
+
+export const DEFAULT_SESSION = {
+  version: SESSION_VERSION,
+  currentTrackId: null,
+  // Named playlist playback runs through, or null for the library
+  activePlaylistId: null,
+  // Seconds into the current track
+  position: 0,
+  volume: 1,
+  isMuted: false,
+  repeatMode: 'none',
+  isShuffled: false,
+  // Track ids waiting in the up-next queue
+  queue: [],
+  // Track id to { position, updatedAt } for long tracks
+  resumePoints: {}
+};
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validates a stored session, filling in anything missing
+ * @param {Object} stored - Session read from localStorage
+ * @returns {Object} - Complete session; the default one if stored is from another version
+ */
+export const normalizeSession = (stored) => {
+  if (!isObject(stored) || stored.version !== SESSION_VERSION) return DEFAULT_SESSION;
+
+  const session = { ...DEFAULT_SESSION, ...stored };
+  const volume = Number(session.volume);
+  const position = Number(session.position);
+
+  return {
+    version: SESSION_VERSION,
+    currentTrackId: typeof session.currentTrackId === 'string' ? session.currentTrackId : null,
+    activePlaylistId: typeof session.activePlaylistId === 'string' ? session.activePlaylistId : null,
+    position: Number.isFinite(position) && position > 0 ? position : 0,
+    volume: Number.isFinite(volume) ? Math.max(0, Math.min(1, volume)) : DEFAULT_SESSION.volume,
+    isMuted: session.isMuted === true,
+    repeatMode: REPEAT_MODES.includes(session.repeatMode) ? session.repeatMode : DEFAULT_SESSION.repeatMode,
+    isShuffled: session.isShuffled === true,
+    queue: Array.isArray(session.queue) ? session.queue.filter(id => typeof id === 'string') : [],
+    resumePoints: isObject(session.resumePoints) ? session.resumePoints : {}
+  };
+};
+
+/**
+ * Reads the saved session
+ * @returns {Object} - Session, see DEFAULT_SESSION
+ */
+export const loadSession = () => {
+  if (typeof window === 'undefined') return DEFAULT_SESSION;
+
+  try {
+    const item = window.localStorage.getItem(SESSION_KEY);
+    return normalizeSession(item ? JSON.parse(item) : null);
+  } catch (error) {
+    console.error('Error reading the saved session:', error);
+    return DEFAULT_SESSION;
+  }
+};
+
+/**
+ * Writes the session
+ * @param {Object} session - Session, see DEFAULT_SESSION
+ */
+export const saveSession = (session) => {
+  if (typeof window === 'undefined') return;
+
+  try {
+    window.localStorage.setItem(SESSION_KEY, JSON.stringify({ ...session, version: SESSION_VERSION }));
+  } catch (error) {
+    console.error('Error saving the session:', error);
+  }
+};
+
+/**
+ * Whether a track is long enough to remember where it was left
+ * @param {number} duration - Track duration in seconds
+ * @returns {boolean} - True for audiobook and mix lengths
+ */
+export const isLongTrack = (duration) => Number.isFinite(duration) && duration >= LONG_TRACK_SECONDS;
+
+/**
+ * Records, or clears, the resume point of a long track. Positions near the
+ * start or end clear it: the track was barely begun or has been finished.
+ * @param {Object} resumePoints - Current resume points
+ * @param {string} trackId - Track ID
+ * @param {number} position - Seconds into the track
+ * @param {number} duration - Track duration in seconds
+ * @returns {Object} - Updated resume points
+ */
+export const updateResumePoint = (resumePoints, trackId, position, duration) => {
+  const { [trackId]: previous, ...others } = resumePoints;
+  const isWorthKeeping = position >= RESUME_MARGIN_SECONDS && position <= duration - RESUME_MARGIN_SECONDS;
+
+  if (!isWorthKeeping) return previous ? others : resumePoints;
+
+  const kept = Object.entries(others)
+    .sort(([, a], [, b]) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))
+    .slice(0, MAX_RESUME_POINTS - 1);
+  return {
+    ...Object.fromEntries(kept),
+    [trackId]: { position, updatedAt: new Date().toISOString() }
+  };
+};
+
+/**
+ * Drops resume points of tracks that left the library
+ * @param {Object} resumePoints - Current resume points
+ * @param {Set<string>|Map<string, *>} trackIds - Ids still in the library
+ * @returns {Object} - Resume points for known tracks
+ */
+export const pruneResumePoints = (resumePoints, trackIds) => (
+  Object.fromEntries(Object.entries(resumePoints).filter(([trackId]) => trackIds.has(trackId)))
+);
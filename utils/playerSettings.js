@@ -0,0 +1,66 @@
+// Persisted player settings shared by the whole app
+
+import { DEFAULT_EQUALIZER, normalizeEqualizer } from './equalizer';
+import { NORMALIZATION_MODES } from './loudness';
+import { VISUALIZER_MODES } from './visualizer';
+import { DEFAULT_KEYMAP, normalizeKeymap } from './keymap';
+import { DEFAULT_IMPORT_RULES, normalizeImportRules } from './importRules';
+import { normalizePlaybackRate } from './playbackRate';
+import { DEFAULT_THEME, normalizeTheme } from './theme';
+
+export const SETTINGS_KEY = 'mp3-player-settings';
+
+export const DEFAULT_SETTINGS = {
+  // Seconds of overlap between tracks; 0 hands over gaplessly
+  crossfadeDuration: 0,
+  crossfadeCurve: 'equal-power',
+  // Loudness normalization: 'off', 'track' or 'album' gain
+  normalizationMode: 'track',
+  equalizer: DEFAULT_EQUALIZER,
+  // 'bars', 'oscilloscope' or 'circular'
+  visualizerMode: 'bars',
+  // User-saved presets: { id, name, preamp, gains }
+  customEqPresets: [],
+  // Keyboard shortcut action ID to key name
+  keymap: DEFAULT_KEYMAP,
+  // Size, duration, format and duplicate rules applied when importing files
+  importRules: DEFAULT_IMPORT_RULES,
+  // Speed for library playback; tracks and playlists may save their own
+  playbackRate: 1,
+  // Keep voices at their natural pitch when the speed changes
+  preservesPitch: true,
+  // Show the time left at the current speed instead of the track length
+  showRateAdjustedTime: false,
+  // Light, dark or system colours, and the accent colour
+  theme: DEFAULT_THEME
+};
+
+/**
+ * Fills in defaults for settings saved by an older version of the app
+ * @param {Object} stored - Settings read from localStorage
+ * @returns {Object} - Complete settings object
+ */
+export const normalizeSettings = (stored) => {
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    ...(stored && typeof stored === 'object' ? stored : {})
+  };
+
+  return {
+    ...settings,
+    normalizationMode: NORMALIZATION_MODES.includes(settings.normalizationMode)
+      ? settings.normalizationMode
+      : DEFAULT_SETTINGS.normalizationMode,
+    visualizerMode: Object.keys(VISUALIZER_MODES).includes(settings.visualizerMode)
+      ? settings.visualizerMode
+      : DEFAULT_SETTINGS.visualizerMode,
+    equalizer: normalizeEqualizer(settings.equalizer),
+    customEqPresets: Array.isArray(settings.customEqPresets) ? settings.customEqPresets : [],
+    keymap: normalizeKeymap(settings.keymap),
+    importRules: normalizeImportRules(settings.importRules),
+    playbackRate: normalizePlaybackRate(settings.playbackRate) ?? DEFAULT_SETTINGS.playbackRate,
+    preservesPitch: settings.preservesPitch !== false,
+    showRateAdjustedTime: settings.showRateAdjustedTime === true,
+    theme: normalizeTheme(settings.theme)
+  };
+};
@@ -0,0 +1,313 @@
+// Playlist file formats: M3U / M3U8, PLS and XSPF
+
+export const PLAYLIST_FORMATS = {
+  m3u8: { label: 'M3U8', extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+  pls: { label: 'PLS', extension: 'pls', mimeType: 'audio/x-scpls' },
+  xspf: { label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' }
+};
+
+export const PLAYLIST_FILE_ACCEPT = '.m3u,.m3u8,.pls,.xspf';
+
+// Durations closer than this are treated as the same recording
+const DURATION_TOLERANCE_SECONDS = 2;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const getDisplayTitle = (track) => (
+  track.artist ? `${track.artist} - ${track.title}` : track.title
+);
+
+/**
+ * Files are referred to by name only; the browser never sees their paths
+ * @param {Object} track - Track object
+ * @returns {string} - Relative location of the track's file
+ */
+const getLocation = (track) => track.fileName || `${track.title}.mp3`;
+
+/**
+ * Writes an extended M3U playlist in UTF-8
+ * @param {Array} tracks - Tracks in play order
+ * @param {string} name - Playlist name
+ * @returns {string} - M3U8 text
+ */
+export const toM3U8 = (tracks, name) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+  tracks.forEach(track => {
+    lines.push(`#EXTINF:${Math.round(track.duration) || -1},${getDisplayTitle(track)}`);
+    if (track.size) lines.push(`#EXTBYT:${track.size}`);
+    lines.push(getLocation(track));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Writes a PLS (version 2) playlist
+ * @param {Array} tracks - Tracks in play order
+ * @returns {string} - PLS text
+ */
+export const toPLS = (tracks) => {
+  const lines = ['[playlist]'];
+  tracks.forEach((track, index) => {
+    const number = index + 1;
+    lines.push(`File${number}=${getLocation(track)}`);
+    lines.push(`Title${number}=${getDisplayTitle(track)}`);
+    lines.push(`Length${number}=${Math.round(track.duration) || -1}`);
+  });
+  lines.push(`NumberOfEntries=${tracks.length}`, 'Version=2');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Writes an XSPF playlist
+ * @param {Array} tracks - Tracks in play order
+ * @param {string} name - Playlist name
+ * @returns {string} - XSPF document
+ */
+export const toXSPF = (tracks, name) => {
+  const trackElements = tracks.map(track => {
+    const fields = [
+      `<location>${escapeXml(encodeURIComponent(getLocation(track)))}</location>`,
+      `<title>${escapeXml(track.title)}</title>`,
+      track.artist && `<creator>${escapeXml(track.artist)}</creator>`,
+      track.album && `<album>${escapeXml(track.album)}</album>`,
+      track.trackNumber > 0 && `<trackNum>${track.trackNumber}</trackNum>`,
+      track.duration > 0 && `<duration>${Math.round(track.duration * 1000)}</duration>`,
+      track.size && `<meta rel="size">${track.size}</meta>`
+    ].filter(Boolean);
+    return `    <track>\n${fields.map(field => `      ${field}`).join('\n')}\n    </track>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escapeXml(name)}</title>`,
+    '  <trackList>',
+    ...trackElements,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Serializes tracks in one of PLAYLIST_FORMATS
+ * @param {string} format - Format key
+ * @param {Array} tracks - Tracks in play order
+ * @param {string} name - Playlist name
+ * @returns {string} - Playlist file contents
+ */
+export const serializePlaylist = (format, tracks, name) => {
+  if (format === 'pls') return toPLS(tracks);
+  if (format === 'xspf') return toXSPF(tracks, name);
+  return toM3U8(tracks, name);
+};
+
+// Locations with one of these schemes are URLs; anything else is a plain path
+const URL_SCHEME = /^(?:https?|file):/i;
+
+/**
+ * Extracts the file name from a path or URL in a playlist entry. Only URLs
+ * carry a query, a fragment and percent-encoding; in a plain path "#", "?"
+ * and "%" are part of the name.
+ * @param {string} location - Path, file: URL or http(s) URL
+ * @param {boolean} [isUrl] - Treat a location without a scheme as a relative
+ *   URL, as XSPF does
+ * @returns {string} - Decoded file name
+ */
+export const getFileNameFromLocation = (location, isUrl = URL_SCHEME.test(location.trim())) => {
+  const path = isUrl ? location.trim().split(/[?#]/)[0] : location.trim();
+  const name = path.split(/[\\/]/).pop() || '';
+  if (!isUrl) return name;
+  try {
+    return decodeURIComponent(name);
+  } catch (err) {
+    return name;
+  }
+};
+
+const splitDisplayTitle = (value) => {
+  const separator = value.indexOf(' - ');
+  if (separator === -1) return { artist: '', title: value.trim() };
+  return { artist: value.slice(0, separator).trim(), title: value.slice(separator + 3).trim() };
+};
+
+const toSeconds = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Reads an M3U or M3U8 playlist
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - Entries: { location, fileName, title, artist, duration, size }
+ */
+export const parseM3U = (text) => {
+  const entries = [];
+  let pending = {};
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#EXTINF:')) {
+      const info = line.slice('#EXTINF:'.length);
+      const comma = info.indexOf(',');
+      const durationPart = comma === -1 ? info : info.slice(0, comma);
+      const titlePart = comma === -1 ? '' : info.slice(comma + 1);
+      // Attributes such as tvg-id="…" may follow the duration
+      pending = {
+        ...pending,
+        duration: toSeconds(durationPart.split(/\s/)[0]),
+        ...splitDisplayTitle(titlePart)
+      };
+    } else if (line.startsWith('#EXTBYT:')) {
+      pending.size = parseInt(line.slice('#EXTBYT:'.length), 10) || null;
+    } else if (!line.startsWith('#')) {
+      entries.push({
+        title: '',
+        artist: '',
+        duration: null,
+        size: null,
+        ...pending,
+        location: line,
+        fileName: getFileNameFromLocation(line)
+      });
+      pending = {};
+    }
+  });
+
+  return entries;
+};
+
+/**
+ * Reads a PLS playlist
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - Entries in File1…FileN order
+ */
+export const parsePLS = (text) => {
+  const fields = {};
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+    if (!match) return;
+    const number = Number(match[2]);
+    fields[number] = { ...fields[number], [match[1].toLowerCase()]: match[3] };
+  });
+
+  return Object.keys(fields)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .filter(number => fields[number].file)
+    .map(number => {
+      const { file, title = '', length } = fields[number];
+      return {
+        ...splitDisplayTitle(title),
+        duration: toSeconds(length),
+        size: null,
+        location: file,
+        fileName: getFileNameFromLocation(file)
+      };
+    });
+};
+
+/**
+ * Reads an XSPF playlist
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - Entries in document order
+ */
+export const parseXSPF = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The XSPF file is not valid XML');
+  }
+
+  const childText = (element, name) => {
+    const child = Array.from(element.children).find(node => node.localName === name);
+    return child ? child.textContent.trim() : '';
+  };
+
+  return Array.from(doc.getElementsByTagNameNS('*', 'track')).map(track => {
+    const location = childText(track, 'location');
+    const sizeMeta = Array.from(track.children).find(node => (
+      node.localName === 'meta' && node.getAttribute('rel') === 'size'
+    ));
+    const milliseconds = toSeconds(childText(track, 'duration'));
+
+    return {
+      title: childText(track, 'title'),
+      artist: childText(track, 'creator'),
+      duration: milliseconds ? milliseconds / 1000 : null,
+      size: sizeMeta ? parseInt(sizeMeta.textContent, 10) || null : null,
+      location,
+      fileName: location ? getFileNameFromLocation(location, true) : ''
+    };
+  });
+};
+
+/**
+ * Reads a playlist file in any supported format
+ * @param {string} text - File contents
+ * @param {string} fileName - Name of the playlist file, used to pick the format
+ * @returns {Array<Object>} - Playlist entries
+ */
+export const parsePlaylist = (text, fileName = '') => {
+  const extension = fileName.toLowerCase().split('.').pop();
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+
+  if (extension === 'xspf' || start.startsWith('<')) return parseXSPF(text);
+  if (extension === 'pls' || /^\[playlist\]/i.test(start)) return parsePLS(text);
+  return parseM3U(text);
+};
+
+const isSameDuration = (entry, track) => (
+  !entry.duration || !track.duration ||
+  Math.abs(entry.duration - track.duration) <= DURATION_TOLERANCE_SECONDS
+);
+
+/**
+ * Resolves playlist entries against the library. A track matches when its
+ * file name agrees and neither size nor duration contradicts it. Only entries
+ * without a usable file name (an XSPF track with no location, say) are
+ * matched on title, artist and duration instead; an entry naming a file the
+ * library does not hold stays unresolved rather than binding to a different
+ * file that shares its title.
+ * @param {Array} entries - Parsed playlist entries
+ * @param {Array} tracks - Library tracks
+ * @returns {Object} - { matched: Array<{ entry, track }>, unresolved: Array }
+ */
+export const matchPlaylistEntries = (entries, tracks) => {
+  const matched = [];
+  const unresolved = [];
+
+  entries.forEach(entry => {
+    const fileName = entry.fileName.toLowerCase();
+    const byFile = tracks.filter(track => (
+      track.fileName && track.fileName.toLowerCase() === fileName &&
+      (!entry.size || !track.size || entry.size === track.size) &&
+      isSameDuration(entry, track)
+    ));
+
+    let track = byFile[0];
+    if (!fileName && entry.title) {
+      const title = entry.title.toLowerCase();
+      const artist = entry.artist.toLowerCase();
+      track = tracks.find(item => (
+        item.title.toLowerCase() === title &&
+        (!artist || (item.artist || '').toLowerCase() === artist) &&
+        isSameDuration(entry, item)
+      ));
+    }
+
+    if (track) {
+      matched.push({ entry, track });
+    } else {
+      unresolved.push(entry);
+    }
+  });
+
+  return { matched, unresolved };
+};
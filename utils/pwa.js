@@ -0,0 +1,72 @@
+// Installable-app support: service worker registration and files handed to
+// the app by the OS share sheet or "Open with"
+
+export const THEME_COLOR = '#312e81';
+export const BACKGROUND_COLOR = '#1e1b4b';
+
+export const SERVICE_WORKER_URL = '/sw.js';
+
+// The values below are repeated in public/sw.js, which cannot import modules
+export const SHARE_TARGET_PATH = '/share-target';
+export const SHARED_FILES_FIELD = 'audio';
+export const SHARED_FILES_CACHE = 'mp3-player-shared-files';
+// Added to the start URL when the service worker has stored shared files
+export const SHARED_FILES_PARAM = 'shared';
+
+/**
+ * Registers the service worker that keeps the app shell available offline
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, or null if unsupported
+ */
+export const registerServiceWorker = async () => {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+
+  try {
+    return await navigator.serviceWorker.register(SERVICE_WORKER_URL, { scope: '/' });
+  } catch (err) {
+    console.error('Failed to register service worker:', err);
+    return null;
+  }
+};
+
+/**
+ * Collects files the service worker received through the share target,
+ * removing them from its cache
+ * @returns {Promise<Array<File>>} - Shared files
+ */
+export const takeSharedFiles = async () => {
+  if (typeof caches === 'undefined') return [];
+
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  const requests = await cache.keys();
+  const files = [];
+
+  for (const request of requests) {
+    const response = await cache.match(request);
+    if (response) {
+      const blob = await response.blob();
+      const name = decodeURIComponent(response.headers.get('X-File-Name') || 'Shared audio');
+      files.push(new File([blob], name, { type: blob.type }));
+    }
+    await cache.delete(request);
+  }
+
+  return files;
+};
+
+/**
+ * Subscribes to files the OS opens with the installed app (file_handlers)
+ * @param {Function} onFiles - Called with an array of Files
+ */
+export const consumeLaunchedFiles = (onFiles) => {
+  if (typeof window === 'undefined' || !('launchQueue' in window)) return;
+
+  window.launchQueue.setConsumer(async (launchParams) => {
+    if (!launchParams.files || launchParams.files.length === 0) return;
+    try {
+      const files = await Promise.all(launchParams.files.map(handle => handle.getFile()));
+      onFiles(files);
+    } catch (err) {
+      console.error('Failed to read launched files:', err);
+    }
+  });
+};
@@ -0,0 +1,95 @@
+// Colour themes: light or dark, or following the system, plus an accent
+// colour. The palettes themselves are CSS variables in styles/globals.css.
+
+export const THEME_MODES = {
+  light: { label: 'Light' },
+  dark: { label: 'Dark' },
+  system: { label: 'System' }
+};
+
+// swatch is only for showing the choice; the theme reads the CSS variables
+export const ACCENT_COLORS = {
+  blue: { label: 'Blue', swatch: '#3b82f6' },
+  violet: { label: 'Violet', swatch: '#7c3aed' },
+  green: { label: 'Green', swatch: '#16a34a' },
+  rose: { label: 'Rose', swatch: '#e11d48' },
+  orange: { label: 'Orange', swatch: '#f97316' }
+};
+
+export const DEFAULT_THEME = {
+  mode: 'system',
+  accent: 'blue'
+};
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Validates a stored theme choice
+ * @param {Object} stored - Theme from the settings
+ * @returns {Object} - { mode, accent }
+ */
+export const normalizeTheme = (stored) => {
+  const theme = stored && typeof stored === 'object' ? stored : {};
+
+  return {
+    mode: Object.keys(THEME_MODES).includes(theme.mode) ? theme.mode : DEFAULT_THEME.mode,
+    accent: Object.keys(ACCENT_COLORS).includes(theme.accent) ? theme.accent : DEFAULT_THEME.accent
+  };
+};
+
+/**
+ * Whether the theme shows dark colours right now
+ * @param {string} mode - Key of THEME_MODES
+ * @returns {boolean} - True for dark, or for system when the OS prefers dark
+ */
+export const isDarkMode = (mode) => {
+  if (mode !== 'system') return mode === 'dark';
+  return typeof window !== 'undefined' && Boolean(window.matchMedia) && window.matchMedia(DARK_QUERY).matches;
+};
+
+/**
+ * Applies a theme to the document root, where the CSS variables are switched
+ * @param {Object} theme - { mode, accent }
+ */
+export const applyTheme = ({ mode, accent }) => {
+  if (typeof document === 'undefined') return;
+
+  const root = document.documentElement;
+  const isDark = isDarkMode(mode);
+  root.classList.toggle('dark', isDark);
+  root.style.colorScheme = isDark ? 'dark' : 'light';
+  root.dataset.accent = accent;
+};
+
+/**
+ * Watches the OS colour scheme
+ * @param {Function} onChange - Called when the preference changes
+ * @returns {Function} - Stops watching
+ */
+export const watchSystemTheme = (onChange) => {
+  if (typeof window === 'undefined' || !window.matchMedia) return () => {};
+
+  const query = window.matchMedia(DARK_QUERY);
+  query.addEventListener('change', onChange);
+  return () => query.removeEventListener('change', onChange);
+};
+
+/**
+ * Builds the inline script that applies the saved theme before the page
+ * first paints, so a dark theme does not flash light while React loads
+ * @param {string} settingsKey - localStorage key of the player settings
+ * @returns {string} - Script source
+ */
+export const getThemeScript = (settingsKey) => `(function () {
+  try {
+    var stored = JSON.parse(window.localStorage.getItem(${JSON.stringify(settingsKey)}) || 'null');
+    var theme = stored && stored.theme || {};
+    var mode = ${JSON.stringify(Object.keys(THEME_MODES))}.indexOf(theme.mode) !== -1 ? theme.mode : ${JSON.stringify(DEFAULT_THEME.mode)};
+    var accent = ${JSON.stringify(Object.keys(ACCENT_COLORS))}.indexOf(theme.accent) !== -1 ? theme.accent : ${JSON.stringify(DEFAULT_THEME.accent)};
+    var isDark = mode === 'dark' || (mode === 'system' && window.matchMedia && window.matchMedia(${JSON.stringify(DARK_QUERY)}).matches);
+    var root = document.documentElement;
+    if (isDark) root.classList.add('dark');
+    root.style.colorScheme = isDark ? 'dark' : 'light';
+    root.dataset.accent = accent;
+  } catch (error) {}
+})();`;
@@ -0,0 +1,127 @@
+// Search, filtering and sorting for track lists
+
+import { AUDIO_FORMATS, getDeclaredAudioFormat } from './audioFormats';
+
+// 'manual' keeps the library or playlist order, which is the only one
+// reordering applies to
+export const SORT_OPTIONS = {
+  manual: { label: 'Custom order' },
+  title: { label: 'Title' },
+  artist: { label: 'Artist' },
+  duration: { label: 'Duration' },
+  addedAt: { label: 'Date added' },
+  playCount: { label: 'Play count' }
+};
+
+// Bounds in seconds, lower inclusive
+export const DURATION_RANGES = {
+  short: { label: 'Under 3 min', min: 0, max: 180 },
+  medium: { label: '3–10 min', min: 180, max: 600 },
+  long: { label: 'Over 10 min', min: 600, max: Infinity }
+};
+
+export const DEFAULT_TRACK_FILTERS = {
+  query: '',
+  sortKey: 'manual',
+  sortDirection: 'asc',
+  // Keys of AUDIO_FORMATS and DURATION_RANGES; empty means any
+  formats: [],
+  durationRanges: []
+};
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Format of a stored track, from its MIME type or file name
+ * @param {Object} track - Track object
+ * @returns {string|null} - Key of AUDIO_FORMATS, or null if unknown
+ */
+export const getTrackFormat = (track) => (
+  getDeclaredAudioFormat({ name: track.fileName || '', type: track.type || '' })
+);
+
+/**
+ * Lower-cased text a search query is matched against
+ * @param {Object} track - Track object
+ * @returns {string} - Title, artist, album and file name
+ */
+export const getTrackSearchText = (track) => (
+  [track.title, track.artist, track.album, track.fileName].filter(Boolean).join('\n').toLowerCase()
+);
+
+/**
+ * Keeps the tracks matching every word of the query and, within each filter
+ * group that has something picked, at least one of its picks
+ * @param {Array} tracks - Tracks to filter
+ * @param {Object} filters - { query, formats, durationRanges }
+ * @param {Map} searchTextById - Track id to getTrackSearchText, built once per list
+ * @returns {Array} - Matching tracks in their original order
+ */
+export const filterTracks = (tracks, { query = '', formats = [], durationRanges = [] }, searchTextById) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const ranges = durationRanges.map(key => DURATION_RANGES[key]).filter(Boolean);
+
+  if (words.length === 0 && formats.length === 0 && ranges.length === 0) return tracks;
+
+  return tracks.filter(track => {
+    if (words.length > 0) {
+      const text = searchTextById.get(track.id) ?? getTrackSearchText(track);
+      if (!words.every(word => text.includes(word))) return false;
+    }
+    if (formats.length > 0 && !formats.includes(getTrackFormat(track))) return false;
+    if (ranges.length > 0) {
+      const duration = track.duration || 0;
+      if (!ranges.some(range => duration >= range.min && duration < range.max)) return false;
+    }
+    return true;
+  });
+};
+
+const COMPARATORS = {
+  title: (a, b) => collator.compare(a.title || '', b.title || ''),
+  // Tracks without an artist go last rather than first
+  artist: (a, b) => (
+    (!a.artist - !b.artist) ||
+    collator.compare(a.artist || '', b.artist || '') ||
+    collator.compare(a.album || '', b.album || '') ||
+    (a.trackNumber ?? Infinity) - (b.trackNumber ?? Infinity) ||
+    collator.compare(a.title || '', b.title || '')
+  ),
+  duration: (a, b) => (a.duration || 0) - (b.duration || 0),
+  addedAt: (a, b) => (a.addedAt || '').localeCompare(b.addedAt || ''),
+  playCount: (a, b) => (a.playCount || 0) - (b.playCount || 0)
+};
+
+/**
+ * Sorts tracks; ties keep the custom order
+ * @param {Array} tracks - Tracks in custom order
+ * @param {string} sortKey - Key of SORT_OPTIONS
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} - Sorted copy, or the same array for the custom order
+ */
+export const sortTracks = (tracks, sortKey, direction) => {
+  const compare = COMPARATORS[sortKey];
+  if (!compare) return tracks;
+
+  const sign = direction === 'desc' ? -1 : 1;
+  return [...tracks].sort((a, b) => sign * compare(a, b));
+};
+
+/**
+ * Formats present in a list, for offering only the filter chips that matter
+ * @param {Array} tracks - Tracks
+ * @returns {Array<string>} - Keys of AUDIO_FORMATS in their declared order
+ */
+export const getTrackFormats = (tracks) => {
+  const present = new Set(tracks.map(getTrackFormat));
+  return Object.keys(AUDIO_FORMATS).filter(format => present.has(format));
+};
+
+/**
+ * Whether any filter narrows the list, search included
+ * @param {Object} filters - Filters as in DEFAULT_TRACK_FILTERS
+ * @returns {boolean} - True if some tracks may be hidden
+ */
+export const hasActiveFilters = (filters) => (
+  filters.query.trim() !== '' || filters.formats.length > 0 || filters.durationRanges.length > 0
+);
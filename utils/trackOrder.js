@@ -0,0 +1,57 @@
+// Reordering helpers for track lists; every function returns a new array of ids
+
+/**
+ * Moves a group of ids so they sit together before the item that was at
+ * targetIndex, keeping their relative order
+ * @param {Array<string>} ids - Current order
+ * @param {Array<string>} movingIds - Ids to move
+ * @param {number} targetIndex - Index in the current order to insert before (ids.length for the end)
+ * @returns {Array<string>} - New order
+ */
+export const moveIdsTo = (ids, movingIds, targetIndex) => {
+  const moving = new Set(movingIds);
+  const block = ids.filter(id => moving.has(id));
+  const rest = ids.filter(id => !moving.has(id));
+
+  // Count the staying items in front of the drop point
+  const insertAt = ids.slice(0, targetIndex).filter(id => !moving.has(id)).length;
+  return [...rest.slice(0, insertAt), ...block, ...rest.slice(insertAt)];
+};
+
+/**
+ * Moves each of a group of ids one place up or down. Ids already at the
+ * edge, or stacked against other moving ids there, stay put.
+ * @param {Array<string>} ids - Current order
+ * @param {Array<string>} movingIds - Ids to move
+ * @param {number} direction - -1 for up, 1 for down
+ * @returns {Array<string>} - New order
+ */
+export const moveIdsBy = (ids, movingIds, direction) => {
+  const moving = new Set(movingIds);
+  const next = [...ids];
+  const indices = next.map((_, index) => index);
+  if (direction > 0) indices.reverse();
+
+  indices.forEach(index => {
+    const neighbour = index + direction;
+    if (!moving.has(next[index]) || neighbour < 0 || neighbour >= next.length) return;
+    if (moving.has(next[neighbour])) return;
+    [next[index], next[neighbour]] = [next[neighbour], next[index]];
+  });
+
+  return next;
+};
+
+/**
+ * Ids between two items inclusive, for shift-click range selection
+ * @param {Array<string>} ids - Current order
+ * @param {string} fromId - Anchor id
+ * @param {string} toId - Clicked id
+ * @returns {Array<string>} - Ids in the range, or just toId if the anchor is gone
+ */
+export const getIdRange = (ids, fromId, toId) => {
+  const from = ids.indexOf(fromId);
+  const to = ids.indexOf(toId);
+  if (from === -1 || to === -1) return [toId];
+  return ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+};
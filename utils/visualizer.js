@@ -0,0 +1,132 @@
+// Canvas drawing routines for the audio visualizer
+
+export const VISUALIZER_MODES = {
+  bars: { label: 'Spectrum' },
+  oscilloscope: { label: 'Oscilloscope' },
+  circular: { label: 'Circular' }
+};
+
+const BAR_COUNT = 48;
+const RADIAL_BAR_COUNT = 96;
+// Lowest frequency shown; bins below it are mostly rumble
+const MIN_FREQUENCY = 30;
+
+/**
+ * Groups FFT bins into bands spaced evenly on a log-frequency scale
+ * @param {Uint8Array} spectrum - Byte frequency data from an AnalyserNode
+ * @param {number} bandCount - Number of bands
+ * @param {number} sampleRate - Context sample rate in Hz
+ * @returns {Array<number>} - Band levels between 0 and 1
+ */
+export const getLogBands = (spectrum, bandCount, sampleRate) => {
+  const nyquist = sampleRate / 2;
+  const binWidth = nyquist / spectrum.length;
+  const maxFrequency = Math.min(16000, nyquist);
+  const ratio = maxFrequency / MIN_FREQUENCY;
+  const bands = [];
+
+  for (let band = 0; band < bandCount; band++) {
+    const low = MIN_FREQUENCY * Math.pow(ratio, band / bandCount);
+    const high = MIN_FREQUENCY * Math.pow(ratio, (band + 1) / bandCount);
+    const start = Math.floor(low / binWidth);
+    const end = Math.max(start + 1, Math.ceil(high / binWidth));
+
+    let peak = 0;
+    for (let bin = start; bin < end && bin < spectrum.length; bin++) {
+      if (spectrum[bin] > peak) peak = spectrum[bin];
+    }
+    bands.push(peak / 255);
+  }
+
+  return bands;
+};
+
+/**
+ * Draws a bar spectrum
+ * @param {CanvasRenderingContext2D} ctx - 2D context
+ * @param {Object} frame - { width, height, color, spectrum, sampleRate }
+ */
+export const drawBars = (ctx, { width, height, color, spectrum, sampleRate }) => {
+  const bands = spectrum
+    ? getLogBands(spectrum, BAR_COUNT, sampleRate)
+    : Array.from({ length: BAR_COUNT }, () => 0);
+  const slot = width / BAR_COUNT;
+  const barWidth = Math.max(1, slot * 0.7);
+
+  ctx.fillStyle = color;
+  bands.forEach((level, index) => {
+    const barHeight = Math.max(2, level * height);
+    ctx.fillRect(index * slot + (slot - barWidth) / 2, height - barHeight, barWidth, barHeight);
+  });
+};
+
+/**
+ * Draws the time-domain signal as a line
+ * @param {CanvasRenderingContext2D} ctx - 2D context
+ * @param {Object} frame - { width, height, color, waveform }
+ */
+export const drawOscilloscope = (ctx, { width, height, color, waveform }) => {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.lineJoin = 'round';
+  ctx.beginPath();
+
+  if (!waveform) {
+    ctx.moveTo(0, height / 2);
+    ctx.lineTo(width, height / 2);
+  } else {
+    const step = width / (waveform.length - 1);
+    for (let i = 0; i < waveform.length; i++) {
+      const y = (1 - waveform[i] / 255) * height;
+      if (i === 0) {
+        ctx.moveTo(0, y);
+      } else {
+        ctx.lineTo(i * step, y);
+      }
+    }
+  }
+
+  ctx.stroke();
+};
+
+/**
+ * Draws spectrum bars radiating from a ring
+ * @param {CanvasRenderingContext2D} ctx - 2D context
+ * @param {Object} frame - { width, height, color, spectrum, sampleRate }
+ */
+export const drawCircular = (ctx, { width, height, color, spectrum, sampleRate }) => {
+  const bands = spectrum
+    ? getLogBands(spectrum, RADIAL_BAR_COUNT, sampleRate)
+    : Array.from({ length: RADIAL_BAR_COUNT }, () => 0);
+  const centerX = width / 2;
+  const centerY = height / 2;
+  const radius = Math.min(width, height) * 0.25;
+  const maxLength = Math.min(width, height) / 2 - radius;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = Math.max(1, (2 * Math.PI * radius) / RADIAL_BAR_COUNT * 0.6);
+  ctx.lineCap = 'round';
+
+  ctx.beginPath();
+  bands.forEach((level, index) => {
+    const angle = (index / RADIAL_BAR_COUNT) * Math.PI * 2 - Math.PI / 2;
+    const length = Math.max(1, level * maxLength);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    ctx.moveTo(centerX + cos * radius, centerY + sin * radius);
+    ctx.lineTo(centerX + cos * (radius + length), centerY + sin * (radius + length));
+  });
+  ctx.stroke();
+
+  ctx.globalAlpha = 0.3;
+  ctx.beginPath();
+  ctx.arc(centerX, centerY, radius - ctx.lineWidth, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+};
+
+export const VISUALIZER_RENDERERS = {
+  bars: drawBars,
+  oscilloscope: drawOscilloscope,
+  circular: drawCircular
+};